@@ -0,0 +1,214 @@
+/**
+ * Agent Configuration
+ *
+ * Settings for ContinuousAgent: the repository, paths, PR window, pipeline
+ * steps, task rules, GitHub API retries and caching, and output targets.
+ * They are read from agent.config.json in the repository root and validated
+ * against agent-config.schema.json.
+ *
+ * Precedence, lowest first: the defaults below, the config file, environment
+ * variables, then options passed to the agent (such as --repo):
+ * - GITHUB_REPOSITORY   → repo
+ * - AGENT_LOOKBACK_DAYS → prWindow.lookbackDays
+ * - AGENT_MAX_PRS       → prWindow.maxPRs
+ * - AGENT_SYNC_ISSUES   → steps.issueSync
+ * - TRANSFER_AUDIT_DIR  → paths.transferAuditDir
+ */
+
+const path = require('path');
+const SCHEMA = require('./agent-config.schema.json');
+
+const CONFIG_FILE = 'agent.config.json';
+
+const DEFAULTS = {
+    repo: null,
+    paths: {
+        workflowDir: 'agent-workflow',
+        transferAuditDir: null
+    },
+    prWindow: {
+        lookbackDays: 7,
+        maxPRs: null,
+        maxTrackedPRs: 1000
+    },
+    steps: {
+        notebookLint: true,
+        issueSync: false,
+        compact: true,
+        changelog: true,
+        readme: true,
+        pullRequest: true
+    },
+    taskRules: null,
+    github: {
+        maxRetries: 3,
+        retryDelayMs: 1000,
+        maxRateLimitWaitSeconds: 900,
+        cacheDir: '.cache/github-api'
+    },
+    outputs: {
+        readme: 'README.md',
+        changelog: 'CHANGELOG.md',
+        pullRequest: {
+            base: null,
+            branchPrefix: 'automated/development-'
+        }
+    }
+};
+
+const ENV_OVERRIDES = [
+    { name: 'GITHUB_REPOSITORY', key: 'repo', type: 'string' },
+    { name: 'AGENT_LOOKBACK_DAYS', key: 'prWindow.lookbackDays', type: 'integer' },
+    { name: 'AGENT_MAX_PRS', key: 'prWindow.maxPRs', type: 'integer' },
+    { name: 'AGENT_SYNC_ISSUES', key: 'steps.issueSync', type: 'boolean' },
+    { name: 'TRANSFER_AUDIT_DIR', key: 'paths.transferAuditDir', type: 'string' }
+];
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Deep merge of config objects; arrays and scalars replace, undefined is skipped
+ */
+function mergeConfig(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        if (value === undefined) continue;
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Values that do not parse are passed through as strings so the schema reports them
+ */
+function parseEnvValue(value, type) {
+    if (type === 'integer') return /^\d+$/.test(value) ? Number(value) : value;
+    if (type === 'boolean') return value === 'true' ? true : value === 'false' ? false : value;
+    return value;
+}
+
+/**
+ * The config overrides set in an environment
+ */
+function envOverrides(env = process.env) {
+    let overrides = {};
+    for (const { name, key, type } of ENV_OVERRIDES) {
+        if (env[name] === undefined || env[name] === '') continue;
+        const value = key.split('.').reverse().reduce((nested, part) => ({ [part]: nested }), parseEnvValue(env[name], type));
+        overrides = mergeConfig(overrides, value);
+    }
+    return overrides;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Check a value against the JSON Schema subset agent-config.schema.json uses
+ */
+function checkSchema(value, schema, where, errors) {
+    const types = [].concat(schema.type || []);
+    const actual = typeOf(value);
+    if (types.length > 0 && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+        errors.push(`${where} must be ${types.join(' or ')}, got ${actual}`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${where} must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${where} must match ${schema.pattern}, got "${value}"`);
+        }
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${where} must be at least ${schema.minimum}, got ${value}`);
+    }
+
+    if (isPlainObject(value) && schema.properties) {
+        for (const [key, child] of Object.entries(value)) {
+            const childWhere = where ? `${where}.${key}` : key;
+            if (schema.properties[key]) {
+                checkSchema(child, schema.properties[key], childWhere, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`Unknown setting "${childWhere}"`);
+            }
+        }
+    }
+}
+
+/**
+ * @param {object} config - Agent config (file contents or resolved)
+ * @returns {string[]} Validation errors, empty when valid
+ */
+function validateAgentConfig(config) {
+    const errors = [];
+    checkSchema(config, SCHEMA, '', errors);
+    return errors.map(error => error.replace(/^ must/, 'Config must'));
+}
+
+/**
+ * Layer the defaults, a config file's contents, the environment and option
+ * overrides into the effective config, throwing when the result is invalid
+ *
+ * @param {object} [config] - Settings in agent.config.json form
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment for the overrides (default: process.env)
+ * @param {object} [options.overrides] - Highest-precedence settings, e.g. `{ repo }` from --repo
+ */
+function resolveAgentConfig(config = {}, { env = process.env, overrides = {} } = {}) {
+    const fileErrors = isPlainObject(config) ? [] : validateAgentConfig(config);
+    const resolved = mergeConfig(mergeConfig(mergeConfig(DEFAULTS, config), envOverrides(env)), overrides);
+    const errors = fileErrors.length > 0 ? fileErrors : validateAgentConfig(resolved);
+    if (errors.length > 0) {
+        throw new Error(`Invalid agent config: ${errors.join('; ')}`);
+    }
+    const { $schema, ...settings } = resolved;
+    return settings;
+}
+
+/**
+ * Read agent.config.json. A missing default file is an empty config; a
+ * missing file that was asked for explicitly is an error.
+ *
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - Repository root holding agent.config.json
+ * @param {string} [options.configPath] - Config file to read instead
+ * @param {object} [options.fs] - Promise-based fs implementation
+ * @returns {Promise<object>} The file's settings, not yet resolved
+ */
+async function loadAgentConfig({ rootDir = process.cwd(), configPath = null, fs = require('fs').promises } = {}) {
+    const file = configPath ? path.resolve(rootDir, configPath) : path.join(rootDir, CONFIG_FILE);
+
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT' && !configPath) return {};
+        throw new Error(`Could not read agent config ${file}: ${error.message}`);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid agent config: ${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+module.exports = {
+    CONFIG_FILE,
+    DEFAULTS,
+    ENV_OVERRIDES,
+    mergeConfig,
+    envOverrides,
+    validateAgentConfig,
+    resolveAgentConfig,
+    loadAgentConfig
+};
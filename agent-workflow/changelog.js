@@ -0,0 +1,238 @@
+/**
+ * Changelog Generator
+ *
+ * Turns merged PRs from the agent's analysis into CHANGELOG.md entries,
+ * grouped under a heading per week (or per named release) and by category.
+ * The generated part lives in a `changelog` Markdown block; existing entries
+ * are parsed back so a PR is never listed twice, however often the agent runs.
+ * Hand-written lines in the block (notes, sub-headings) are kept where they
+ * are: above the first release, under a release heading, or in a section.
+ *
+ * Category precedence: conventional-commit prefix in the title, then PR
+ * labels, then the file categories from ContinuousAgent#categorizeFiles.
+ */
+
+const fs = require('fs').promises;
+const { escapeMarkdown, findBlock, replaceBlock } = require('./markdown-blocks');
+const { weekKey } = require('./workflow-history');
+
+const SECTIONS = [
+    { id: 'features', title: '✨ Features', prefixes: ['feat'], labels: ['feature', 'enhancement'] },
+    { id: 'fixes', title: '🐛 Fixes', prefixes: ['fix'], labels: ['bug', 'bugfix'] },
+    { id: 'notebook', title: '📓 Notebook', prefixes: [], labels: ['notebook'], categories: ['notebook'] },
+    { id: 'documentation', title: '📝 Documentation', prefixes: ['docs'], labels: ['documentation', 'docs'], categories: ['documentation'] },
+    { id: 'workflows', title: '⚙️ Workflows', prefixes: ['ci', 'build'], labels: ['ci', 'workflows'], categories: ['workflows'] },
+    { id: 'automation', title: '🤖 Automation', prefixes: [], labels: ['automation'], categories: ['automation'] },
+    { id: 'maintenance', title: '🧹 Maintenance', prefixes: ['chore', 'refactor', 'perf', 'test', 'style'], labels: ['maintenance', 'chore'] },
+    { id: 'other', title: '📦 Other', prefixes: [], labels: [] }
+];
+
+const CONVENTIONAL_TITLE = /^(\w+)(?:\(([^)]+)\))?!?:\s*(.+)$/;
+const ENTRY_PR = /\[#(\d+)\]\(/;
+const WEEK_HEADING = /^Week of (\d{4}-\d{2}-\d{2})$/;
+
+/**
+ * Drop leading and trailing blank lines
+ */
+function trimLines(lines) {
+    let start = 0;
+    let end = lines.length;
+    while (start < end && !lines[start].trim()) start++;
+    while (end > start && !lines[end - 1].trim()) end--;
+    return lines.slice(start, end);
+}
+
+class ChangelogGenerator {
+    /**
+     * @param {object} options
+     * @param {string} options.owner
+     * @param {string} options.repo
+     * @param {function(Array<object>): string[]} options.categorize - ContinuousAgent#categorizeFiles
+     * @param {object} [options.fs] - Promise-based fs implementation
+     */
+    constructor({ owner, repo, categorize, fs: fileSystem = fs }) {
+        this.owner = owner;
+        this.repo = repo;
+        this.categorize = categorize;
+        this.fs = fileSystem;
+    }
+
+    /**
+     * Pick the changelog section for a PR
+     */
+    sectionFor(pr) {
+        const conventional = (pr.title || '').match(CONVENTIONAL_TITLE);
+        if (conventional) {
+            const type = conventional[1].toLowerCase();
+            const section = SECTIONS.find(s => s.prefixes.includes(type));
+            if (section) return section;
+        }
+
+        const labels = (pr.labels || []).map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+        const byLabel = SECTIONS.find(s => s.labels.some(label => labels.includes(label)));
+        if (byLabel) return byLabel;
+
+        const categories = this.categorize(pr.files || []);
+        return SECTIONS.find(s => (s.categories || []).some(category => categories.includes(category)))
+            || SECTIONS[SECTIONS.length - 1];
+    }
+
+    formatEntry(pr) {
+        let title = pr.title || `PR #${pr.number}`;
+        const conventional = title.match(CONVENTIONAL_TITLE);
+        if (conventional && SECTIONS.some(s => s.prefixes.includes(conventional[1].toLowerCase()))) {
+            title = conventional[2] ? `${conventional[2]}: ${conventional[3]}` : conventional[3];
+        }
+
+        const url = `https://github.com/${this.owner}/${this.repo}/pull/${pr.number}`;
+        let entry = `- ${escapeMarkdown(title)} ([#${pr.number}](${url}))`;
+        if (pr.author) entry += ` by @${pr.author}`;
+        return entry;
+    }
+
+    /**
+     * Parse the body of the changelog block into the lines before the first
+     * release and ordered releases of notes and section lines. Section lines are
+     * the entries plus any other text written under the section heading.
+     *
+     * @returns {{ preamble: string[], releases: Array<{heading: string, notes: string[], sections: Map<string, string[]>}> }}
+     */
+    static parse(body) {
+        const preamble = [];
+        const releases = [];
+        let release = null;
+        let section = null;
+
+        for (const line of body.split('\n')) {
+            if (line.startsWith('## ')) {
+                release = { heading: line.slice(3).trim(), notes: [], sections: new Map() };
+                releases.push(release);
+                section = null;
+            } else if (line.startsWith('### ') && release) {
+                section = line.slice(4).trim();
+                if (!release.sections.has(section)) release.sections.set(section, []);
+            } else if (release && section) {
+                release.sections.get(section).push(line);
+            } else if (release) {
+                release.notes.push(line);
+            } else {
+                preamble.push(line);
+            }
+        }
+
+        return { preamble, releases };
+    }
+
+    static render({ preamble = [], releases }) {
+        const parts = [];
+        if (trimLines(preamble).length > 0) {
+            parts.push(`${trimLines(preamble).join('\n')}\n`);
+        }
+        for (const release of releases) {
+            let text = `## ${release.heading}\n`;
+            const notes = trimLines(release.notes || []);
+            if (notes.length > 0) {
+                text += `\n${notes.join('\n')}\n`;
+            }
+            // Known sections in canonical order, then any hand-added ones
+            const titles = [
+                ...SECTIONS.map(s => s.title).filter(title => release.sections.has(title)),
+                ...[...release.sections.keys()].filter(title => !SECTIONS.some(s => s.title === title))
+            ];
+            for (const title of titles) {
+                const lines = trimLines(release.sections.get(title));
+                if (lines.length === 0) continue;
+                text += `\n### ${title}\n\n${lines.join('\n')}\n`;
+            }
+            parts.push(text);
+        }
+        return parts.join('\n');
+    }
+
+    /**
+     * Merge merged PRs into changelog Markdown content
+     *
+     * @param {string} original - Current CHANGELOG.md content ('' if none)
+     * @param {Array<object>} prs - PR analyses (number, title, mergedAt, labels, files, author)
+     * @param {object} [options]
+     * @param {string} [options.release] - Put all new entries under this release heading instead of per week
+     * @returns {{ content: string, added: number[] }}
+     */
+    update(original, prs, { release } = {}) {
+        const content = original.trim()
+            ? original
+            : '# Changelog\n\nAll notable changes to this project, generated from merged pull requests.\n';
+
+        const block = findBlock(content, 'changelog');
+        const parsed = ChangelogGenerator.parse(block ? block.body : '');
+        const { releases } = parsed;
+
+        const listed = new Set();
+        for (const existing of releases) {
+            for (const lines of existing.sections.values()) {
+                for (const line of lines) {
+                    const match = line.startsWith('- ') && line.match(ENTRY_PR);
+                    if (match) listed.add(Number(match[1]));
+                }
+            }
+        }
+
+        const added = [];
+        const sorted = [...prs].filter(pr => pr.mergedAt).sort((a, b) => a.mergedAt.localeCompare(b.mergedAt));
+        for (const pr of sorted) {
+            if (listed.has(pr.number)) continue;
+
+            const heading = release || `Week of ${weekKey(pr.mergedAt)}`;
+            let target = releases.find(r => r.heading === heading);
+            if (!target) {
+                // New headings go on top, except below weeks that are newer than this one
+                target = { heading, notes: [], sections: new Map() };
+                const week = heading.match(WEEK_HEADING)?.[1];
+                let index = 0;
+                while (week && index < releases.length && (releases[index].heading.match(WEEK_HEADING)?.[1] || '') > week) {
+                    index++;
+                }
+                releases.splice(index, 0, target);
+            }
+
+            const section = this.sectionFor(pr);
+            if (!target.sections.has(section.title)) target.sections.set(section.title, []);
+            // New entries follow the section's last entry, ahead of any notes written below the list
+            const lines = target.sections.get(section.title);
+            lines.splice(lines.findLastIndex(line => line.startsWith('- ')) + 1, 0, this.formatEntry(pr));
+
+            listed.add(pr.number);
+            added.push(pr.number);
+        }
+
+        if (added.length === 0) {
+            return { content: original, added };
+        }
+
+        return {
+            content: replaceBlock(content, 'changelog', ChangelogGenerator.render(parsed)),
+            added
+        };
+    }
+
+    /**
+     * Update a changelog file in place (or just compute the result with write: false)
+     */
+    async updateFile(filePath, prs, { release, write = true } = {}) {
+        let original = '';
+        try {
+            original = await this.fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const { content, added } = this.update(original, prs, { release });
+        if (write && added.length > 0) {
+            await this.fs.writeFile(filePath, content);
+        }
+        return { original, content, added };
+    }
+}
+
+module.exports = ChangelogGenerator;
+module.exports.SECTIONS = SECTIONS;
@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line interface for the Continuous Coding Agent
+ *
+ * Every subcommand is a thin wrapper around ContinuousAgent methods, so CI
+ * and local scripts go through the same code path as the scheduled run.
+ */
+
+const path = require('path');
+const ContinuousAgent = require('./continuous-agent');
+const TaskStore = require('./task-store');
+const WorkflowValidator = require('./validate-workflow');
+const WorkflowHistory = require('./workflow-history');
+const TrendsReport = require('./trends-report');
+const NotebookLinter = require('./notebook-lint');
+const { toJUnit, toSarif } = require('./validation-report');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: continuous-agent <command> [options]
+
+Commands:
+  run                       Run the full pipeline (default)
+  analyze                   Analyze merged PRs and print the analysis
+  plan                      Analyze PRs and print the tasks that would be tracked
+  status [<id> <status>]    List tracked tasks, or set a task's status
+  readme                    Regenerate the README status section from tracked tasks
+  open-pr                   Create or update the development PR from tracked tasks
+  validate                  Validate the workflow setup (checks configured in agent-workflow/validation.json)
+  snapshots [<kind>]        List saved analysis/tasks snapshots, including archived ones
+  compact                   Apply the retention policy in retention.json to saved snapshots
+  report                    Trends across all saved snapshots (PRs per week, churn, task flow)
+  changelog                 Add every analyzed PR that is not listed yet to CHANGELOG.md
+  lint [<notebook>...]      Lint notebooks (default: every .ipynb in the repository root)
+
+Options:
+  --config <file>           Agent config (default: agent.config.json)
+  --repo <owner/repo>       Repository to analyze (default: repo from the config, or GITHUB_REPOSITORY)
+  --since <date>            Only analyze PRs merged at or after this ISO date
+  --max-prs <n>             Analyze at most n PRs (default: prWindow.maxPRs from the config)
+  --reanalyze               Ignore analysis-cursor.json and analyze PRs already analyzed again
+                            (since --since, or the last prWindow.lookbackDays days)
+  --output <json|markdown>  Output format for analyze, plan, status, snapshots, report, lint and validate (default: markdown)
+                            validate also takes junit or sarif
+  --checks <file>           validate: validation config (default: agent-workflow/validation.json)
+  --dry-run                 Print changes instead of writing files or calling write APIs
+  --fixtures <dir>          Replay recorded GitHub responses from <dir>
+  --record <dir>            Record GitHub responses into <dir>
+  --release <name>          changelog: list new entries under this release instead of per week
+  -h, --help                Show this help
+`;
+
+class UsageError extends Error {}
+
+class AgentCLI {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.agentOptions] - Passed to ContinuousAgent.load for every command (e.g. `rootDir`, `fs`)
+     */
+    constructor({ stdout = process.stdout, stderr = process.stderr, agentOptions = {} } = {}) {
+        this.stdout = stdout;
+        this.stderr = stderr;
+        this.agentOptions = agentOptions;
+    }
+
+    /**
+     * Split argv into a command, positional arguments and flags
+     */
+    static parseArgs(argv) {
+        const valueFlags = ['--repo', '--since', '--max-prs', '--output', '--fixtures', '--record', '--release', '--checks', '--config'];
+        const booleanFlags = ['--dry-run', '--reanalyze', '--help', '-h'];
+
+        const flags = { output: 'markdown' };
+        const positional = [];
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (valueFlags.includes(arg)) {
+                const value = argv[++i];
+                if (value === undefined || value.startsWith('--')) {
+                    throw new UsageError(`Missing value for ${arg}`);
+                }
+                flags[arg.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase())] = value;
+            } else if (booleanFlags.includes(arg)) {
+                flags[arg === '-h' ? 'help' : arg.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase())] = true;
+            } else if (arg.startsWith('-')) {
+                throw new UsageError(`Unknown option: ${arg}`);
+            } else {
+                positional.push(arg);
+            }
+        }
+
+        if (flags.repo && !/^[\w.-]+\/[\w.-]+$/.test(flags.repo)) {
+            throw new UsageError(`--repo must look like owner/repo, got "${flags.repo}"`);
+        }
+        if (flags.since && Number.isNaN(Date.parse(flags.since))) {
+            throw new UsageError(`--since must be a date, got "${flags.since}"`);
+        }
+        if (flags.since) {
+            flags.since = new Date(flags.since).toISOString();
+        }
+        if (flags.maxPrs !== undefined) {
+            flags.maxPrs = Number(flags.maxPrs);
+            if (!Number.isInteger(flags.maxPrs) || flags.maxPrs < 1) {
+                throw new UsageError('--max-prs must be a positive integer');
+            }
+        }
+        const [command = 'run', ...args] = positional;
+        const outputs = command === 'validate' ? ['json', 'markdown', 'junit', 'sarif'] : ['json', 'markdown'];
+        if (!outputs.includes(flags.output)) {
+            throw new UsageError(`--output must be ${outputs.slice(0, -1).join(', ')} or ${outputs[outputs.length - 1]}, got "${flags.output}"`);
+        }
+        return { command, args, flags };
+    }
+
+    /**
+     * Run the CLI and return the process exit code
+     */
+    async main(argv) {
+        let parsed;
+        try {
+            parsed = AgentCLI.parseArgs(argv);
+        } catch (error) {
+            this.stderr.write(`${error.message}\n\n${USAGE}`);
+            return EXIT_USAGE;
+        }
+
+        const { command, args, flags } = parsed;
+        if (flags.help) {
+            this.stdout.write(USAGE);
+            return EXIT_OK;
+        }
+
+        const handler = {
+            run: this.runPipeline,
+            analyze: this.analyze,
+            plan: this.plan,
+            status: this.status,
+            readme: this.readme,
+            'open-pr': this.openPR,
+            validate: this.validate,
+            snapshots: this.snapshots,
+            compact: this.compact,
+            report: this.report,
+            changelog: this.changelog,
+            lint: this.lint
+        }[command];
+
+        if (!handler) {
+            this.stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+            return EXIT_USAGE;
+        }
+
+        // Keep stdout parseable: progress logs go to stderr when printing JSON, JUnit or SARIF
+        const log = console.log;
+        if (flags.output !== 'markdown') {
+            console.log = (...messages) => console.error(...messages);
+        }
+
+        try {
+            return await handler.call(this, args, flags);
+        } catch (error) {
+            if (error instanceof UsageError) {
+                this.stderr.write(`${error.message}\n\n${USAGE}`);
+                return EXIT_USAGE;
+            }
+            this.stderr.write(`❌ ${error.message}\n`);
+            return EXIT_FAILURE;
+        } finally {
+            console.log = log;
+        }
+    }
+
+    createAgent(flags, overrides = {}) {
+        return ContinuousAgent.load({
+            ...this.agentOptions,
+            configPath: flags.config,
+            repo: flags.repo,
+            dryRun: flags.dryRun,
+            fixturesDir: flags.fixtures,
+            recordDir: flags.record,
+            ...overrides
+        });
+    }
+
+    analysisOptions(flags) {
+        return { since: flags.since, maxPRs: flags.maxPrs, reanalyze: flags.reanalyze };
+    }
+
+    async runPipeline(args, flags) {
+        const agent = await this.createAgent(flags);
+        await agent.run(this.analysisOptions(flags));
+        return EXIT_OK;
+    }
+
+    async analyze(args, flags) {
+        const agent = await this.createAgent(flags);
+        const analysis = await agent.analyzeRecentPRs(this.analysisOptions(flags));
+        const { cursor, ...snapshot } = analysis;
+
+        this.print(flags, snapshot, () => this.formatAnalysis(snapshot));
+        return analysis.error ? EXIT_FAILURE : EXIT_OK;
+    }
+
+    async plan(args, flags) {
+        // Planning never persists anything
+        const agent = await this.createAgent(flags, { dryRun: true });
+        const analysis = await agent.analyzeRecentPRs(this.analysisOptions(flags));
+        const suggestions = await agent.generateTasks(analysis);
+        const tasks = await agent.trackTasks(analysis, suggestions);
+
+        this.print(flags, tasks, () => this.formatTasks(tasks));
+        return analysis.error ? EXIT_FAILURE : EXIT_OK;
+    }
+
+    async status(args, flags) {
+        const agent = await this.createAgent(flags);
+        const store = await new TaskStore(path.join(agent.workflowDir, 'task-store.json'), { fs: agent.fs }).load();
+
+        if (args.length > 0) {
+            if (args.length !== 2) {
+                throw new UsageError('status takes either no arguments or <task-id> <status>');
+            }
+            const task = store.setStatus(args[0], args[1]);
+            if (!flags.dryRun) {
+                await store.save();
+            }
+            this.stdout.write(`${task.id} → ${task.status}\n`);
+            return EXIT_OK;
+        }
+
+        this.print(flags, store.tasks, () => this.formatTasks(store.tasks, { showStatus: true }));
+        return EXIT_OK;
+    }
+
+    async readme(args, flags) {
+        const agent = await this.createAgent(flags);
+        const { tasks, analysis } = await this.loadTrackedState(agent);
+        await agent.updateReadmeProgress(tasks, analysis);
+        return EXIT_OK;
+    }
+
+    async openPR(args, flags) {
+        const agent = await this.createAgent(flags);
+        const { tasks } = await this.loadTrackedState(agent);
+        if (tasks.length === 0) {
+            this.stdout.write('No active tasks; nothing to open.\n');
+            return EXIT_OK;
+        }
+
+        const pr = await agent.createDevelopmentPR(tasks);
+        return pr || flags.dryRun ? EXIT_OK : EXIT_FAILURE;
+    }
+
+    async validate(args, flags) {
+        const agent = await this.createAgent(flags);
+        const validator = await WorkflowValidator.load(flags.checks, {
+            rootDir: agent.rootDir,
+            agentConfigPath: flags.config,
+            fs: agent.fs
+        });
+        const results = await validator.validate();
+
+        // Markdown output is the console report the validator already printed
+        if (flags.output === 'junit') {
+            this.stdout.write(toJUnit(results));
+        } else if (flags.output === 'sarif') {
+            this.stdout.write(`${JSON.stringify(toSarif(results), null, 2)}\n`);
+        } else if (flags.output === 'json') {
+            this.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+        }
+        return results.failed === 0 ? EXIT_OK : EXIT_FAILURE;
+    }
+
+    async snapshots(args, flags) {
+        const [kind] = args;
+        if (kind && !['analysis', 'tasks'].includes(kind)) {
+            throw new UsageError('snapshots kind must be analysis or tasks');
+        }
+
+        const agent = await this.createAgent(flags);
+        const snapshots = await new WorkflowHistory(agent.workflowDir, { fs: agent.fs }).query({ kind, since: flags.since });
+
+        this.print(flags, snapshots, () => {
+            if (snapshots.length === 0) return 'No snapshots.\n';
+            let output = `| Timestamp | Kind | Contents |\n|-----------|------|----------|\n`;
+            for (const snapshot of snapshots) {
+                const contents = snapshot.kind === 'analysis'
+                    ? `${snapshot.data.totalPRs} PRs`
+                    : `${snapshot.data.length} tasks`;
+                output += `| ${snapshot.timestamp} | ${snapshot.kind} | ${contents} |\n`;
+            }
+            return output;
+        });
+        return EXIT_OK;
+    }
+
+    async compact(args, flags) {
+        const agent = await this.createAgent(flags);
+        const plan = await agent.compactHistory();
+        if (!plan) {
+            this.stdout.write('No retention.json found; keeping all snapshots.\n');
+        }
+        return EXIT_OK;
+    }
+
+    async report(args, flags) {
+        const agent = await this.createAgent(flags);
+        const snapshots = await new WorkflowHistory(agent.workflowDir, { fs: agent.fs }).query({ since: flags.since });
+
+        const trends = new TrendsReport(files => agent.categorizeFiles(files));
+        const report = trends.build(snapshots);
+
+        this.print(flags, report, () => trends.toMarkdown(report));
+        return EXIT_OK;
+    }
+
+    async changelog(args, flags) {
+        const agent = await this.createAgent(flags);
+        const snapshots = await new WorkflowHistory(agent.workflowDir, { fs: agent.fs }).query({ kind: 'analysis' });
+
+        // Every PR in the saved history, filtered by merge date; the latest copy of a PR wins
+        const prs = new Map();
+        for (const snapshot of snapshots) {
+            for (const pr of snapshot.data.recentPRs || []) {
+                if (flags.since && (!pr.mergedAt || pr.mergedAt < flags.since)) continue;
+                prs.set(pr.number, pr);
+            }
+        }
+
+        const added = await agent.updateChangelog([...prs.values()], { release: flags.release });
+        this.stdout.write(`${added.length} new changelog entr${added.length === 1 ? 'y' : 'ies'}\n`);
+        return EXIT_OK;
+    }
+
+    async lint(args, flags) {
+        const agent = await this.createAgent(flags);
+        const linter = new NotebookLinter({ fs: agent.fs });
+        const notebooks = args.length > 0 ? args : await NotebookLinter.findNotebooks(agent.rootDir, { fs: agent.fs });
+
+        const findings = [];
+        for (const notebook of notebooks) {
+            findings.push(...await linter.lintFile(agent.resolvePath(notebook), notebook));
+        }
+
+        this.print(flags, findings, () => {
+            if (findings.length === 0) return `No findings in ${notebooks.join(', ') || 'any notebook'}.\n`;
+            let output = `| Notebook | Check | Cell | Finding |\n|----------|-------|------|---------|\n`;
+            for (const finding of findings) {
+                output += `| ${finding.file} | ${finding.check} | ${finding.cell || '-'} | ${finding.message} |\n`;
+            }
+            return output;
+        });
+        return findings.length === 0 ? EXIT_OK : EXIT_FAILURE;
+    }
+
+    /**
+     * Active tasks from the task store and the latest saved analysis
+     */
+    async loadTrackedState(agent) {
+        const store = await new TaskStore(path.join(agent.workflowDir, 'task-store.json'), { fs: agent.fs }).load();
+
+        let analysis = null;
+        try {
+            analysis = JSON.parse(await agent.fs.readFile(path.join(agent.workflowDir, 'latest-analysis.json'), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        return { tasks: store.activeTasks(), analysis };
+    }
+
+    print(flags, data, toMarkdown) {
+        if (flags.output === 'json') {
+            this.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+        } else {
+            this.stdout.write(`${toMarkdown()}\n`);
+        }
+    }
+
+    formatAnalysis(analysis) {
+        let output = `## PR Analysis\n\n`;
+        if (analysis.error) {
+            output += `⚠️ Analysis failed: ${analysis.error}\n`;
+            return output;
+        }
+
+        output += `Merged since ${analysis.since || 'the last run'}: ${analysis.totalPRs} PRs\n\n`;
+        for (const pr of analysis.recentPRs) {
+            output += `- #${pr.number} ${pr.summary}\n`;
+        }
+
+        if (analysis.metrics && analysis.metrics.mergedPRs > 0) {
+            output += `\n### Metrics\n\n`;
+            output += `- Authors: ${analysis.metrics.authors.join(', ') || 'none'}\n`;
+            output += `- Reviewed PRs: ${analysis.metrics.reviewedPRs}/${analysis.metrics.mergedPRs}\n`;
+            output += `- Total commits: ${analysis.metrics.totalCommits}\n`;
+            if (analysis.metrics.medianCycleTimeHours !== null) {
+                output += `- Median time to merge: ${analysis.metrics.medianCycleTimeHours}h\n`;
+            }
+        }
+        return output;
+    }
+
+    formatTasks(tasks, { showStatus = false } = {}) {
+        if (tasks.length === 0) {
+            return 'No tasks.\n';
+        }
+
+        let output = showStatus
+            ? `| ID | Status | Priority | Title |\n|----|--------|----------|-------|\n`
+            : `| ID | Priority | Estimate | Title |\n|----|----------|----------|-------|\n`;
+        for (const task of tasks) {
+            output += showStatus
+                ? `| \`${task.id}\` | ${task.status} | ${task.priority} | ${task.title} |\n`
+                : `| \`${task.id}\` | ${task.priority} | ${task.estimatedHours}h | ${task.title} |\n`;
+        }
+        return output;
+    }
+}
+
+if (require.main === module) {
+    new AgentCLI().main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = AgentCLI;
@@ -0,0 +1,103 @@
+/**
+ * GitHub Fixtures
+ *
+ * Records and replays Octokit responses so the agent pipeline can run with no
+ * network. Each request is stored as one JSON file named after its method and
+ * path relative to the repository, e.g.:
+ *
+ *   GET /repos/{owner}/{repo}/pulls               -> GET-pulls.json
+ *   GET /repos/{owner}/{repo}/pulls/12/files      -> GET-pulls-12-files.json
+ *   GET /repos/{owner}/{repo}                     -> GET-repo.json
+ *
+ * Query strings are ignored. A fixture directory may also contain an
+ * `analysis.json`, which the agent uses in place of analyzing PRs.
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+
+class GitHubFixtures {
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    /**
+     * Fixture file name for a request, plus its parsed URL
+     */
+    static fileFor(octokit, options) {
+        const { method, url } = octokit.request.endpoint(options);
+        const parsed = new URL(url);
+        const repoPath = parsed.pathname
+            .replace(/^\/repos\/[^/]+\/[^/]+/, '')
+            .replace(/^\//, '');
+        const slug = repoPath ? repoPath.split('/').map(decodeURIComponent).join('-').replace(/[^\w.-]/g, '_') : 'repo';
+        return { file: `${method}-${slug}.json`, method, url: parsed };
+    }
+
+    /**
+     * Serve every request from the fixture directory. Reads without a fixture
+     * fail with a 404; writes without one echo their parameters back.
+     */
+    replay(octokit) {
+        octokit.hook.wrap('request', async (request, options) => {
+            const { file, method, url } = GitHubFixtures.fileFor(octokit, options);
+            const fixturePath = path.join(this.dir, file);
+
+            if (fsSync.existsSync(fixturePath)) {
+                const data = JSON.parse(fsSync.readFileSync(fixturePath, 'utf8'));
+                return { status: 200, url: url.href, headers: {}, data };
+            }
+
+            if (method !== 'GET') {
+                console.log(`   🎞️  No fixture for ${method} ${url.pathname}, echoing request`);
+                const { owner, repo, ...params } = options;
+                return {
+                    status: 200,
+                    url: url.href,
+                    headers: {},
+                    data: { number: 0, sha: 'fixture', html_url: `fixture://${url.pathname}`, ...params }
+                };
+            }
+
+            const error = new Error(`No fixture for ${method} ${url.pathname} (expected ${file})`);
+            error.status = 404;
+            throw error;
+        });
+        return octokit;
+    }
+
+    /**
+     * Save every successful GET response to the fixture directory. Later pages
+     * of a paginated list are appended to the first page's file.
+     */
+    record(octokit) {
+        fsSync.mkdirSync(this.dir, { recursive: true });
+
+        octokit.hook.wrap('request', async (request, options) => {
+            const response = await request(options);
+            const { file, method, url } = GitHubFixtures.fileFor(octokit, options);
+            if (method !== 'GET') return response;
+
+            const fixturePath = path.join(this.dir, file);
+            const page = Number(url.searchParams.get('page') || 1);
+            let data = response.data;
+            if (page > 1 && Array.isArray(data) && fsSync.existsSync(fixturePath)) {
+                data = JSON.parse(fsSync.readFileSync(fixturePath, 'utf8')).concat(data);
+            }
+            fsSync.writeFileSync(fixturePath, JSON.stringify(data, null, 2));
+            return response;
+        });
+        return octokit;
+    }
+
+    /**
+     * Recorded analysis to use instead of calling the API, if the directory has one
+     */
+    loadAnalysis() {
+        const analysisPath = path.join(this.dir, 'analysis.json');
+        if (!fsSync.existsSync(analysisPath)) return null;
+        return JSON.parse(fsSync.readFileSync(analysisPath, 'utf8'));
+    }
+}
+
+module.exports = GitHubFixtures;
@@ -0,0 +1,181 @@
+/**
+ * GitHub API Resilience
+ *
+ * An Octokit request hook, installed on the agent's client, that:
+ *
+ * - retries 5xx responses and network failures with exponential backoff
+ * - retries secondary rate limits after `retry-after`, or at least a minute
+ * - waits for `x-ratelimit-reset` when the primary rate limit is exhausted,
+ *   unless the reset is further away than maxRateLimitWaitSeconds
+ * - sends `If-None-Match` for GET requests answered before and serves the
+ *   cached body on 304 Not Modified; GitHub does not count those against
+ *   the rate limit
+ *
+ * Cached responses are JSON files in the cache directory, named by a hash of
+ * the method, URL and Accept header.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const SECONDARY_RATE_LIMIT_MS = 60 * 1000;
+
+function isRateLimitStatus(error) {
+    return error.status === 403 || error.status === 429;
+}
+
+/**
+ * Whether a failed request is worth retrying: a server error, a network
+ * failure (Octokit reports those as status 500) or a rate limit
+ */
+function isTransient(error) {
+    const headers = error.response?.headers || {};
+    if (isRateLimitStatus(error)) {
+        return headers['x-ratelimit-remaining'] === '0'
+            || headers['retry-after'] !== undefined
+            || /secondary rate limit/i.test(error.message);
+    }
+    return error.status === undefined || (error.status >= 500 && error.status !== 501);
+}
+
+class GitHubResilience {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxRetries] - Retries per request after the first attempt
+     * @param {number} [options.retryDelayMs] - First backoff delay for server errors, doubled on every retry
+     * @param {number} [options.maxRateLimitWaitSeconds] - Longest wait for the primary rate limit to reset
+     * @param {string} [options.cacheDir] - Directory for cached GET responses; null disables conditional requests
+     * @param {object} [options.fs] - Promise-based fs implementation for the cache
+     * @param {{now: function(): Date, sleep: function(number): Promise}} [options.clock] - Current time and waiting
+     */
+    constructor({
+        maxRetries = 3,
+        retryDelayMs = 1000,
+        maxRateLimitWaitSeconds = 900,
+        cacheDir = null,
+        fs = require('fs').promises,
+        clock = {}
+    } = {}) {
+        this.maxRetries = maxRetries;
+        this.retryDelayMs = retryDelayMs;
+        this.maxRateLimitWaitSeconds = maxRateLimitWaitSeconds;
+        this.cacheDir = cacheDir;
+        this.fs = fs;
+        this.now = clock.now ? () => clock.now() : () => new Date();
+        this.sleep = clock.sleep ? ms => clock.sleep(ms) : ms => new Promise(resolve => setTimeout(resolve, ms));
+        this.stats = { requests: 0, retries: 0, cacheHits: 0 };
+    }
+
+    install(octokit) {
+        octokit.hook.wrap('request', (request, options) => this.request(octokit, request, options));
+        return octokit;
+    }
+
+    /**
+     * Send a request, conditionally when a cached response exists, retrying transient failures
+     */
+    async request(octokit, request, options) {
+        const { method, url, headers } = octokit.request.endpoint(options);
+        const label = `${method} ${new URL(url).pathname}`;
+        const cacheFile = method === 'GET' && this.cacheDir ? this.cachePath(method, url, headers.accept) : null;
+        const cached = cacheFile ? await this.readCache(cacheFile) : null;
+        if (cached) {
+            // Set in place: inner hooks (such as Octokit's request log) are bound to this options object
+            options.headers = { ...options.headers, 'if-none-match': cached.etag };
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            this.stats.requests++;
+            try {
+                const response = await request(options);
+                if (cacheFile && response.headers.etag) {
+                    await this.writeCache(cacheFile, response);
+                }
+                return response;
+            } catch (error) {
+                if (error.status === 304 && cached) {
+                    this.stats.cacheHits++;
+                    return { status: 200, url, headers: { ...cached.headers, ...error.response?.headers }, data: cached.data };
+                }
+
+                const retry = this.retryDelay(error, attempt);
+                if (!retry) throw error;
+                this.stats.retries++;
+                console.log(`   ⏳ ${label}: ${retry.reason}, retrying in ${Math.ceil(retry.delayMs / 1000)}s (${attempt + 1}/${this.maxRetries})`);
+                await this.sleep(retry.delayMs);
+            }
+        }
+    }
+
+    /**
+     * How long to wait before retrying a failed request, or null to give up
+     *
+     * @returns {{delayMs: number, reason: string}|null}
+     */
+    retryDelay(error, attempt) {
+        if (attempt >= this.maxRetries || !isTransient(error)) return null;
+
+        const headers = error.response?.headers || {};
+        const retryAfterMs = headers['retry-after'] !== undefined ? Number(headers['retry-after']) * 1000 : null;
+
+        if (isRateLimitStatus(error) && headers['x-ratelimit-remaining'] === '0' && retryAfterMs === null) {
+            const resetAt = new Date(Number(headers['x-ratelimit-reset']) * 1000);
+            const delayMs = Math.max(resetAt.getTime() - this.now().getTime(), 0) + 1000;
+            if (Number.isNaN(delayMs) || delayMs > this.maxRateLimitWaitSeconds * 1000) {
+                error.message = `GitHub API rate limit exhausted until ${Number.isNaN(delayMs) ? 'an unknown time' : resetAt.toISOString()}: ${error.message}`;
+                return null;
+            }
+            return { delayMs, reason: `rate limit exhausted until ${resetAt.toISOString()}` };
+        }
+
+        if (isRateLimitStatus(error)) {
+            return {
+                delayMs: retryAfterMs ?? SECONDARY_RATE_LIMIT_MS * 2 ** attempt,
+                reason: 'secondary rate limit'
+            };
+        }
+
+        return {
+            delayMs: retryAfterMs ?? this.retryDelayMs * 2 ** attempt,
+            reason: error.status ? `HTTP ${error.status}` : error.message
+        };
+    }
+
+    cachePath(method, url, accept = '') {
+        const key = crypto.createHash('sha1').update(`${method} ${url}\n${accept}`).digest('hex');
+        return path.join(this.cacheDir, `${key}.json`);
+    }
+
+    async readCache(file) {
+        try {
+            const entry = JSON.parse(await this.fs.readFile(file, 'utf8'));
+            return entry.etag ? entry : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Could not read GitHub response cache:', error.message);
+            }
+            return null;
+        }
+    }
+
+    async writeCache(file, response) {
+        // Binary bodies (raw downloads of non-text files) are not cached
+        if (Buffer.isBuffer(response.data) || response.data instanceof ArrayBuffer) return;
+
+        try {
+            await this.fs.mkdir(this.cacheDir, { recursive: true });
+            await this.fs.writeFile(file, JSON.stringify({
+                url: response.url,
+                etag: response.headers.etag,
+                // Pagination follows the link header, which a 304 may not repeat
+                headers: response.headers.link ? { link: response.headers.link } : {},
+                data: response.data
+            }));
+        } catch (error) {
+            console.warn('Could not write GitHub response cache:', error.message);
+        }
+    }
+}
+
+module.exports = GitHubResilience;
+module.exports.isTransient = isTransient;
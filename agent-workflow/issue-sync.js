@@ -0,0 +1,212 @@
+/**
+ * Issue Sync
+ *
+ * Mirrors tasks from the task store into GitHub issues. Each active task gets
+ * one issue (found again on later runs through a hidden fingerprint marker),
+ * labelled from its type, priority and category. Issues are closed when a
+ * merged PR says "Closes #N" or touches the task's files after the issue was
+ * opened; the agent's own development PRs only count when they say so. A task
+ * whose issue a maintainer closed is dismissed rather than opened again.
+ */
+
+const { matchesGlob } = require('./task-rules');
+
+const AGENT_LABEL = 'agent-task';
+const CLOSING_KEYWORDS = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s+#(\d+)/gi;
+
+class IssueSync {
+    /**
+     * @param {object} octokit
+     * @param {string} owner
+     * @param {string} repo
+     * @param {object} [options]
+     * @param {string} [options.branchPrefix] - Head branch prefix of the agent's development PRs
+     */
+    constructor(octokit, owner, repo, { branchPrefix = null } = {}) {
+        this.octokit = octokit;
+        this.owner = owner;
+        this.repo = repo;
+        this.branchPrefix = branchPrefix;
+    }
+
+    static labelsFor(task) {
+        return [
+            AGENT_LABEL,
+            `type:${task.type}`,
+            `priority:${task.priority}`,
+            `category:${task.category}`
+        ];
+    }
+
+    static marker(task) {
+        return `<!-- agent-task: ${task.fingerprint} -->`;
+    }
+
+    static issueBody(task) {
+        let body = `${task.description}\n\n`;
+        body += `- **Task ID**: \`${task.id}\`\n`;
+        body += `- **Type**: ${task.type}\n`;
+        body += `- **Priority**: ${task.priority}\n`;
+        body += `- **Estimated Time**: ${task.estimatedHours} hours\n`;
+        body += `- **Files**: ${task.files.join(', ')}\n\n`;
+        body += `*Generated by Continuous Coding Agent*\n\n`;
+        body += IssueSync.marker(task);
+        return body;
+    }
+
+    /**
+     * Issue numbers referenced with a closing keyword in a PR title or body
+     */
+    static closedIssueNumbers(pr) {
+        const text = `${pr.title || ''}\n${pr.body || ''}`;
+        return [...text.matchAll(CLOSING_KEYWORDS)].map(match => Number(match[1]));
+    }
+
+    /**
+     * Close issues for finished tasks, then create or update issues for active tasks
+     */
+    async sync(store, prs) {
+        console.log('🔗 Syncing tasks to GitHub issues...');
+
+        const result = { created: [], updated: [], closed: [], dismissed: [] };
+
+        result.closed = await this.closeCompleted(store, prs);
+
+        const openIssues = await this.listAgentIssues();
+        for (const task of store.activeTasks()) {
+            const recorded = task.issue ? await this.getIssue(task.issue.number) : null;
+            if (recorded && recorded.state === 'closed') {
+                // Closed by a maintainer while the task was still active
+                task.status = 'dismissed';
+                task.issue = { ...task.issue, state: 'closed' };
+                result.dismissed.push(recorded.number);
+                continue;
+            }
+
+            const existing = recorded || openIssues.find(issue => (issue.body || '').includes(IssueSync.marker(task)));
+
+            const payload = {
+                owner: this.owner,
+                repo: this.repo,
+                title: task.title,
+                body: IssueSync.issueBody(task),
+                labels: IssueSync.labelsFor(task)
+            };
+
+            if (existing) {
+                await this.octokit.issues.update({ ...payload, issue_number: existing.number });
+                task.issue = { ...task.issue, number: existing.number, url: existing.html_url, state: 'open' };
+                result.updated.push(existing.number);
+            } else {
+                const { data: issue } = await this.octokit.issues.create(payload);
+                task.issue = {
+                    number: issue.number,
+                    url: issue.html_url,
+                    state: 'open',
+                    createdAt: issue.created_at || new Date().toISOString()
+                };
+                result.created.push(issue.number);
+            }
+        }
+
+        console.log(`   Issues created: ${result.created.length}, updated: ${result.updated.length}, closed: ${result.closed.length}, dismissed: ${result.dismissed.length}`);
+        return result;
+    }
+
+    /**
+     * Close the issues of tasks that are finished or were resolved by a merged PR
+     */
+    async closeCompleted(store, prs) {
+        const closed = [];
+
+        for (const task of store.tasks) {
+            if (!task.issue || task.issue.state !== 'open') continue;
+
+            let closingPR = null;
+            if (['open', 'in-progress'].includes(task.status)) {
+                closingPR = this.findClosingPR(task, prs);
+                if (!closingPR) continue;
+
+                task.status = 'done';
+                task.completedAt = closingPR.mergedAt;
+                task.completedBy = closingPR.number;
+            }
+
+            const prNumber = closingPR ? closingPR.number : task.completedBy;
+            if (prNumber) {
+                await this.octokit.issues.createComment({
+                    owner: this.owner,
+                    repo: this.repo,
+                    issue_number: task.issue.number,
+                    body: `Resolved by #${prNumber}.`
+                });
+            }
+
+            await this.octokit.issues.update({
+                owner: this.owner,
+                repo: this.repo,
+                issue_number: task.issue.number,
+                state: 'closed',
+                state_reason: task.status === 'dismissed' ? 'not_planned' : 'completed'
+            });
+
+            task.issue.state = 'closed';
+            closed.push(task.issue.number);
+        }
+
+        return closed;
+    }
+
+    /**
+     * Find a merged PR that closes the task's issue or touches its files after the issue was opened.
+     * The agent's development PRs touch the README on every run, so only their closing keywords count.
+     */
+    findClosingPR(task, prs) {
+        const openedAt = new Date(task.issue.createdAt || 0);
+
+        return prs.find(pr => {
+            if (IssueSync.closedIssueNumbers(pr).includes(task.issue.number)) {
+                return true;
+            }
+            if (this.branchPrefix && pr.headRef && pr.headRef.startsWith(this.branchPrefix)) {
+                return false;
+            }
+            if (!pr.mergedAt || new Date(pr.mergedAt) <= openedAt) {
+                return false;
+            }
+            return (pr.files || []).some(file => matchesGlob(file.filename, task.files));
+        }) || null;
+    }
+
+    /**
+     * The issue a task recorded, or null when it no longer exists (deleted or transferred)
+     */
+    async getIssue(number) {
+        try {
+            const { data: issue } = await this.octokit.issues.get({
+                owner: this.owner,
+                repo: this.repo,
+                issue_number: number
+            });
+            return issue;
+        } catch (error) {
+            if (error.status === 404 || error.status === 410) return null;
+            throw error;
+        }
+    }
+
+    async listAgentIssues() {
+        const issues = await this.octokit.paginate(this.octokit.issues.listForRepo, {
+            owner: this.owner,
+            repo: this.repo,
+            state: 'open',
+            labels: AGENT_LABEL,
+            per_page: 100
+        });
+
+        // The issues endpoint also returns pull requests
+        return issues.filter(issue => !issue.pull_request);
+    }
+}
+
+module.exports = IssueSync;
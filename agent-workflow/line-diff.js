@@ -0,0 +1,74 @@
+/**
+ * Minimal line-based diff used to preview file changes in dry-run mode
+ */
+
+const NO_NEWLINE = '\n\\ No newline at end of file';
+
+/**
+ * Lines of a text. A trailing newline ends the last line rather than starting
+ * an empty one; like diff(1), a last line without it is marked, so adding or
+ * removing only the final newline still shows up as a change.
+ */
+function toLines(text) {
+    if (text === '') return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    } else {
+        lines[lines.length - 1] += NO_NEWLINE;
+    }
+    return lines;
+}
+
+/**
+ * Unified-style diff of two texts with `context` unchanged lines around each change
+ */
+function lineDiff(before, after, context = 2) {
+    const a = toLines(before);
+    const b = toLines(after);
+
+    // Longest common subsequence table, filled from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            ops.push({ type: ' ', line: a[i] });
+            i++;
+            j++;
+        } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            ops.push({ type: '-', line: a[i] });
+            i++;
+        } else {
+            ops.push({ type: '+', line: b[j] });
+            j++;
+        }
+    }
+
+    const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter(index => index !== -1);
+    if (changed.length === 0) return '';
+
+    const output = [];
+    let lastPrinted = -1;
+    for (const index of changed) {
+        const start = Math.max(index - context, lastPrinted + 1);
+        if (lastPrinted !== -1 && start > lastPrinted + 1) output.push('...');
+        for (let k = start; k <= Math.min(index + context, ops.length - 1); k++) {
+            if (k <= lastPrinted) continue;
+            // Stop trailing context at the next change; it prints itself
+            if (k > index && ops[k].type !== ' ') break;
+            output.push(`${ops[k].type} ${ops[k].line}`);
+            lastPrinted = k;
+        }
+    }
+    return output.join('\n');
+}
+
+module.exports = { lineDiff };
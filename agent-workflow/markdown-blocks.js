@@ -0,0 +1,138 @@
+/**
+ * Markdown Blocks
+ *
+ * Maintains agent-generated blocks inside Markdown files. Each block is
+ * delimited by HTML comment markers, so it can be found regardless of the
+ * headings it contains and sits anywhere in the file:
+ *
+ *   <!-- agent:begin status -->
+ *   ## 🤖 Automated Development Status
+ *   ...
+ *   <!-- agent:end status -->
+ */
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+function beginMarker(name) {
+    return `<!-- agent:begin ${name} -->`;
+}
+
+function endMarker(name) {
+    return `<!-- agent:end ${name} -->`;
+}
+
+/**
+ * Escape text so it renders literally inline: no emphasis, links, HTML,
+ * headings, tables or line breaks can be injected through it.
+ */
+function escapeMarkdown(text) {
+    return String(text ?? '')
+        .replace(/\s*\r?\n\s*/g, ' ')
+        .replace(/[\\`*_[\]<>#|~&]/g, char => (char === '&' ? '&amp;' : `\\${char}`));
+}
+
+/**
+ * Locate a named block. Returns offsets of the whole block (markers included)
+ * and of its body, or null when the markers are absent.
+ */
+function findBlock(content, name) {
+    const begin = beginMarker(name);
+    const end = endMarker(name);
+
+    const start = content.indexOf(begin);
+    if (start === -1) return null;
+
+    const bodyStart = start + begin.length;
+    const endIndex = content.indexOf(end, bodyStart);
+    if (endIndex === -1) {
+        throw new Error(`Block "${name}" has a begin marker but no end marker`);
+    }
+
+    return {
+        start,
+        end: endIndex + end.length,
+        body: content.slice(bodyStart, endIndex).replace(/^\n/, '').replace(/\n$/, '')
+    };
+}
+
+/**
+ * Locate a section by its exact heading line. The section runs until the next
+ * heading of the same or a higher level, ignoring headings inside fenced code.
+ */
+function findSection(content, heading) {
+    const level = heading.match(/^#+/)?.[0].length;
+    if (!level) {
+        throw new Error(`Not a Markdown heading: ${heading}`);
+    }
+
+    const lines = content.split('\n');
+    let offset = 0;
+    let start = -1;
+    let fence = null;
+
+    for (const line of lines) {
+        const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+        if (fenceMatch) {
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+                fence = null;
+            }
+        } else if (!fence) {
+            if (start === -1 && line.trim() === heading) {
+                start = offset;
+            } else if (start !== -1) {
+                const headingMatch = line.match(/^(#{1,6})\s/);
+                if (headingMatch && headingMatch[1].length <= level) {
+                    return { start, end: offset };
+                }
+            }
+        }
+        offset += line.length + 1;
+    }
+
+    return start === -1 ? null : { start, end: content.length };
+}
+
+/**
+ * Replace (or insert) a named block.
+ *
+ * @param {string} content - Markdown document
+ * @param {string} name - Block name, e.g. `status`
+ * @param {string} body - New block contents
+ * @param {object} [options]
+ * @param {string} [options.legacyHeading] - Heading of an unmarked section to take over
+ * @param {string} [options.insertBefore] - Heading to insert a new block before (defaults to end of file)
+ */
+function replaceBlock(content, name, body, options = {}) {
+    if (!NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid block name "${name}"`);
+    }
+
+    const block = `${beginMarker(name)}\n${body.replace(/\n+$/, '')}\n${endMarker(name)}`;
+
+    const existing = findBlock(content, name);
+    if (existing) {
+        return content.slice(0, existing.start) + block + content.slice(existing.end);
+    }
+
+    const legacy = options.legacyHeading && findSection(content, options.legacyHeading);
+    if (legacy) {
+        const rest = content.slice(legacy.end);
+        return content.slice(0, legacy.start) + block + (rest ? `\n\n${rest}` : '\n');
+    }
+
+    const anchor = options.insertBefore && findSection(content, options.insertBefore);
+    if (anchor) {
+        return content.slice(0, anchor.start) + block + '\n\n' + content.slice(anchor.start);
+    }
+
+    return `${content.replace(/\n+$/, '')}\n\n${block}\n`;
+}
+
+module.exports = {
+    escapeMarkdown,
+    findBlock,
+    findSection,
+    replaceBlock
+};
@@ -0,0 +1,180 @@
+/**
+ * Notebook Diff
+ *
+ * Cell-by-cell comparison of two versions of a Jupyter notebook, tuned to the
+ * layout of rclone_gdrive_transfer.ipynb: cells are matched by their id
+ * (`setup-cell`, `step1-header`, `step3-cell`, ...), and code cells are
+ * scanned for ipywidgets they create and rclone flags they pass.
+ */
+
+const WIDGET_PATTERN = /^\s*(\w+)\s*=\s*widgets\.(\w+)\(/gm;
+const RCLONE_FLAG_PATTERN = /['"](--[a-z][a-z0-9-]*)/g;
+const CELL_ID_PATTERN = /^(setup|step(\d+))-(header|cell)$/;
+
+function sourceText(source) {
+    return Array.isArray(source) ? source.join('') : String(source || '');
+}
+
+/**
+ * Human-readable name for a cell, e.g. "Step 3 execution cell" or "Setup header"
+ */
+function cellLabel(id, type) {
+    const match = (id || '').match(CELL_ID_PATTERN);
+    if (!match) {
+        return `${type === 'code' ? 'Code' : 'Markdown'} cell ${id}`;
+    }
+    const section = match[2] ? `Step ${match[2]}` : 'Setup';
+    return match[3] === 'header' ? `${section} header` : `${section} execution cell`;
+}
+
+/**
+ * Parse notebook JSON into cells with stable ids. Cells without an id
+ * (nbformat < 4.5 and no `metadata.id`) are keyed by position.
+ *
+ * @param {string|object|null} notebook - Notebook JSON text or object; null for a missing file
+ */
+function parseNotebook(notebook) {
+    if (!notebook) return [];
+    const data = typeof notebook === 'string' ? JSON.parse(notebook) : notebook;
+    if (!Array.isArray(data.cells)) {
+        throw new Error('Not a Jupyter notebook: missing "cells" array');
+    }
+
+    return data.cells.map((cell, index) => {
+        const id = cell.id || cell.metadata?.id || `cell-${index}`;
+        return {
+            id,
+            type: cell.cell_type,
+            label: cellLabel(id, cell.cell_type),
+            source: sourceText(cell.source)
+        };
+    });
+}
+
+function widgetsIn(cell) {
+    if (cell.type !== 'code') return [];
+    return [...cell.source.matchAll(WIDGET_PATTERN)].map(([, name, type]) => ({ name, type, cell: cell.id }));
+}
+
+function rcloneFlagsIn(cell) {
+    if (cell.type !== 'code') return [];
+    return [...new Set([...cell.source.matchAll(RCLONE_FLAG_PATTERN)].map(([, flag]) => flag))];
+}
+
+/**
+ * Lines added and removed between two sources, ignoring moves
+ */
+function countLineChanges(before, after) {
+    // An empty source has no lines, not one empty line
+    const lines = source => (source === '' ? [] : source.split('\n'));
+
+    const remaining = new Map();
+    for (const line of lines(before)) {
+        remaining.set(line, (remaining.get(line) || 0) + 1);
+    }
+
+    let added = 0;
+    for (const line of lines(after)) {
+        if (remaining.get(line) > 0) {
+            remaining.set(line, remaining.get(line) - 1);
+        } else {
+            added++;
+        }
+    }
+
+    const removed = [...remaining.values()].reduce((sum, count) => sum + count, 0);
+    return { linesAdded: added, linesRemoved: removed };
+}
+
+/**
+ * Compare two notebook versions
+ *
+ * @param {string|object|null} before - Previous version (null when the notebook is new)
+ * @param {string|object|null} after - New version (null when the notebook was deleted)
+ * @returns {{ cells: Array<object>, widgetsAdded: Array<object>, widgetsRemoved: Array<object>,
+ *             rcloneFlagsAdded: string[], rcloneFlagsRemoved: string[] }}
+ */
+function diffNotebooks(before, after) {
+    const oldCells = parseNotebook(before);
+    const newCells = parseNotebook(after);
+    const oldById = new Map(oldCells.map(cell => [cell.id, cell]));
+    const newById = new Map(newCells.map(cell => [cell.id, cell]));
+
+    const cells = [];
+    for (const cell of newCells) {
+        const previous = oldById.get(cell.id);
+        if (!previous) {
+            cells.push({ id: cell.id, type: cell.type, label: cell.label, change: 'added', ...countLineChanges('', cell.source) });
+        } else if (previous.source !== cell.source || previous.type !== cell.type) {
+            cells.push({ id: cell.id, type: cell.type, label: cell.label, change: 'modified', ...countLineChanges(previous.source, cell.source) });
+        }
+    }
+    for (const cell of oldCells) {
+        if (!newById.has(cell.id)) {
+            cells.push({ id: cell.id, type: cell.type, label: cell.label, change: 'removed', ...countLineChanges(cell.source, '') });
+        }
+    }
+
+    const widgetKey = widget => `${widget.cell}:${widget.name}:${widget.type}`;
+    const oldWidgets = oldCells.flatMap(widgetsIn);
+    const newWidgets = newCells.flatMap(widgetsIn);
+    const oldWidgetKeys = new Set(oldWidgets.map(widgetKey));
+    const newWidgetKeys = new Set(newWidgets.map(widgetKey));
+
+    const oldFlags = new Set(oldCells.flatMap(rcloneFlagsIn));
+    const newFlags = new Set(newCells.flatMap(rcloneFlagsIn));
+
+    return {
+        cells,
+        widgetsAdded: newWidgets.filter(widget => !oldWidgetKeys.has(widgetKey(widget))),
+        widgetsRemoved: oldWidgets.filter(widget => !newWidgetKeys.has(widgetKey(widget))),
+        rcloneFlagsAdded: [...newFlags].filter(flag => !oldFlags.has(flag)).sort(),
+        rcloneFlagsRemoved: [...oldFlags].filter(flag => !newFlags.has(flag)).sort()
+    };
+}
+
+/**
+ * One-line description of a notebook diff for PR summaries
+ */
+function describeNotebookDiff(diff) {
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+    // Listing every cell of a brand-new or deleted notebook says nothing useful
+    if (diff.cells.length > 0 && diff.cells.every(cell => cell.change === 'added')) {
+        return `new notebook with ${plural(diff.cells.length, 'cell')}, ${plural(diff.widgetsAdded.length, 'widget')} and ${plural(diff.rcloneFlagsAdded.length, 'rclone flag')}`;
+    }
+    if (diff.cells.length > 0 && diff.cells.every(cell => cell.change === 'removed')) {
+        return `notebook removed (${plural(diff.cells.length, 'cell')})`;
+    }
+
+    const parts = [];
+
+    if (diff.cells.length > 0) {
+        const cells = diff.cells.map(cell => {
+            const lines = cell.change === 'modified' ? ` (+${cell.linesAdded}/-${cell.linesRemoved})` : '';
+            return `${cell.label} ${cell.change}${lines}`;
+        });
+        parts.push(cells.length > 4 ? `${cells.length} cells changed` : cells.join(', '));
+    }
+    if (diff.widgetsAdded.length > 0) {
+        parts.push(`${plural(diff.widgetsAdded.length, 'widget')} added`);
+    }
+    if (diff.widgetsRemoved.length > 0) {
+        parts.push(`${plural(diff.widgetsRemoved.length, 'widget')} removed`);
+    }
+    if (diff.rcloneFlagsAdded.length > 0) {
+        parts.push(`new rclone flags ${diff.rcloneFlagsAdded.join(' ')}`);
+    }
+    if (diff.rcloneFlagsRemoved.length > 0) {
+        parts.push(`dropped rclone flags ${diff.rcloneFlagsRemoved.join(' ')}`);
+    }
+
+    return parts.length > 0 ? parts.join(', ') : 'metadata only';
+}
+
+module.exports = {
+    parseNotebook,
+    diffNotebooks,
+    describeNotebookDiff,
+    cellLabel
+};
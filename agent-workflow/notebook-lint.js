@@ -0,0 +1,234 @@
+/**
+ * Notebook Linter
+ *
+ * Static checks for the committed notebook. The notebook handles uploaded
+ * rclone.conf files with OAuth tokens, so it must be committed clean:
+ *
+ * - committed-outputs:  code cells with saved outputs
+ * - secrets:            anything that looks like an rclone token, OAuth token, client secret or private key
+ * - execution-order:    execution counts that go backwards
+ * - required-sections:  missing Setup / Step 1 / Step 2 / Step 3 headings
+ * - invalid-notebook:   the file is not notebook JSON at all
+ *
+ * Secret values are never echoed back; findings only show a redacted prefix.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { cellLabel } = require('./notebook-diff');
+
+const REQUIRED_SECTIONS = ['Setup', 'Step 1', 'Step 2', 'Step 3'];
+
+const SECRET_PATTERNS = [
+    { name: 'rclone token', pattern: /^\s*token\s*=\s*\{.*"(?:access|refresh)_token".*$/gm },
+    { name: 'OAuth access token', pattern: /ya29\.[\w-]{20,}/g },
+    { name: 'OAuth refresh token', pattern: /1\/\/0[\w-]{20,}/g },
+    { name: 'Google client secret', pattern: /GOCSPX-[\w-]{10,}/g },
+    { name: 'client secret', pattern: /^\s*client_secret\s*=\s*['"]?[\w-]{16,}['"]?\s*$/gm },
+    { name: 'private key', pattern: /-----BEGIN (?:RSA |EC |OPENSSH )?PRIVATE KEY-----/g }
+];
+
+/**
+ * Task template per check, used when findings are turned into tasks
+ */
+const CHECKS = {
+    'committed-outputs': {
+        type: 'maintenance',
+        title: file => `Clear committed outputs in ${file}`
+    },
+    secrets: {
+        type: 'security',
+        title: file => `Remove credentials committed in ${file}`
+    },
+    'execution-order': {
+        type: 'maintenance',
+        title: file => `Fix out-of-order execution counts in ${file}`
+    },
+    'required-sections': {
+        type: 'documentation',
+        title: file => `Restore missing sections in ${file}`
+    },
+    'invalid-notebook': {
+        type: 'bug',
+        title: file => `Repair the notebook JSON in ${file}`
+    }
+};
+
+function text(value) {
+    return Array.isArray(value) ? value.join('') : String(value ?? '');
+}
+
+/**
+ * Keep just enough of a secret to find it again
+ */
+function redact(value) {
+    const trimmed = value.trim();
+    return `${trimmed.slice(0, 4)}… (${trimmed.length} chars)`;
+}
+
+/**
+ * Everything a cell's outputs would render as text
+ */
+function outputText(output) {
+    if (output.text) return text(output.text);
+    if (output.data) return Object.values(output.data).map(text).join('\n');
+    if (output.traceback) return text(output.traceback);
+    return '';
+}
+
+class NotebookLinter {
+    /**
+     * @param {object} [options]
+     * @param {string[]} [options.requiredSections] - Heading prefixes the notebook must contain
+     * @param {object} [options.fs] - Promise-based fs implementation
+     */
+    constructor({ requiredSections = REQUIRED_SECTIONS, fs: fileSystem = fs } = {}) {
+        this.requiredSections = requiredSections;
+        this.fs = fileSystem;
+    }
+
+    /**
+     * Notebooks at the top level of a directory
+     */
+    static async findNotebooks(rootDir, { fs: fileSystem = fs } = {}) {
+        const entries = await fileSystem.readdir(rootDir);
+        return entries.filter(entry => entry.endsWith('.ipynb')).sort();
+    }
+
+    /**
+     * Lint a notebook
+     *
+     * @param {string|object} notebook - Notebook JSON text or object
+     * @param {string} file - Path used in findings
+     * @returns {Array<{file: string, check: string, cell: string|null, message: string}>}
+     */
+    lint(notebook, file) {
+        let data;
+        try {
+            data = typeof notebook === 'string' ? JSON.parse(notebook) : notebook;
+        } catch (error) {
+            return [{ file, check: 'invalid-notebook', cell: null, message: `Notebook is not valid JSON: ${error.message}` }];
+        }
+        if (!Array.isArray(data?.cells)) {
+            return [{ file, check: 'invalid-notebook', cell: null, message: 'Notebook has no "cells" array' }];
+        }
+
+        const cells = data.cells.map((cell, index) => {
+            const id = cell.id || cell.metadata?.id || `cell-${index}`;
+            return { ...cell, id, label: cellLabel(id, cell.cell_type) };
+        });
+
+        return [
+            ...this.checkOutputs(cells),
+            ...this.checkSecrets(cells),
+            ...this.checkExecutionOrder(cells),
+            ...this.checkSections(cells)
+        ].map(finding => ({ file, ...finding }));
+    }
+
+    async lintFile(filePath, file = filePath) {
+        return this.lint(await this.fs.readFile(filePath, 'utf8'), file);
+    }
+
+    checkOutputs(cells) {
+        return cells
+            .filter(cell => cell.cell_type === 'code' && (cell.outputs || []).length > 0)
+            .map(cell => ({
+                check: 'committed-outputs',
+                cell: cell.id,
+                message: `${cell.label} has ${cell.outputs.length} committed output${cell.outputs.length === 1 ? '' : 's'}`
+            }));
+    }
+
+    checkSecrets(cells) {
+        const findings = [];
+        for (const cell of cells) {
+            const places = [
+                ['source', text(cell.source)],
+                ['output', (cell.outputs || []).map(outputText).join('\n')]
+            ];
+            for (const [where, content] of places) {
+                for (const { name, pattern } of SECRET_PATTERNS) {
+                    for (const match of content.matchAll(pattern)) {
+                        findings.push({
+                            check: 'secrets',
+                            cell: cell.id,
+                            message: `${cell.label} ${where} contains a possible ${name}: ${redact(match[0])}`
+                        });
+                    }
+                }
+            }
+        }
+        return findings;
+    }
+
+    checkExecutionOrder(cells) {
+        const findings = [];
+        let previous = null;
+        for (const cell of cells) {
+            if (cell.cell_type !== 'code' || typeof cell.execution_count !== 'number') continue;
+            if (previous && cell.execution_count <= previous.execution_count) {
+                findings.push({
+                    check: 'execution-order',
+                    cell: cell.id,
+                    message: `${cell.label} ran as [${cell.execution_count}] after ${previous.label} [${previous.execution_count}]`
+                });
+            }
+            previous = cell;
+        }
+        return findings;
+    }
+
+    checkSections(cells) {
+        const headings = cells
+            .filter(cell => cell.cell_type === 'markdown')
+            .flatMap(cell => text(cell.source).split('\n'))
+            .filter(line => /^#{1,6}\s/.test(line))
+            // Drop the hashes and any leading emoji so "## ⚙️ Setup" counts as Setup
+            .map(line => line.replace(/^#{1,6}\s+[^\p{L}\p{N}]*/u, ''));
+
+        return this.requiredSections
+            .filter(section => !headings.some(heading =>
+                heading.toLowerCase().startsWith(section.toLowerCase())
+                && !/[\p{L}\p{N}]/u.test(heading.charAt(section.length))
+            ))
+            .map(section => ({
+                check: 'required-sections',
+                cell: null,
+                message: `Missing required section "${section}"`
+            }));
+    }
+
+    /**
+     * One high-priority task per notebook and failing check
+     */
+    static toTasks(findings, now = new Date()) {
+        const groups = new Map();
+        for (const finding of findings) {
+            const key = `${finding.file}\n${finding.check}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(finding);
+        }
+
+        return [...groups.values()].map(group => {
+            const { file, check } = group[0];
+            const rule = `notebook-lint-${check}`;
+            return {
+                id: `${rule}-${now.getTime()}`,
+                rule,
+                createdAt: now.toISOString(),
+                title: CHECKS[check].title(path.basename(file)),
+                description: group.map(finding => finding.message).join('; '),
+                type: CHECKS[check].type,
+                priority: 'high',
+                category: 'notebook-lint',
+                estimatedHours: 1,
+                files: [file]
+            };
+        });
+    }
+}
+
+module.exports = NotebookLinter;
+module.exports.REQUIRED_SECTIONS = REQUIRED_SECTIONS;
+module.exports.redact = redact;
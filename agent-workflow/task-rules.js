@@ -0,0 +1,326 @@
+/**
+ * Task Rule Engine
+ *
+ * Evaluates declarative task rules against a PR analysis. Each rule has a
+ * `when` block of match conditions (all must hold) and a `task` template that
+ * is emitted when the rule matches. Rules are loaded from a JSON file or a JS
+ * module exporting the same shape.
+ *
+ * Supported conditions:
+ * - prCount:  { min, max }                  number of analyzed PRs
+ * - files:    { pattern, changed }          whether any PR touched a matching file
+ * - labels:   ["name", ...]                 any PR carries one of these labels
+ * - churn:    { pattern, min, max }         additions + deletions over matching files
+ * - notebook: { cells, change, widgetsAdded, rcloneFlagsChanged, withoutFiles }
+ *                                           a PR's notebook diff (see notebook-diff.js) matches;
+ *                                           `widgetsAdded` looks only at the cells `cells`/`change`
+ *                                           select, `rcloneFlagsChanged` at the whole notebook
+ * - fallback: true                          only applies when no other rule matched
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const CONDITION_KEYS = ['prCount', 'files', 'labels', 'churn', 'notebook', 'fallback'];
+const NOTEBOOK_KEYS = ['cells', 'change', 'widgetsAdded', 'rcloneFlagsChanged', 'withoutFiles'];
+const CELL_CHANGES = ['added', 'modified', 'removed'];
+const PRIORITIES = ['low', 'medium', 'high'];
+
+/**
+ * Convert a glob (`*`, `**`, `?`) into an anchored regular expression
+ */
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // `**/` matches any number of directories, including none
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function matchesGlob(filename, pattern) {
+    const patterns = Array.isArray(pattern) ? pattern : [pattern];
+    return patterns.some(p => globToRegExp(p).test(filename));
+}
+
+function inRange(value, { min, max }) {
+    if (min !== undefined && value < min) return false;
+    if (max !== undefined && value > max) return false;
+    return true;
+}
+
+function labelName(label) {
+    return typeof label === 'string' ? label : label.name;
+}
+
+function isPattern(value) {
+    return typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function validateNotebookCondition(notebook) {
+    if (!isObject(notebook)) {
+        return ['"notebook" must be an object'];
+    }
+
+    const errors = [];
+    for (const key of Object.keys(notebook)) {
+        if (!NOTEBOOK_KEYS.includes(key)) {
+            errors.push(`unknown notebook condition "${key}"`);
+        }
+    }
+    for (const key of ['cells', 'withoutFiles']) {
+        if (notebook[key] !== undefined && !isPattern(notebook[key])) {
+            errors.push(`"notebook.${key}" must be a glob or an array of globs`);
+        }
+    }
+    if (notebook.change !== undefined
+        && (!Array.isArray(notebook.change) || !notebook.change.every(change => CELL_CHANGES.includes(change)))) {
+        errors.push(`"notebook.change" must be an array of ${CELL_CHANGES.join(', ')}`);
+    }
+    for (const key of ['widgetsAdded', 'rcloneFlagsChanged']) {
+        if (notebook[key] !== undefined && typeof notebook[key] !== 'boolean') {
+            errors.push(`"notebook.${key}" must be true or false`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Check a rules config against the rule schema. Returns a list of error messages.
+ */
+function validateRules(config) {
+    const errors = [];
+
+    if (!config || !Array.isArray(config.rules)) {
+        return ['Rules config must have a "rules" array'];
+    }
+
+    const seenIds = new Set();
+    config.rules.forEach((rule, index) => {
+        const where = `rules[${index}]`;
+
+        if (!isObject(rule)) {
+            errors.push(`${where}: rule must be an object`);
+            return;
+        }
+
+        if (typeof rule.id !== 'string' || !rule.id) {
+            errors.push(`${where}: "id" must be a non-empty string`);
+        } else if (seenIds.has(rule.id)) {
+            errors.push(`${where}: duplicate rule id "${rule.id}"`);
+        } else {
+            seenIds.add(rule.id);
+        }
+
+        const when = rule.when === undefined ? {} : rule.when;
+        if (!isObject(when)) {
+            errors.push(`${where}: "when" must be an object`);
+        } else {
+            for (const key of Object.keys(when)) {
+                if (!CONDITION_KEYS.includes(key)) {
+                    errors.push(`${where}: unknown condition "${key}"`);
+                }
+            }
+            if (when.files !== undefined
+                && (!isObject(when.files) || !isPattern(when.files.pattern) || when.files.pattern.length === 0
+                    || typeof when.files.changed !== 'boolean')) {
+                errors.push(`${where}: "files" needs a "pattern" and a boolean "changed"`);
+            }
+            if (when.labels !== undefined && !Array.isArray(when.labels)) {
+                errors.push(`${where}: "labels" must be an array of label names`);
+            }
+            if (when.notebook !== undefined) {
+                errors.push(...validateNotebookCondition(when.notebook).map(error => `${where}: ${error}`));
+            }
+            for (const key of ['prCount', 'churn']) {
+                const range = when[key];
+                if (range !== undefined
+                    && (!isObject(range) || ['min', 'max'].some(k => range[k] !== undefined && typeof range[k] !== 'number'))) {
+                    errors.push(`${where}: "${key}.min" and "${key}.max" must be numbers`);
+                }
+            }
+            if (when.churn?.pattern !== undefined && !isPattern(when.churn.pattern)) {
+                errors.push(`${where}: "churn.pattern" must be a glob or an array of globs`);
+            }
+        }
+
+        const task = rule.task;
+        if (!task || typeof task !== 'object') {
+            errors.push(`${where}: missing "task" template`);
+            return;
+        }
+        for (const field of ['title', 'description', 'type']) {
+            if (typeof task[field] !== 'string' || !task[field]) {
+                errors.push(`${where}: task "${field}" must be a non-empty string`);
+            }
+        }
+        if (typeof task.estimatedHours !== 'number') {
+            errors.push(`${where}: task "estimatedHours" must be a number`);
+        }
+        if (!Array.isArray(task.files)) {
+            errors.push(`${where}: task "files" must be an array`);
+        }
+        if (task.priority !== undefined && !PRIORITIES.includes(task.priority)) {
+            errors.push(`${where}: task "priority" must be one of ${PRIORITIES.join(', ')}`);
+        }
+    });
+
+    return errors;
+}
+
+class TaskRuleEngine {
+    constructor(config) {
+        const errors = validateRules(config);
+        if (errors.length > 0) {
+            throw new Error(`Invalid task rules: ${errors.join('; ')}`);
+        }
+        this.rules = config.rules;
+    }
+
+    /**
+     * Load rules from a `.json` file or a JS module
+     *
+     * @param {string} rulesPath
+     * @param {object} [options]
+     * @param {object} [options.fs] - Promise-based fs implementation for `.json` rules
+     */
+    static async load(rulesPath, { fs: fileSystem = fs } = {}) {
+        if (path.extname(rulesPath) === '.js') {
+            return new TaskRuleEngine(require(path.resolve(rulesPath)));
+        }
+        const config = JSON.parse(await fileSystem.readFile(rulesPath, 'utf8'));
+        return new TaskRuleEngine(config);
+    }
+
+    /**
+     * Evaluate all rules and build tasks for the ones that match
+     */
+    evaluate(analysis, now = new Date()) {
+        const tasks = [];
+        const fallbacks = [];
+
+        for (const rule of this.rules) {
+            const { fallback, ...conditions } = rule.when || {};
+            if (!this.matches(conditions, analysis)) continue;
+
+            if (fallback) {
+                fallbacks.push(rule);
+            } else {
+                tasks.push(this.buildTask(rule, now));
+            }
+        }
+
+        if (tasks.length === 0) {
+            return fallbacks.map(rule => this.buildTask(rule, now));
+        }
+        return tasks;
+    }
+
+    matches(conditions, analysis) {
+        const prs = analysis.recentPRs || [];
+        const files = prs.flatMap(pr => pr.files || []);
+
+        if (conditions.prCount && !inRange(prs.length, conditions.prCount)) {
+            return false;
+        }
+
+        if (conditions.files) {
+            const changed = files.some(f => matchesGlob(f.filename, conditions.files.pattern));
+            if (changed !== conditions.files.changed) return false;
+        }
+
+        if (conditions.labels) {
+            const hasLabel = prs.some(pr =>
+                (pr.labels || []).some(label => conditions.labels.includes(labelName(label)))
+            );
+            if (!hasLabel) return false;
+        }
+
+        if (conditions.churn) {
+            const { pattern } = conditions.churn;
+            const churn = files
+                .filter(f => !pattern || matchesGlob(f.filename, pattern))
+                .reduce((sum, f) => sum + (f.additions || 0) + (f.deletions || 0), 0);
+            if (!inRange(churn, conditions.churn)) return false;
+        }
+
+        if (conditions.notebook && !prs.some(pr => this.matchesNotebook(conditions.notebook, pr))) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Whether one PR's notebook diffs satisfy a `notebook` condition. `cells` and
+     * `change` select changed cells, and widget checks only look at those cells;
+     * rclone flags are compared across the whole notebook, since a flag set in one
+     * cell applies to the command another cell builds. `withoutFiles` requires that
+     * the same PR left the matching files untouched.
+     */
+    matchesNotebook(condition, pr) {
+        if (condition.withoutFiles && (pr.files || []).some(f => matchesGlob(f.filename, condition.withoutFiles))) {
+            return false;
+        }
+
+        const selectsCells = Boolean(condition.cells || condition.change);
+
+        return (pr.notebooks || []).some(notebook => {
+            const cells = notebook.cells.filter(cell =>
+                (!condition.cells || matchesGlob(cell.id, condition.cells))
+                && (!condition.change || condition.change.includes(cell.change))
+            );
+            if (selectsCells && cells.length === 0) return false;
+            const cellIds = new Set(cells.map(cell => cell.id));
+
+            if (condition.widgetsAdded !== undefined) {
+                const added = notebook.widgetsAdded.some(widget => !selectsCells || cellIds.has(widget.cell));
+                if (added !== condition.widgetsAdded) return false;
+            }
+
+            if (condition.rcloneFlagsChanged !== undefined) {
+                const changed = notebook.rcloneFlagsAdded.length + notebook.rcloneFlagsRemoved.length > 0;
+                if (changed !== condition.rcloneFlagsChanged) return false;
+            }
+
+            return true;
+        });
+    }
+
+    buildTask(rule, now) {
+        return {
+            id: `${rule.id}-${now.getTime()}`,
+            rule: rule.id,
+            createdAt: now.toISOString(),
+            priority: 'medium',
+            category: 'enhancement',
+            ...rule.task,
+            files: [...rule.task.files]
+        };
+    }
+}
+
+module.exports = TaskRuleEngine;
+module.exports.validateRules = validateRules;
+module.exports.matchesGlob = matchesGlob;
@@ -0,0 +1,122 @@
+/**
+ * Task Store
+ *
+ * Persists development tasks across agent runs so the same suggestion keeps
+ * a stable id instead of being regenerated every day. Tasks are keyed by a
+ * fingerprint of the rule that produced them and their target files, and
+ * carry a status: open, in-progress, done or dismissed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const STATUSES = ['open', 'in-progress', 'done', 'dismissed'];
+const ACTIVE_STATUSES = ['open', 'in-progress'];
+
+class TaskStore {
+    /**
+     * @param {string} storePath
+     * @param {object} [options]
+     * @param {object} [options.fs] - Promise-based fs implementation
+     */
+    constructor(storePath, { fs: fileSystem = fs } = {}) {
+        this.storePath = storePath;
+        this.fs = fileSystem;
+        this.tasks = [];
+    }
+
+    /**
+     * Stable fingerprint for a task: the rule id plus its sorted target files
+     */
+    static fingerprint(task) {
+        const key = [task.rule || task.type, ...[...task.files].sort()].join('\n');
+        return crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await this.fs.readFile(this.storePath, 'utf8'));
+            this.tasks = data.tasks || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.tasks = [];
+        }
+        return this;
+    }
+
+    async save(now = new Date()) {
+        await this.fs.mkdir(path.dirname(this.storePath), { recursive: true });
+        await this.fs.writeFile(
+            this.storePath,
+            JSON.stringify({ version: 1, updatedAt: now.toISOString(), tasks: this.tasks }, null, 2)
+        );
+    }
+
+    /**
+     * Merge freshly generated suggestions into the store. Known tasks keep their
+     * id, status and creation time; unknown ones are added as open.
+     */
+    merge(suggestions, now = new Date()) {
+        const seenAt = now.toISOString();
+
+        for (const suggestion of suggestions) {
+            const fingerprint = TaskStore.fingerprint(suggestion);
+            const existing = this.tasks.find(task => task.fingerprint === fingerprint);
+
+            if (existing) {
+                const { id, createdAt, ...details } = suggestion;
+                Object.assign(existing, details, { lastSeenAt: seenAt });
+                continue;
+            }
+
+            this.tasks.push({
+                ...suggestion,
+                id: `${suggestion.rule || suggestion.type}-${fingerprint}`,
+                fingerprint,
+                status: 'open',
+                lastSeenAt: seenAt
+            });
+        }
+
+        return this.activeTasks();
+    }
+
+    /**
+     * Mark active tasks as done when a merged PR mentions their id in its title or body
+     */
+    markCompletedFromPRs(prs, now = new Date()) {
+        const completed = [];
+
+        for (const task of this.activeTasks()) {
+            const pr = prs.find(pr => `${pr.title || ''}\n${pr.body || ''}`.includes(task.id));
+            if (!pr) continue;
+
+            task.status = 'done';
+            task.completedAt = pr.mergedAt || now.toISOString();
+            task.completedBy = pr.number;
+            completed.push(task);
+        }
+
+        return completed;
+    }
+
+    setStatus(id, status) {
+        if (!STATUSES.includes(status)) {
+            throw new Error(`Unknown task status "${status}" (expected ${STATUSES.join(', ')})`);
+        }
+        const task = this.tasks.find(task => task.id === id);
+        if (!task) {
+            throw new Error(`Unknown task "${id}"`);
+        }
+        task.status = status;
+        return task;
+    }
+
+    activeTasks() {
+        return this.tasks.filter(task => ACTIVE_STATUSES.includes(task.status));
+    }
+}
+
+module.exports = TaskStore;
+module.exports.STATUSES = STATUSES;
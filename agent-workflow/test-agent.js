@@ -3,20 +3,27 @@
 /**
  * Test script for the Continuous Coding Agent
  * Creates sample data and validates the workflow end-to-end
+ *
+ * A quick smoke test; `npm test` runs the full suite in test/. Everything is
+ * written to a temporary directory, never to the real agent-workflow/.
  */
 
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 const ContinuousAgent = require('./continuous-agent');
+const IssueSync = require('./issue-sync');
+const TaskStore = require('./task-store');
 
 class AgentTester {
     constructor() {
-        this.testDir = path.join(process.cwd(), 'agent-workflow', 'test-data');
+        this.testDir = null;
     }
 
     async runTests() {
         console.log('🧪 Starting Continuous Agent Tests...\n');
 
+        this.testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-test-'));
         try {
             // Test 1: Validate agent initialization
             await this.testAgentInitialization();
@@ -30,18 +37,23 @@ class AgentTester {
             // Test 4: Test README updates
             await this.testReadmeUpdates();
 
+            // Test 5: Test issue sync against a mocked Octokit
+            await this.testIssueSync();
+
             console.log('\n✅ All tests passed! The Continuous Coding Agent is working correctly.');
             
         } catch (error) {
             console.error('\n❌ Test failed:', error.message);
-            process.exit(1);
+            process.exitCode = 1;
+        } finally {
+            await fs.rm(this.testDir, { recursive: true, force: true });
         }
     }
 
     async testAgentInitialization() {
         console.log('📋 Test 1: Agent Initialization...');
         
-        const agent = new ContinuousAgent();
+        const agent = new ContinuousAgent({ rootDir: this.testDir });
         
         // Verify the agent has the required properties
         if (!agent.workflowDir) {
@@ -58,37 +70,13 @@ class AgentTester {
     async testWithMockData() {
         console.log('📋 Test 2: Mock Data Processing...');
         
-        const agent = new ContinuousAgent();
+        const agent = new ContinuousAgent({ rootDir: this.testDir });
         
-        // Create mock analysis data
-        const mockAnalysis = {
-            timestamp: new Date().toISOString(),
-            totalPRs: 2,
-            recentPRs: [
-                {
-                    number: 1,
-                    title: 'Initial setup',
-                    body: 'Set up the repository with basic files',
-                    mergedAt: '2025-01-01T10:00:00Z',
-                    files: [
-                        { filename: 'README.md', status: 'added', additions: 100, deletions: 0 },
-                        { filename: 'rclone_gdrive_transfer.ipynb', status: 'added', additions: 500, deletions: 0 }
-                    ],
-                    summary: 'Initial setup - Modified 2 files (documentation, notebook)'
-                },
-                {
-                    number: 2,
-                    title: 'Add continuous agent',
-                    body: 'Implement automated development workflow',
-                    mergedAt: '2025-01-02T10:00:00Z',
-                    files: [
-                        { filename: 'agent-workflow/continuous-agent.js', status: 'added', additions: 300, deletions: 0 },
-                        { filename: '.github/workflows/continuous-agent.yml', status: 'added', additions: 80, deletions: 0 }
-                    ],
-                    summary: 'Add continuous agent - Modified 2 files (automation, workflows)'
-                }
-            ]
-        };
+        // Load the recorded mock analysis fixture
+        const mockAnalysis = JSON.parse(await fs.readFile(
+            path.join(__dirname, 'fixtures', 'mock-analysis', 'analysis.json'),
+            'utf8'
+        ));
         
         // Test task generation with mock data
         const tasks = await agent.generateTasks(mockAnalysis);
@@ -110,10 +98,7 @@ class AgentTester {
     async testFileGeneration() {
         console.log('📋 Test 3: File Generation...');
         
-        // Ensure test directory exists
-        await fs.mkdir(this.testDir, { recursive: true });
-        
-        const agent = new ContinuousAgent();
+        const agent = new ContinuousAgent({ rootDir: this.testDir });
         
         // Test data structures
         const testAnalysis = {
@@ -173,7 +158,7 @@ class AgentTester {
     async testReadmeUpdates() {
         console.log('📋 Test 4: README Updates...');
         
-        const agent = new ContinuousAgent();
+        const agent = new ContinuousAgent({ rootDir: this.testDir });
         
         // Create test tasks for README update
         const testTasks = [
@@ -221,6 +206,76 @@ class AgentTester {
         
         console.log('   ✅ README progress section generated correctly');
     }
+
+    async testIssueSync() {
+        console.log('📋 Test 5: Issue Sync...');
+        
+        const calls = [];
+        const openIssues = [];
+        const mockOctokit = {
+            paginate: async (method, params) => method(params).then(({ data }) => data),
+            issues: {
+                listForRepo: async () => ({ data: openIssues }),
+                get: async ({ issue_number }) => ({ data: openIssues.find(issue => issue.number === issue_number) || { number: issue_number, state: 'open' } }),
+                create: async (params) => {
+                    calls.push(['create', params]);
+                    return { data: { number: 42, html_url: 'https://example.test/issues/42', created_at: '2025-01-01T00:00:00Z' } };
+                },
+                update: async (params) => {
+                    calls.push(['update', params]);
+                    return { data: {} };
+                },
+                createComment: async (params) => {
+                    calls.push(['comment', params]);
+                    return { data: {} };
+                }
+            }
+        };
+        
+        const store = new TaskStore(path.join(this.testDir, 'issue-sync-store.json'));
+        store.merge([{
+            rule: 'notebook-enhance',
+            title: 'Add error handling to notebook',
+            description: 'Improve error handling',
+            type: 'feature',
+            priority: 'medium',
+            category: 'enhancement',
+            estimatedHours: 4,
+            files: ['rclone_gdrive_transfer.ipynb']
+        }]);
+        
+        const sync = new IssueSync(mockOctokit, 'owner', 'repo');
+        
+        // First run creates the issue with derived labels
+        const first = await sync.sync(store, []);
+        if (first.created.length !== 1 || store.tasks[0].issue.number !== 42) {
+            throw new Error('Issue was not created for new task');
+        }
+        const labels = calls[0][1].labels;
+        if (!labels.includes('type:feature') || !labels.includes('priority:medium') || !labels.includes('category:enhancement')) {
+            throw new Error('Issue labels not derived from task');
+        }
+        
+        // Second run updates the same issue instead of creating another
+        openIssues.push({ number: 42, html_url: 'https://example.test/issues/42', body: IssueSync.issueBody(store.tasks[0]) });
+        const second = await sync.sync(store, []);
+        if (second.created.length !== 0 || second.updated[0] !== 42) {
+            throw new Error('Existing issue was duplicated instead of updated');
+        }
+        
+        // A merged PR saying "Closes #42" closes the issue and completes the task
+        openIssues.length = 0;
+        const third = await sync.sync(store, [{ number: 7, title: 'Fix notebook', body: 'Closes #42', mergedAt: '2025-01-02T00:00:00Z', files: [] }]);
+        if (third.closed[0] !== 42 || store.tasks[0].status !== 'done') {
+            throw new Error('Issue was not closed by merged PR');
+        }
+        const closeCall = calls.find(([type, params]) => type === 'update' && params.state === 'closed');
+        if (!closeCall) {
+            throw new Error('Issue close request not sent');
+        }
+        
+        console.log('   ✅ Issues created, updated and closed on merge');
+    }
 }
 
 // Run tests if this script is executed directly
@@ -0,0 +1,196 @@
+/**
+ * Trends Report
+ *
+ * Reads every saved analysis/tasks snapshot (archived ones included) and
+ * summarizes how development is going over time: PRs merged per week,
+ * churn by category, task creation vs. closure and the most-touched files.
+ */
+
+const TaskStore = require('./task-store');
+const { weekKey } = require('./workflow-history');
+
+class TrendsReport {
+    /**
+     * @param {function(Array<object>): string[]} categorize - Maps a file list to categories (ContinuousAgent#categorizeFiles)
+     */
+    constructor(categorize) {
+        this.categorize = categorize;
+    }
+
+    /**
+     * Build the report from history snapshots ({ kind, timestamp, data }, oldest first)
+     */
+    build(snapshots, { topFiles = 10 } = {}) {
+        const analyses = snapshots.filter(s => s.kind === 'analysis');
+        const taskSnapshots = snapshots.filter(s => s.kind === 'tasks');
+
+        // The same PR can appear in several snapshots; the latest copy wins
+        const prs = new Map();
+        for (const snapshot of analyses) {
+            for (const pr of snapshot.data.recentPRs || []) {
+                prs.set(pr.number, pr);
+            }
+        }
+
+        return {
+            generatedAt: new Date().toISOString(),
+            snapshots: { analysis: analyses.length, tasks: taskSnapshots.length },
+            range: {
+                from: snapshots.length > 0 ? snapshots[0].timestamp : null,
+                to: snapshots.length > 0 ? snapshots[snapshots.length - 1].timestamp : null
+            },
+            prsPerWeek: this.prsPerWeek([...prs.values()]),
+            churnByCategory: this.churnByCategory([...prs.values()]),
+            tasks: this.taskFlow(taskSnapshots),
+            topFiles: this.topFiles([...prs.values()], topFiles)
+        };
+    }
+
+    prsPerWeek(prs) {
+        const weeks = {};
+        for (const pr of prs) {
+            if (!pr.mergedAt) continue;
+            const week = weekKey(pr.mergedAt);
+            weeks[week] = (weeks[week] || 0) + 1;
+        }
+        return Object.entries(weeks)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([week, merged]) => ({ week, merged }));
+    }
+
+    churnByCategory(prs) {
+        const categories = {};
+        for (const pr of prs) {
+            for (const file of pr.files || []) {
+                const [category = 'other'] = this.categorize([file]);
+                categories[category] = categories[category] || { additions: 0, deletions: 0, files: 0 };
+                categories[category].additions += file.additions || 0;
+                categories[category].deletions += file.deletions || 0;
+                categories[category].files += 1;
+            }
+        }
+        return Object.entries(categories)
+            .map(([category, stats]) => ({ category, ...stats }))
+            .sort((a, b) => (b.additions + b.deletions) - (a.additions + a.deletions));
+    }
+
+    /**
+     * Tasks created and closed per week. A task is identified by its fingerprint,
+     * so legacy snapshots with timestamp ids are still matched across runs. It is
+     * closed in the first snapshot where it is marked done or no longer listed.
+     */
+    taskFlow(taskSnapshots) {
+        const weeks = {};
+        const bump = (timestamp, field) => {
+            const week = weekKey(timestamp);
+            weeks[week] = weeks[week] || { week, created: 0, closed: 0 };
+            weeks[week][field] += 1;
+        };
+
+        const open = new Set();
+        const seen = new Set();
+        for (const snapshot of taskSnapshots) {
+            const tasks = Array.isArray(snapshot.data) ? snapshot.data : [];
+            const current = new Set();
+
+            for (const task of tasks) {
+                const key = task.fingerprint || TaskStore.fingerprint(task);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    open.add(key);
+                    bump(task.createdAt || snapshot.timestamp, 'created');
+                }
+                if (task.status === 'done' || task.status === 'dismissed') {
+                    if (open.delete(key)) bump(snapshot.timestamp, 'closed');
+                } else {
+                    // A task listed again after dropping out is reopened, not recreated
+                    open.add(key);
+                    current.add(key);
+                }
+            }
+
+            for (const key of [...open]) {
+                if (!current.has(key)) {
+                    open.delete(key);
+                    bump(snapshot.timestamp, 'closed');
+                }
+            }
+        }
+
+        return {
+            open: open.size,
+            byWeek: Object.values(weeks).sort((a, b) => a.week.localeCompare(b.week))
+        };
+    }
+
+    topFiles(prs, limit) {
+        const files = {};
+        for (const pr of prs) {
+            for (const file of pr.files || []) {
+                files[file.filename] = files[file.filename] || { filename: file.filename, prs: 0, churn: 0 };
+                files[file.filename].prs += 1;
+                files[file.filename].churn += (file.additions || 0) + (file.deletions || 0);
+            }
+        }
+        return Object.values(files)
+            .sort((a, b) => b.prs - a.prs || b.churn - a.churn)
+            .slice(0, limit);
+    }
+
+    /**
+     * Render the report as a README-ready Markdown section
+     */
+    toMarkdown(report) {
+        let section = `## 📈 Development Trends\n\n`;
+
+        if (!report.range.from) {
+            section += `No saved analysis history yet.\n`;
+            return section;
+        }
+
+        section += `*Based on ${report.snapshots.analysis} analysis and ${report.snapshots.tasks} task snapshots from ${report.range.from.slice(0, 10)} to ${report.range.to.slice(0, 10)}*\n\n`;
+
+        section += `### PRs Merged per Week\n\n`;
+        if (report.prsPerWeek.length === 0) {
+            section += `No merged PRs recorded.\n\n`;
+        } else {
+            section += `| Week of | Merged PRs |\n|---------|------------|\n`;
+            report.prsPerWeek.forEach(({ week, merged }) => {
+                section += `| ${week} | ${merged} |\n`;
+            });
+            section += `\n`;
+        }
+
+        if (report.churnByCategory.length > 0) {
+            section += `### Changes by Category\n\n`;
+            section += `| Category | Files | Additions | Deletions |\n|----------|-------|-----------|-----------|\n`;
+            report.churnByCategory.forEach(({ category, files, additions, deletions }) => {
+                section += `| ${category} | ${files} | +${additions} | -${deletions} |\n`;
+            });
+            section += `\n`;
+        }
+
+        section += `### Task Flow\n\n`;
+        if (report.tasks.byWeek.length === 0) {
+            section += `No task history recorded.\n\n`;
+        } else {
+            section += `| Week of | Created | Closed |\n|---------|---------|--------|\n`;
+            report.tasks.byWeek.forEach(({ week, created, closed }) => {
+                section += `| ${week} | ${created} | ${closed} |\n`;
+            });
+            section += `\nOpen tasks: ${report.tasks.open}\n\n`;
+        }
+
+        if (report.topFiles.length > 0) {
+            section += `### Most-Touched Files\n\n`;
+            report.topFiles.forEach(({ filename, prs, churn }, index) => {
+                section += `${index + 1}. \`${filename}\` - ${prs} PR${prs === 1 ? '' : 's'}, ${churn} lines changed\n`;
+            });
+            section += `\n`;
+        }
+
+        return section;
+    }
+}
+
+module.exports = TrendsReport;
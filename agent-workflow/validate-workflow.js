@@ -3,252 +3,285 @@
 /**
  * End-to-End Validation Script for Continuous Coding Agent
  * Validates the complete workflow implementation
+ *
+ * Checks are plugins (see validation-checks.js) with an id and a severity.
+ * `agent-workflow/validation.json` can turn checks off, change their
+ * severity, override their options and load more checks:
+ *
+ *     {
+ *         "checks": {
+ *             "notebooks": false,
+ *             "dependencies": { "severity": "warning", "options": { "required": ["@octokit/rest", "yaml"] } }
+ *         },
+ *         "plugins": ["./checks/licence-header.js"]
+ *     }
+ *
+ * Plugin paths are relative to the config file.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const BUILTIN_CHECKS = require('./validation-checks');
 
-class WorkflowValidator {
-    constructor() {
-        this.rootDir = process.cwd();
-        this.results = {
-            passed: 0,
-            failed: 0,
-            warnings: 0,
-            details: []
-        };
-    }
-
-    async validate() {
-        console.log('🔍 Starting End-to-End Workflow Validation...\n');
+const SEVERITIES = ['error', 'warning'];
+const CONFIG_KEYS = ['checks', 'plugins'];
+const CHECK_SETTING_KEYS = ['enabled', 'severity', 'options'];
 
-        // Core file validation
-        await this.validateCoreFiles();
-        
-        // Dependencies validation
-        await this.validateDependencies();
-        
-        // Workflow configuration validation
-        await this.validateWorkflowConfig();
-        
-        // Agent functionality validation
-        await this.validateAgentFunctionality();
-        
-        // Integration validation
-        await this.validateIntegration();
-
-        this.printResults();
-    }
-
-    async validateCoreFiles() {
-        console.log('📁 Validating Core Files...');
-        
-        const requiredFiles = [
-            'agent-workflow/continuous-agent.js',
-            'agent-workflow/README.md',
-            '.github/workflows/continuous-agent.yml',
-            'package.json',
-            '.gitignore'
-        ];
-
-        for (const file of requiredFiles) {
-            await this.checkFile(file, true);
+/**
+ * Check plugins against the plugin shape. Returns a list of error messages.
+ */
+function validateChecks(checks) {
+    const errors = [];
+    const seenIds = new Set();
+    checks.forEach((check, index) => {
+        const where = `checks[${index}]`;
+        if (typeof check?.id !== 'string' || !check.id) {
+            errors.push(`${where}: "id" must be a non-empty string`);
+            return;
+        }
+        if (seenIds.has(check.id)) {
+            errors.push(`${where}: duplicate check id "${check.id}"`);
+        }
+        seenIds.add(check.id);
+        if (typeof check.run !== 'function') {
+            errors.push(`${check.id}: "run" must be a function`);
         }
+        if (check.severity !== undefined && !SEVERITIES.includes(check.severity)) {
+            errors.push(`${check.id}: "severity" must be one of ${SEVERITIES.join(', ')}`);
+        }
+    });
+    return errors;
+}
 
-        // Check generated files
-        const generatedFiles = [
-            'agent-workflow/latest-analysis.json',
-            'agent-workflow/latest-tasks.json'
-        ];
+/**
+ * Check a validation config against the available checks. Returns a list of error messages.
+ */
+function validateConfig(config, checks) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['Validation config must be an object'];
+    }
 
-        for (const file of generatedFiles) {
-            await this.checkFile(file, false, 'Generated workflow data file');
+    const errors = [];
+    for (const key of Object.keys(config)) {
+        if (!CONFIG_KEYS.includes(key)) {
+            errors.push(`unknown key "${key}"`);
         }
     }
+    if (config.plugins !== undefined
+        && (!Array.isArray(config.plugins) || !config.plugins.every(plugin => typeof plugin === 'string'))) {
+        errors.push('"plugins" must be an array of module paths');
+    }
+    if (config.checks === undefined) {
+        return errors;
+    }
+    if (typeof config.checks !== 'object' || Array.isArray(config.checks)) {
+        return [...errors, '"checks" must be an object keyed by check id'];
+    }
 
-    async validateDependencies() {
-        console.log('📦 Validating Dependencies...');
-        
-        try {
-            const packageJson = JSON.parse(await fs.readFile('package.json', 'utf8'));
-            
-            // Check required dependencies
-            if (!packageJson.dependencies || !packageJson.dependencies['@octokit/rest']) {
-                this.fail('Missing required dependency: @octokit/rest');
-            } else {
-                this.pass('GitHub API dependency present');
+    for (const [id, setting] of Object.entries(config.checks)) {
+        const where = `checks.${id}`;
+        const check = checks.find(candidate => candidate.id === id);
+        if (!check) {
+            errors.push(`${where}: unknown check; available checks: ${checks.map(candidate => candidate.id).join(', ')}`);
+            continue;
+        }
+        if (typeof setting === 'boolean') continue;
+        if (!setting || typeof setting !== 'object' || Array.isArray(setting)) {
+            errors.push(`${where}: must be true, false or an object`);
+            continue;
+        }
+        for (const key of Object.keys(setting)) {
+            if (!CHECK_SETTING_KEYS.includes(key)) {
+                errors.push(`${where}: unknown key "${key}"`);
             }
-
-            // Check package.json structure
-            if (!packageJson.name || !packageJson.main) {
-                this.warn('Package.json missing some metadata fields');
+        }
+        if (setting.enabled !== undefined && typeof setting.enabled !== 'boolean') {
+            errors.push(`${where}: "enabled" must be a boolean`);
+        }
+        if (setting.severity !== undefined && !SEVERITIES.includes(setting.severity)) {
+            errors.push(`${where}: "severity" must be one of ${SEVERITIES.join(', ')}`);
+        }
+        if (setting.options !== undefined) {
+            if (!setting.options || typeof setting.options !== 'object' || Array.isArray(setting.options)) {
+                errors.push(`${where}: "options" must be an object`);
             } else {
-                this.pass('Package.json structure valid');
-            }
-
-            // Check if node_modules exists (dependencies installed)
-            try {
-                await fs.access('node_modules');
-                this.pass('Dependencies installed (node_modules exists)');
-            } catch {
-                this.warn('Dependencies not installed (run npm install)');
+                for (const option of Object.keys(setting.options)) {
+                    if (!Object.prototype.hasOwnProperty.call(check.defaults || {}, option)) {
+                        errors.push(`${where}: unknown option "${option}"`);
+                    }
+                }
             }
+        }
+    }
+    return errors;
+}
 
-        } catch (error) {
-            this.fail(`Error reading package.json: ${error.message}`);
+class WorkflowValidator {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.rootDir] - Repository root (default: the working directory)
+     * @param {object} [options.config] - Parsed validation.json
+     * @param {Array<object>} [options.checks] - Checks to run (default: the built-in checks)
+     * @param {string} [options.agentConfigPath] - Agent config to check instead of agent.config.json
+     * @param {object} [options.fs] - Promise-based fs implementation the checks read through
+     */
+    constructor({ rootDir = process.cwd(), config = {}, checks = BUILTIN_CHECKS, agentConfigPath = null, fs: fileSystem = fs } = {}) {
+        const errors = [...validateChecks(checks), ...validateConfig(config, checks)];
+        if (errors.length > 0) {
+            throw new Error(`Invalid validation config: ${errors.join('; ')}`);
         }
+        this.rootDir = rootDir;
+        this.agentConfigPath = agentConfigPath;
+        this.fs = fileSystem;
+        this.config = config;
+        this.checks = [...checks];
+        this.resetResults();
     }
 
-    async validateWorkflowConfig() {
-        console.log('⚙️  Validating Workflow Configuration...');
-        
-        try {
-            const workflowContent = await fs.readFile('.github/workflows/continuous-agent.yml', 'utf8');
-            
-            // Check for required workflow elements
-            const requiredElements = [
-                'name: Continuous Coding Agent',
-                'GH_PAT:',
-                'node agent-workflow/continuous-agent.js',
-                'pull_request:',
-                'schedule:'
-            ];
+    /**
+     * Default location of the validation config
+     */
+    static defaultConfigPath(rootDir = process.cwd()) {
+        return path.join(rootDir, 'agent-workflow', 'validation.json');
+    }
 
-            for (const element of requiredElements) {
-                if (workflowContent.includes(element)) {
-                    this.pass(`Workflow contains: ${element}`);
-                } else {
-                    this.fail(`Workflow missing: ${element}`);
-                }
+    /**
+     * Build a validator from a config file and the plugins it lists. Without
+     * an explicit path, a missing default config means every check runs with
+     * its defaults. A relative path is relative to `rootDir`; plugins are
+     * always required from disk.
+     */
+    static async load(configPath = null, { rootDir = process.cwd(), agentConfigPath = null, fs: fileSystem = fs } = {}) {
+        const file = configPath ? path.resolve(rootDir, configPath) : WorkflowValidator.defaultConfigPath(rootDir);
+        let config = {};
+        try {
+            config = JSON.parse(await fileSystem.readFile(file, 'utf8'));
+        } catch (error) {
+            if (configPath || error.code !== 'ENOENT') {
+                throw new Error(`Could not read validation config ${file}: ${error.message}`);
             }
+        }
 
-            // Check for proper permissions
-            if (workflowContent.includes('contents: write') && workflowContent.includes('pull-requests: write')) {
-                this.pass('Workflow has required permissions');
-            } else {
-                this.fail('Workflow missing required permissions');
-            }
+        const plugins = Array.isArray(config?.plugins)
+            ? config.plugins.flatMap(plugin => require(path.resolve(path.dirname(file), plugin)))
+            : [];
+        return new WorkflowValidator({ rootDir, config, checks: [...BUILTIN_CHECKS, ...plugins], agentConfigPath, fs: fileSystem });
+    }
 
-        } catch (error) {
-            this.fail(`Error reading workflow file: ${error.message}`);
+    /**
+     * Add a check after construction, e.g. from a script embedding the validator
+     */
+    register(check) {
+        const errors = validateChecks([...this.checks, check]);
+        if (errors.length > 0) {
+            throw new Error(`Invalid check: ${errors.join('; ')}`);
         }
+        this.checks.push(check);
+        return this;
     }
 
-    async validateAgentFunctionality() {
-        console.log('🤖 Validating Agent Functionality...');
-        
-        try {
-            // Import and test the agent class
-            const ContinuousAgent = require('../agent-workflow/continuous-agent');
-            const agent = new ContinuousAgent();
-
-            // Test agent methods exist
-            const requiredMethods = [
-                'run',
-                'analyzeRecentPRs',
-                'generateTasks',
-                'saveWorkflowData',
-                'updateReadmeProgress'
-            ];
+    resetResults() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            skipped: [],
+            checks: [],
+            details: []
+        };
+    }
 
-            for (const method of requiredMethods) {
-                if (typeof agent[method] === 'function') {
-                    this.pass(`Agent method exists: ${method}`);
-                } else {
-                    this.fail(`Agent method missing: ${method}`);
-                }
-            }
+    /**
+     * Effective settings of a check after applying the config
+     */
+    settingsFor(check) {
+        const setting = this.config.checks?.[check.id];
+        const overrides = typeof setting === 'object' ? setting : { enabled: setting !== false };
+        return {
+            enabled: overrides.enabled !== false,
+            severity: overrides.severity || check.severity || 'error',
+            options: { ...check.defaults, ...overrides.options }
+        };
+    }
 
-            // Test task generation with empty data
-            const mockAnalysis = { timestamp: new Date().toISOString(), totalPRs: 0, recentPRs: [] };
-            const tasks = await agent.generateTasks(mockAnalysis);
-            
-            if (Array.isArray(tasks) && tasks.length > 0) {
-                this.pass('Agent generates tasks with empty analysis');
-            } else {
-                this.fail('Agent fails to generate fallback tasks');
-            }
+    /**
+     * Run every enabled check
+     *
+     * @returns {Promise<object>} Results with pass/fail/warning counts, per-check status and every detail line
+     */
+    async validate() {
+        console.log('🔍 Starting End-to-End Workflow Validation...\n');
+        this.resetResults();
 
-        } catch (error) {
-            this.fail(`Error testing agent functionality: ${error.message}`);
-        }
-    }
+        for (const check of this.checks) {
+            const settings = this.settingsFor(check);
+            const summary = { id: check.id, description: check.description || check.id, severity: settings.severity, status: 'skipped' };
+            this.results.checks.push(summary);
 
-    async validateIntegration() {
-        console.log('🔗 Validating Integration...');
-        
-        try {
-            // Check README has been updated with status section
-            const readmeContent = await fs.readFile('README.md', 'utf8');
-            
-            if (readmeContent.includes('## 🤖 Automated Development Status')) {
-                this.pass('README contains automated status section');
-            } else {
-                this.fail('README missing automated status section');
+            if (!settings.enabled) {
+                this.results.skipped.push(check.id);
+                console.log(`⏭️  Skipping ${check.id} (disabled in validation config)`);
+                continue;
             }
 
-            if (readmeContent.includes('Continuous Coding Agent')) {
-                this.pass('README references the continuous agent');
-            } else {
-                this.warn('README could better reference the agent');
-            }
+            console.log(check.title || `🔎 ${check.id}...`);
+            const counts = { failed: this.results.failed, warnings: this.results.warnings };
+            const record = type => (message, location = {}) => {
+                // A failing check with severity "warning" is reported, but does not fail validation
+                const effective = type === 'FAIL' && settings.severity === 'warning' ? 'WARN' : type;
+                this.record(effective, message, {
+                    check: check.id,
+                    file: location.file || check.file || null,
+                    line: location.line || null
+                });
+            };
 
-            // Check workflow data structure
             try {
-                const latestTasks = JSON.parse(await fs.readFile('agent-workflow/latest-tasks.json', 'utf8'));
-                
-                if (Array.isArray(latestTasks) && latestTasks.length > 0) {
-                    const task = latestTasks[0];
-                    const requiredFields = ['id', 'title', 'description', 'type', 'priority', 'estimatedHours'];
-                    
-                    const hasAllFields = requiredFields.every(field => task[field] !== undefined);
-                    
-                    if (hasAllFields) {
-                        this.pass('Task data structure is valid');
-                    } else {
-                        this.fail('Task data structure is incomplete');
-                    }
-                } else {
-                    this.warn('No tasks in latest data (expected for new setup)');
-                }
+                await check.run({
+                    rootDir: this.rootDir,
+                    fs: this.fs,
+                    agentConfigPath: this.agentConfigPath,
+                    options: settings.options,
+                    pass: record('PASS'),
+                    fail: record('FAIL'),
+                    warn: record('WARN'),
+                    log: message => console.log(`   ${message}`)
+                });
             } catch (error) {
-                this.warn('Could not validate task data structure');
+                record('FAIL')(`Check ${check.id} could not run: ${error.message}`);
             }
 
-        } catch (error) {
-            this.fail(`Error validating integration: ${error.message}`);
-        }
-    }
-
-    async checkFile(filePath, required = true, description = null) {
-        try {
-            await fs.access(filePath);
-            this.pass(`File exists: ${filePath}${description ? ` (${description})` : ''}`);
-        } catch {
-            if (required) {
-                this.fail(`Required file missing: ${filePath}`);
+            if (this.results.failed > counts.failed) {
+                summary.status = 'failed';
+            } else if (this.results.warnings > counts.warnings) {
+                summary.status = 'warning';
             } else {
-                this.warn(`Optional file missing: ${filePath}${description ? ` (${description})` : ''}`);
+                summary.status = 'passed';
             }
         }
+
+        this.printResults();
+        return this.results;
+    }
+
+    record(type, message, { check = null, file = null, line = null } = {}) {
+        const counter = { PASS: 'passed', FAIL: 'failed', WARN: 'warnings' }[type];
+        const icon = { PASS: '✅', FAIL: '❌', WARN: '⚠️ ' }[type];
+        this.results[counter]++;
+        this.results.details.push({ type, check, message, file, line });
+        console.log(`   ${icon} ${message}`);
     }
 
-    pass(message) {
-        this.results.passed++;
-        this.results.details.push({ type: 'PASS', message });
-        console.log(`   ✅ ${message}`);
+    pass(message, details) {
+        this.record('PASS', message, details);
     }
 
-    fail(message) {
-        this.results.failed++;
-        this.results.details.push({ type: 'FAIL', message });
-        console.log(`   ❌ ${message}`);
+    fail(message, details) {
+        this.record('FAIL', message, details);
     }
 
-    warn(message) {
-        this.results.warnings++;
-        this.results.details.push({ type: 'WARN', message });
-        console.log(`   ⚠️  ${message}`);
+    warn(message, details) {
+        this.record('WARN', message, details);
     }
 
     printResults() {
@@ -261,7 +294,6 @@ class WorkflowValidator {
             console.log('\n🎉 All critical validations passed! The Continuous Coding Agent workflow is ready.');
         } else {
             console.log('\n🚨 Some validations failed. Please address the issues above.');
-            process.exit(1);
         }
 
         if (this.results.warnings > 0) {
@@ -272,8 +304,17 @@ class WorkflowValidator {
 
 // Run validation if this script is executed directly
 if (require.main === module) {
-    const validator = new WorkflowValidator();
-    validator.validate().catch(console.error);
+    WorkflowValidator.load()
+        .then(validator => validator.validate())
+        .then(results => {
+            process.exitCode = results.failed === 0 ? 0 : 1;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
 }
 
-module.exports = WorkflowValidator;
\ No newline at end of file
+module.exports = WorkflowValidator;
+module.exports.validateConfig = validateConfig;
+module.exports.validateChecks = validateChecks;
\ No newline at end of file
@@ -0,0 +1,470 @@
+/**
+ * Built-in Validation Checks
+ *
+ * Each check is a plugin for WorkflowValidator:
+ *
+ * - id:          stable name used in validation.json and in JUnit/SARIF output
+ * - title:       console heading
+ * - description: one line for SARIF rule metadata
+ * - severity:    `error` (failures fail validation) or `warning` (failures are reported as warnings)
+ * - file:        where findings point when a check does not name a file
+ * - defaults:    options the config can override
+ * - run(context): reports with `context.pass`, `context.fail` and `context.warn`; reads files
+ *   through `context.fs` (relative to `context.rootDir`)
+ *
+ * Plugins listed in validation.json export a check, or an array of checks, of the same shape.
+ */
+
+const path = require('path');
+const { validateRules } = require('./task-rules');
+const WorkflowHistory = require('./workflow-history');
+const { findBlock } = require('./markdown-blocks');
+const NotebookLinter = require('./notebook-lint');
+const WorkflowLinter = require('./workflow-lint');
+const RcloneConfig = require('../transfer/rclone-config');
+const { CONFIG_FILE, DEFAULTS, loadAgentConfig, mergeConfig, validateAgentConfig } = require('./agent-config');
+
+const REQUIRE_PATTERN = /require\(\s*(['"])(\.[^'"]*)\1\s*\)/g;
+
+async function exists(fs, filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * The file a relative require loads, following Node's extension and index lookup
+ */
+async function resolveRequire(fs, fromDir, specifier) {
+    const target = path.resolve(fromDir, specifier);
+    const candidates = [target, `${target}.js`, `${target}.json`, path.join(target, 'index.js')];
+    for (const candidate of candidates) {
+        try {
+            if ((await fs.stat(candidate)).isFile()) return candidate;
+        } catch {
+            // Try the next candidate
+        }
+    }
+    return null;
+}
+
+const coreFiles = {
+    id: 'core-files',
+    title: '📁 Validating Core Files...',
+    description: 'Files the workflow needs are present',
+    severity: 'error',
+    defaults: {
+        required: [
+            'agent-workflow/continuous-agent.js',
+            'agent-workflow/README.md',
+            'agent-workflow/task-rules.js',
+            'agent-workflow/rules.json',
+            '.github/workflows/continuous-agent.yml',
+            'package.json',
+            '.gitignore'
+        ],
+        generated: [
+            'agent-workflow/latest-analysis.json',
+            'agent-workflow/latest-tasks.json'
+        ]
+    },
+    async run({ rootDir, fs, options, pass, fail, warn }) {
+        for (const file of options.required) {
+            if (await exists(fs, path.join(rootDir, file))) {
+                pass(`File exists: ${file}`, { file });
+            } else {
+                fail(`Required file missing: ${file}`, { file });
+            }
+        }
+        for (const file of options.generated) {
+            if (await exists(fs, path.join(rootDir, file))) {
+                pass(`File exists: ${file} (Generated workflow data file)`, { file });
+            } else {
+                warn(`Optional file missing: ${file} (Generated workflow data file)`, { file });
+            }
+        }
+    }
+};
+
+const dependencies = {
+    id: 'dependencies',
+    title: '📦 Validating Dependencies...',
+    description: 'package.json declares the runtime dependencies and they are installed',
+    severity: 'error',
+    file: 'package.json',
+    defaults: {
+        required: ['@octokit/rest']
+    },
+    async run({ rootDir, fs, options, pass, fail, warn }) {
+        let packageJson;
+        try {
+            packageJson = JSON.parse(await fs.readFile(path.join(rootDir, 'package.json'), 'utf8'));
+        } catch (error) {
+            fail(`Error reading package.json: ${error.message}`);
+            return;
+        }
+
+        for (const name of options.required) {
+            if (packageJson.dependencies?.[name]) {
+                pass(`Dependency present: ${name}`);
+            } else {
+                fail(`Missing required dependency: ${name}`);
+            }
+        }
+
+        if (!packageJson.name || !packageJson.main) {
+            warn('Package.json missing some metadata fields');
+        } else {
+            pass('Package.json structure valid');
+        }
+
+        if (await exists(fs, path.join(rootDir, 'node_modules'))) {
+            pass('Dependencies installed (node_modules exists)');
+        } else {
+            warn('Dependencies not installed (run npm install)');
+        }
+    }
+};
+
+const workflowConfig = {
+    id: 'workflow-config',
+    title: '⚙️  Validating Workflow Configuration...',
+    description: 'The GitHub Actions workflow runs the agent with the right triggers, inputs, environment and permissions',
+    severity: 'error',
+    file: '.github/workflows/continuous-agent.yml',
+    defaults: {
+        workflow: '.github/workflows/continuous-agent.yml',
+        agentCommand: 'agent-workflow/continuous-agent.js',
+        requiredEnv: ['GH_PAT', 'GITHUB_REPOSITORY'],
+        requiredPermissions: { contents: 'write', 'pull-requests': 'write' },
+        pinning: 'tag'
+    },
+    async run({ rootDir, fs, options, pass, fail, warn }) {
+        const file = options.workflow;
+        let findings;
+        try {
+            findings = new WorkflowLinter(options).lint(await fs.readFile(path.join(rootDir, file), 'utf8'), file);
+        } catch (error) {
+            fail(`Error reading workflow file: ${error.message}`, { file });
+            return;
+        }
+
+        const unparsable = findings.some(finding => finding.check === 'invalid-yaml');
+        for (const [check, description] of Object.entries(WorkflowLinter.CHECKS)) {
+            const own = findings.filter(finding => finding.check === check);
+            if (!unparsable && !own.some(finding => finding.severity === 'error')) {
+                pass(description, { file });
+            }
+            for (const finding of own) {
+                const report = finding.severity === 'error' ? fail : warn;
+                report(`Workflow [${check}]: ${finding.message}`, { file, line: finding.line });
+            }
+        }
+    }
+};
+
+const taskRules = {
+    id: 'task-rules',
+    title: '📐 Validating Task Rules...',
+    description: 'Task rules match the rule schema',
+    severity: 'error',
+    defaults: {
+        rules: 'agent-workflow/rules.json'
+    },
+    async run({ rootDir, fs, options, pass, fail }) {
+        const file = options.rules;
+        try {
+            const rulesConfig = JSON.parse(await fs.readFile(path.join(rootDir, file), 'utf8'));
+            const errors = validateRules(rulesConfig);
+
+            if (errors.length === 0) {
+                pass(`Task rules valid (${rulesConfig.rules.length} rules)`, { file });
+            }
+            for (const error of errors) {
+                fail(`Task rules: ${error}`, { file });
+            }
+        } catch (error) {
+            fail(`Error reading ${file}: ${error.message}`, { file });
+        }
+    }
+};
+
+const retentionPolicy = {
+    id: 'retention-policy',
+    title: '🗜️  Validating Retention Policy...',
+    description: 'The snapshot retention policy is valid',
+    severity: 'error',
+    defaults: {
+        policy: 'agent-workflow/retention.json'
+    },
+    async run({ rootDir, fs, options, pass, fail, warn }) {
+        const file = options.policy;
+        let policy;
+        try {
+            policy = JSON.parse(await fs.readFile(path.join(rootDir, file), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                warn('No retention policy; analysis/tasks snapshots are kept forever', { file });
+            } else {
+                fail(`Error reading ${file}: ${error.message}`, { file });
+            }
+            return;
+        }
+
+        const errors = WorkflowHistory.validatePolicy(policy);
+        if (errors.length === 0) {
+            pass('Retention policy valid', { file });
+        }
+        for (const error of errors) {
+            fail(`Retention policy: ${error}`, { file });
+        }
+    }
+};
+
+const agentConfig = {
+    id: 'agent-config',
+    title: '🧩 Validating Agent Config...',
+    description: 'agent.config.json matches the config schema and points at existing files',
+    severity: 'error',
+    file: CONFIG_FILE,
+    async run({ rootDir, fs, agentConfigPath, pass, fail }) {
+        let config;
+        try {
+            config = await loadAgentConfig({ rootDir, configPath: agentConfigPath, fs });
+        } catch (error) {
+            fail(error.message);
+            return;
+        }
+        if (Object.keys(config).length === 0) {
+            pass(`No ${CONFIG_FILE}; using the built-in defaults`);
+            return;
+        }
+
+        // The file alone, without this machine's environment overrides
+        const errors = validateAgentConfig(mergeConfig(DEFAULTS, config));
+        for (const error of errors) {
+            fail(`Agent config: ${error}`);
+        }
+        if (errors.length > 0) return;
+        pass('Agent config valid');
+
+        if (config.taskRules) {
+            try {
+                await fs.access(path.join(rootDir, config.taskRules));
+                pass(`Task rules file exists: ${config.taskRules}`);
+            } catch {
+                fail(`Task rules file not found: ${config.taskRules}`);
+            }
+        }
+    }
+};
+
+const notebooks = {
+    id: 'notebooks',
+    title: '📓 Linting Notebooks...',
+    description: 'Committed notebooks have no outputs, secrets or missing sections',
+    severity: 'error',
+    async run({ rootDir, fs, pass, fail, warn }) {
+        const linter = new NotebookLinter({ fs });
+        const files = await NotebookLinter.findNotebooks(rootDir, { fs });
+        if (files.length === 0) {
+            warn('No notebooks found to lint');
+        }
+
+        for (const notebook of files) {
+            const findings = await linter.lintFile(path.join(rootDir, notebook), notebook);
+            if (findings.length === 0) {
+                pass(`Notebook lint clean: ${notebook}`, { file: notebook });
+            }
+            for (const finding of findings) {
+                fail(`${notebook} [${finding.check}]: ${finding.message}`, { file: notebook });
+            }
+        }
+    }
+};
+
+const rcloneConfig = {
+    id: 'rclone-config',
+    title: '🔑 Checking rclone Config...',
+    description: 'No rclone.conf is committed, and RCLONE_CONFIG (when set) is usable',
+    severity: 'error',
+    async run({ rootDir, fs, pass, fail, warn, log }) {
+        // An rclone.conf in the repository would publish its OAuth tokens
+        if (await exists(fs, path.join(rootDir, 'rclone.conf'))) {
+            fail('rclone.conf found in the repository root; remove it and keep it out of git', { file: 'rclone.conf' });
+        } else {
+            pass('No rclone.conf in the repository root');
+        }
+
+        const configPath = process.env.RCLONE_CONFIG;
+        if (!configPath) {
+            log('ℹ️  RCLONE_CONFIG not set; skipping remote checks');
+            return;
+        }
+
+        try {
+            const config = await RcloneConfig.load(configPath, { fs });
+            const findings = config.validate();
+            for (const finding of findings) {
+                const message = `rclone config${finding.remote ? ` [${finding.remote}]` : ''}: ${finding.message}`;
+                if (finding.severity === 'error') {
+                    fail(message);
+                } else {
+                    warn(message);
+                }
+            }
+            if (!findings.some(finding => finding.severity === 'error')) {
+                pass(`rclone config valid: ${config.listRemotes().join(', ')}`);
+            }
+        } catch (error) {
+            fail(`Error reading rclone config ${configPath}: ${error.message}`);
+        }
+    }
+};
+
+const localRequires = {
+    id: 'local-requires',
+    title: '🧭 Checking Local Requires...',
+    description: 'Relative require() paths resolve and do not detour through a parent directory',
+    severity: 'error',
+    defaults: {
+        dirs: ['agent-workflow', 'transfer', 'test']
+    },
+    async run({ rootDir, fs, options, pass, fail }) {
+        for (const dir of options.dirs) {
+            const absoluteDir = path.join(rootDir, dir);
+            const files = (await fs.readdir(absoluteDir)).filter(file => file.endsWith('.js')).sort();
+            let problems = 0;
+
+            for (const name of files) {
+                const file = path.join(dir, name);
+                const lines = (await fs.readFile(path.join(rootDir, file), 'utf8')).split('\n');
+                for (const [index, line] of lines.entries()) {
+                    for (const [, , specifier] of line.matchAll(REQUIRE_PATTERN)) {
+                        const location = { file, line: index + 1 };
+                        const resolved = await resolveRequire(fs, absoluteDir, specifier);
+                        if (!resolved) {
+                            fail(`${file}:${index + 1} requires "${specifier}", which does not exist`, location);
+                            problems++;
+                            continue;
+                        }
+                        // `../agent-workflow/x` from inside agent-workflow/ only works while the folder keeps its name
+                        const direct = path.relative(absoluteDir, path.resolve(absoluteDir, specifier));
+                        if (specifier.startsWith('../') && !direct.startsWith('..')) {
+                            fail(`${file}:${index + 1} requires "${specifier}" through its parent directory; use "./${direct}"`, location);
+                            problems++;
+                        }
+                    }
+                }
+            }
+
+            if (problems === 0) {
+                pass(`Local requires resolve in ${dir}/ (${files.length} files)`);
+            }
+        }
+    }
+};
+
+const agentFunctionality = {
+    id: 'agent',
+    title: '🤖 Validating Agent Functionality...',
+    description: 'The agent loads, exposes its pipeline methods and produces fallback tasks',
+    severity: 'error',
+    file: 'agent-workflow/continuous-agent.js',
+    defaults: {
+        methods: ['run', 'analyzeRecentPRs', 'generateTasks', 'saveWorkflowData', 'updateReadmeProgress']
+    },
+    async run({ rootDir, fs, agentConfigPath, options, pass, fail }) {
+        const ContinuousAgent = require('./continuous-agent');
+        const agent = await ContinuousAgent.load({ rootDir, fs, configPath: agentConfigPath });
+
+        for (const method of options.methods) {
+            if (typeof agent[method] === 'function') {
+                pass(`Agent method exists: ${method}`);
+            } else {
+                fail(`Agent method missing: ${method}`);
+            }
+        }
+
+        // Test task generation with empty data
+        const mockAnalysis = { timestamp: new Date().toISOString(), totalPRs: 0, recentPRs: [] };
+        const tasks = await agent.generateTasks(mockAnalysis);
+
+        if (Array.isArray(tasks) && tasks.length > 0) {
+            pass('Agent generates tasks with empty analysis');
+        } else {
+            fail('Agent fails to generate fallback tasks');
+        }
+    }
+};
+
+const integration = {
+    id: 'integration',
+    title: '🔗 Validating Integration...',
+    description: 'The README status section and saved task data are in place',
+    severity: 'error',
+    file: 'README.md',
+    defaults: {
+        taskFields: ['id', 'title', 'description', 'type', 'priority', 'estimatedHours']
+    },
+    async run({ rootDir, fs, options, pass, fail, warn }) {
+        const readmeContent = await fs.readFile(path.join(rootDir, 'README.md'), 'utf8');
+
+        if (readmeContent.includes('## 🤖 Automated Development Status')) {
+            pass('README contains automated status section');
+        } else {
+            fail('README missing automated status section');
+        }
+
+        try {
+            if (findBlock(readmeContent, 'status')) {
+                pass('README status section is delimited by agent markers');
+            } else {
+                warn('README status section has no agent markers (added on next agent run)');
+            }
+        } catch (error) {
+            fail(`README markers: ${error.message}`);
+        }
+
+        if (readmeContent.includes('Continuous Coding Agent')) {
+            pass('README references the continuous agent');
+        } else {
+            warn('README could better reference the agent');
+        }
+
+        const file = 'agent-workflow/latest-tasks.json';
+        try {
+            const latestTasks = JSON.parse(await fs.readFile(path.join(rootDir, file), 'utf8'));
+
+            if (Array.isArray(latestTasks) && latestTasks.length > 0) {
+                const task = latestTasks[0];
+                if (options.taskFields.every(field => task[field] !== undefined)) {
+                    pass('Task data structure is valid', { file });
+                } else {
+                    fail('Task data structure is incomplete', { file });
+                }
+            } else {
+                warn('No tasks in latest data (expected for new setup)', { file });
+            }
+        } catch {
+            warn('Could not validate task data structure', { file });
+        }
+    }
+};
+
+module.exports = [
+    coreFiles,
+    dependencies,
+    workflowConfig,
+    taskRules,
+    retentionPolicy,
+    agentConfig,
+    notebooks,
+    rcloneConfig,
+    localRequires,
+    agentFunctionality,
+    integration
+];
@@ -0,0 +1,127 @@
+/**
+ * Validation Report Formats
+ *
+ * Machine-readable versions of WorkflowValidator results for CI:
+ *
+ * - JUnit XML: one test suite per check and one test case per result, so test
+ *   reporters list failures by check
+ * - SARIF 2.1.0: one rule per check and one result per failure or warning,
+ *   for code scanning annotations on the offending file and line
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function attributes(values) {
+    return Object.entries(values)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+        .join('');
+}
+
+/**
+ * @param {object} results - WorkflowValidator results
+ * @returns {string} JUnit XML
+ */
+function toJUnit(results) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites${attributes({
+            name: 'workflow-validation',
+            tests: results.details.length + results.skipped.length,
+            failures: results.failed,
+            skipped: results.skipped.length
+        })}>`
+    ];
+
+    for (const check of results.checks) {
+        const details = results.details.filter(detail => detail.check === check.id);
+        const skipped = check.status === 'skipped';
+        lines.push(`  <testsuite${attributes({
+            name: check.id,
+            tests: skipped ? 1 : details.length,
+            failures: details.filter(detail => detail.type === 'FAIL').length,
+            skipped: skipped ? 1 : 0
+        })}>`);
+
+        if (skipped) {
+            lines.push(`    <testcase${attributes({ classname: check.id, name: check.description })}>`);
+            lines.push('      <skipped message="Disabled in validation config"/>');
+            lines.push('    </testcase>');
+        }
+
+        for (const detail of details) {
+            const testcase = `    <testcase${attributes({ classname: check.id, name: detail.message, file: detail.file })}`;
+            if (detail.type === 'PASS') {
+                lines.push(`${testcase}/>`);
+            } else if (detail.type === 'FAIL') {
+                lines.push(`${testcase}>`);
+                lines.push(`      <failure${attributes({ message: detail.message, type: check.severity })}/>`);
+                lines.push('    </testcase>');
+            } else {
+                lines.push(`${testcase}>`);
+                lines.push(`      <system-out>${escapeXml(`Warning: ${detail.message}`)}</system-out>`);
+                lines.push('    </testcase>');
+            }
+        }
+        lines.push('  </testsuite>');
+    }
+
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {object} results - WorkflowValidator results
+ * @returns {object} SARIF log
+ */
+function toSarif(results) {
+    const rules = results.checks.map(check => ({
+        id: check.id,
+        shortDescription: { text: check.description },
+        defaultConfiguration: {
+            enabled: check.status !== 'skipped',
+            level: check.severity === 'warning' ? 'warning' : 'error'
+        }
+    }));
+
+    const findings = results.details
+        .filter(detail => detail.type !== 'PASS')
+        .map(detail => {
+            const result = {
+                ruleId: detail.check,
+                ruleIndex: rules.findIndex(rule => rule.id === detail.check),
+                level: detail.type === 'FAIL' ? 'error' : 'warning',
+                message: { text: detail.message }
+            };
+            if (detail.file) {
+                const physicalLocation = { artifactLocation: { uri: detail.file } };
+                if (detail.line) {
+                    physicalLocation.region = { startLine: detail.line };
+                }
+                result.locations = [{ physicalLocation }];
+            }
+            return result;
+        });
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: { driver: { name: 'validate-workflow', rules } },
+            results: findings
+        }]
+    };
+}
+
+module.exports = {
+    toJUnit,
+    toSarif
+};
@@ -0,0 +1,236 @@
+/**
+ * Workflow History
+ *
+ * Manages the timestamped `analysis-*.json` / `tasks-*.json` snapshots the
+ * agent writes on every run. A retention policy decides which runs to keep;
+ * pruned runs can be rolled into a gzip-compressed NDJSON archive so the
+ * full history stays queryable.
+ *
+ * Retention policy (a run is kept if any rule keeps it; an empty policy keeps everything):
+ * - keepLast:   the N most recent runs
+ * - keepDaily:  the newest run of each of the N most recent days with runs
+ * - keepWeekly: the newest run of each of the N most recent weeks with runs
+ * - maxAgeDays: every run younger than N days
+ * - archive:    append pruned runs to history-archive.ndjson.gz instead of discarding them
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const SNAPSHOT_PATTERN = /^(analysis|tasks)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json$/;
+const ARCHIVE_FILE = 'history-archive.ndjson.gz';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a filename timestamp (2025-08-03T23-59-01-700Z) back to ISO 8601
+ */
+function parseFileTimestamp(stamp) {
+    return stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+}
+
+function dayKey(timestamp) {
+    return timestamp.slice(0, 10);
+}
+
+/**
+ * Monday of the UTC week containing the timestamp
+ */
+function weekKey(timestamp) {
+    const date = new Date(timestamp);
+    const offset = (date.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - offset))
+        .toISOString()
+        .slice(0, 10);
+}
+
+class WorkflowHistory {
+    /**
+     * @param {string} workflowDir
+     * @param {object} [options]
+     * @param {object} [options.fs] - Promise-based fs implementation
+     */
+    constructor(workflowDir, { fs: fileSystem = fs } = {}) {
+        this.workflowDir = workflowDir;
+        this.fs = fileSystem;
+        this.archivePath = path.join(workflowDir, ARCHIVE_FILE);
+    }
+
+    /**
+     * Snapshot files on disk grouped into runs, newest first
+     */
+    async listRuns() {
+        let entries;
+        try {
+            entries = await this.fs.readdir(this.workflowDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const runs = new Map();
+        for (const entry of entries) {
+            const match = entry.match(SNAPSHOT_PATTERN);
+            if (!match) continue;
+
+            const [, kind, stamp] = match;
+            if (!runs.has(stamp)) {
+                runs.set(stamp, { timestamp: parseFileTimestamp(stamp), files: {} });
+            }
+            runs.get(stamp).files[kind] = path.join(this.workflowDir, entry);
+        }
+
+        return [...runs.values()].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    /**
+     * Check a retention policy. Returns a list of error messages.
+     */
+    static validatePolicy(policy) {
+        const errors = [];
+        for (const [key, value] of Object.entries(policy || {})) {
+            if (['keepLast', 'keepDaily', 'keepWeekly', 'maxAgeDays'].includes(key)) {
+                if (!Number.isInteger(value) || value < 0) {
+                    errors.push(`"${key}" must be a non-negative integer`);
+                }
+            } else if (key === 'archive') {
+                if (typeof value !== 'boolean') errors.push('"archive" must be true or false');
+            } else {
+                errors.push(`unknown retention option "${key}"`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Decide which runs a retention policy keeps
+     */
+    static planRetention(runs, policy = {}, now = new Date()) {
+        const { keepLast, keepDaily, keepWeekly, maxAgeDays } = policy;
+        const hasRule = [keepLast, keepDaily, keepWeekly, maxAgeDays].some(value => value !== undefined);
+        if (!hasRule) {
+            return { keep: runs, remove: [] };
+        }
+
+        const kept = new Set();
+
+        if (keepLast) {
+            runs.slice(0, keepLast).forEach(run => kept.add(run));
+        }
+
+        for (const [count, keyOf] of [[keepDaily, dayKey], [keepWeekly, weekKey]]) {
+            if (!count) continue;
+            const seen = new Set();
+            for (const run of runs) {
+                const key = keyOf(run.timestamp);
+                if (seen.has(key)) continue;
+                if (seen.size >= count) break;
+                seen.add(key);
+                kept.add(run);
+            }
+        }
+
+        if (maxAgeDays !== undefined) {
+            const cutoff = now.getTime() - maxAgeDays * DAY_MS;
+            runs.filter(run => new Date(run.timestamp).getTime() >= cutoff).forEach(run => kept.add(run));
+        }
+
+        return {
+            keep: runs.filter(run => kept.has(run)),
+            remove: runs.filter(run => !kept.has(run))
+        };
+    }
+
+    /**
+     * Apply a retention policy, archiving pruned runs when the policy asks for it
+     */
+    async compact(policy = {}, { dryRun = false, now = new Date() } = {}) {
+        const errors = WorkflowHistory.validatePolicy(policy);
+        if (errors.length > 0) {
+            throw new Error(`Invalid retention policy: ${errors.join('; ')}`);
+        }
+
+        const runs = await this.listRuns();
+        const plan = WorkflowHistory.planRetention(runs, policy, now);
+
+        if (dryRun || plan.remove.length === 0) {
+            return plan;
+        }
+
+        if (policy.archive) {
+            // Oldest first so the archive stays in chronological order
+            const records = [];
+            for (const run of [...plan.remove].reverse()) {
+                for (const kind of ['analysis', 'tasks']) {
+                    if (!run.files[kind]) continue;
+                    const data = JSON.parse(await this.fs.readFile(run.files[kind], 'utf8'));
+                    records.push(JSON.stringify({ kind, timestamp: run.timestamp, data }));
+                }
+            }
+            // gzip members can be concatenated, so the archive is appended to in place
+            await this.fs.appendFile(this.archivePath, await gzip(records.join('\n') + '\n'));
+        }
+
+        for (const run of plan.remove) {
+            for (const file of Object.values(run.files)) {
+                await this.fs.unlink(file);
+            }
+        }
+
+        return plan;
+    }
+
+    /**
+     * Every snapshot, archived and on disk, oldest first
+     *
+     * @param {object} [filter]
+     * @param {string} [filter.kind] - `analysis` or `tasks`
+     * @param {string} [filter.since] - ISO date lower bound (inclusive)
+     * @param {string} [filter.until] - ISO date upper bound (exclusive)
+     * @returns {Promise<Array<{kind: string, timestamp: string, data: object}>>}
+     */
+    async query({ kind, since, until } = {}) {
+        const snapshots = await this.readArchive();
+
+        for (const run of await this.listRuns()) {
+            for (const [runKind, file] of Object.entries(run.files)) {
+                snapshots.push({
+                    kind: runKind,
+                    timestamp: run.timestamp,
+                    data: JSON.parse(await this.fs.readFile(file, 'utf8'))
+                });
+            }
+        }
+
+        return snapshots
+            .filter(snapshot => !kind || snapshot.kind === kind)
+            .filter(snapshot => !since || snapshot.timestamp >= since)
+            .filter(snapshot => !until || snapshot.timestamp < until)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.kind.localeCompare(b.kind));
+    }
+
+    async readArchive() {
+        let compressed;
+        try {
+            compressed = await this.fs.readFile(this.archivePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return (await gunzip(compressed))
+            .toString('utf8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => JSON.parse(line));
+    }
+}
+
+module.exports = WorkflowHistory;
+module.exports.weekKey = weekKey;
+module.exports.SNAPSHOT_PATTERN = SNAPSHOT_PATTERN;
+module.exports.ARCHIVE_FILE = ARCHIVE_FILE;
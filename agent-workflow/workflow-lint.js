@@ -0,0 +1,479 @@
+/**
+ * Workflow Linter
+ *
+ * Parses the agent's GitHub Actions workflow and checks what it means rather
+ * than how it is written, so comments and reformatting neither hide nor cause
+ * problems:
+ *
+ * - invalid-yaml:     the file does not parse, or is not a mapping
+ * - triggers:         `pull_request` with `types: [closed]` and a `schedule`
+ * - schedule:         every cron expression is valid and no more frequent than GitHub runs them
+ * - dispatch-inputs:  `workflow_dispatch` inputs have valid types, options and defaults
+ * - unused-inputs:    every `workflow_dispatch` input is read somewhere in the workflow
+ * - agent-step:       some step runs the agent
+ * - agent-env:        the agent step gets `GH_PAT` and `GITHUB_REPOSITORY`
+ * - permissions:      the agent's job can write contents and pull requests
+ * - action-pins:      every `uses:` is pinned to a version tag or commit SHA
+ *
+ * Findings carry the line they refer to, for annotations.
+ */
+
+const fs = require('fs').promises;
+const { parseDocument, LineCounter, isMap, isSeq, isScalar } = require('yaml');
+
+const CHECKS = {
+    'invalid-yaml': 'Workflow is valid YAML',
+    triggers: 'Workflow runs on merged PRs and on a schedule',
+    schedule: 'Schedule cron expressions are valid',
+    'dispatch-inputs': 'workflow_dispatch inputs are well-formed',
+    'unused-inputs': 'Every workflow_dispatch input is used',
+    'agent-step': 'A step runs the agent',
+    'agent-env': 'The agent step gets its environment',
+    permissions: 'The agent job has the permissions it needs',
+    'action-pins': 'Actions are pinned to versions'
+};
+
+const INPUT_TYPES = ['string', 'boolean', 'choice', 'number', 'environment'];
+const INPUT_KEYS = ['description', 'required', 'default', 'type', 'options'];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'day of week', min: 0, max: 6, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+// GitHub does not run scheduled workflows more often than this
+const MIN_SCHEDULE_MINUTES = 5;
+
+/**
+ * Problems with a POSIX cron expression as GitHub Actions accepts it
+ *
+ * @returns {string[]} Error messages; empty when the expression is valid
+ */
+function validateCron(expression) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        return [`"${expression}" has ${fields.length} fields; cron needs ${CRON_FIELDS.length} (minute hour day month weekday)`];
+    }
+
+    const errors = [];
+    fields.forEach((field, index) => {
+        const { name, min, max, names = [] } = CRON_FIELDS[index];
+        const value = token => {
+            const named = names.indexOf(token.toUpperCase());
+            if (named !== -1) return named + min;
+            return /^\d+$/.test(token) ? Number(token) : NaN;
+        };
+
+        for (const item of field.split(',')) {
+            const match = item.match(/^(\*|[^-/]+(?:-[^-/]+)?)(?:\/(\d+))?$/);
+            if (!match) {
+                errors.push(`${name} "${item}" is not a value, range or step`);
+                continue;
+            }
+            const [, range, step] = match;
+            if (step !== undefined && Number(step) < 1) {
+                errors.push(`${name} step "${step}" must be at least 1`);
+            }
+            if (range === '*') continue;
+
+            const [from, to = from] = range.split('-').map(value);
+            if ([from, to].some(number => Number.isNaN(number) || number < min || number > max)) {
+                errors.push(`${name} "${range}" is outside ${min}-${max}`);
+            } else if (from > to) {
+                errors.push(`${name} range "${range}" runs backwards`);
+            }
+        }
+    });
+    return errors.map(error => `"${expression}": ${error}`);
+}
+
+/**
+ * Shortest gap, in minutes, between runs of a valid cron expression within one hour
+ */
+function minuteInterval(expression) {
+    const [minutes] = String(expression).trim().split(/\s+/);
+    const runs = new Set();
+    for (const item of minutes.split(',')) {
+        const [range, step = '1'] = item.split('/');
+        const [from, to] = range === '*' ? [0, 59] : range.split('-').map(Number);
+        for (let minute = from; minute <= (to ?? (item.includes('/') ? 59 : from)); minute += Number(step)) {
+            runs.add(minute);
+        }
+    }
+    const sorted = [...runs].sort((a, b) => a - b);
+    if (sorted.length < 2) return 60;
+    const gaps = sorted.slice(1).map((minute, index) => minute - sorted[index]);
+    gaps.push(60 - sorted[sorted.length - 1] + sorted[0]);
+    return Math.min(...gaps);
+}
+
+/**
+ * `on:` as a map of event name to its configuration, whichever form it was written in
+ */
+function normalizeTriggers(on) {
+    if (typeof on === 'string') return { [on]: null };
+    if (Array.isArray(on)) return Object.fromEntries(on.map(event => [event, null]));
+    return on && typeof on === 'object' ? on : {};
+}
+
+/**
+ * Script lines a step runs, without comments
+ */
+function scriptLines(step) {
+    return String(step.run ?? '').split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Every string value in the workflow, e.g. to search expressions
+ */
+function stringValues(value) {
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value)) return value.flatMap(stringValues);
+    if (value && typeof value === 'object') return Object.values(value).flatMap(stringValues);
+    return [];
+}
+
+class WorkflowLinter {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.agentCommand] - What the agent step runs
+     * @param {string[]} [options.requiredEnv] - Environment variables the agent step must set
+     * @param {object} [options.requiredPermissions] - Token scopes the agent job needs, e.g. `{ contents: 'write' }`
+     * @param {string} [options.pinning] - `tag` accepts version tags and SHAs, `sha` only commit SHAs
+     */
+    constructor({
+        agentCommand = 'agent-workflow/continuous-agent.js',
+        requiredEnv = ['GH_PAT', 'GITHUB_REPOSITORY'],
+        requiredPermissions = { contents: 'write', 'pull-requests': 'write' },
+        pinning = 'tag'
+    } = {}) {
+        this.agentCommand = agentCommand;
+        this.requiredEnv = requiredEnv;
+        this.requiredPermissions = requiredPermissions;
+        this.pinning = pinning;
+    }
+
+    /**
+     * Lint a workflow
+     *
+     * @param {string} text - Workflow YAML
+     * @param {string} file - Path used in findings
+     * @returns {Array<{file: string, check: string, severity: string, line: number|null, message: string}>}
+     */
+    lint(text, file) {
+        const lineCounter = new LineCounter();
+        const doc = parseDocument(text, { lineCounter, prettyErrors: false });
+        const lineAt = offset => lineCounter.linePos(offset).line;
+
+        if (doc.errors.length > 0) {
+            return doc.errors.map(error => ({
+                file,
+                check: 'invalid-yaml',
+                severity: 'error',
+                line: error.pos ? lineAt(error.pos[0]) : null,
+                message: error.message.split('\n')[0]
+            }));
+        }
+        const workflow = doc.toJS();
+        if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+            return [{ file, check: 'invalid-yaml', severity: 'error', line: null, message: 'Workflow is not a YAML mapping' }];
+        }
+
+        // Line of the deepest part of `path` that exists; keys point at the key, not its value
+        const lineOf = (path = []) => {
+            for (let depth = path.length; depth > 0; depth--) {
+                const parent = depth === 1 ? doc.contents : doc.getIn(path.slice(0, depth - 1), true);
+                const key = path[depth - 1];
+                let node = null;
+                if (isMap(parent)) {
+                    node = parent.items.find(pair => (isScalar(pair.key) ? pair.key.value : pair.key) === key)?.key;
+                } else if (isSeq(parent)) {
+                    node = parent.items[key];
+                }
+                if (node?.range) return lineAt(node.range[0]);
+            }
+            return null;
+        };
+
+        const context = {
+            workflow,
+            triggers: normalizeTriggers(workflow.on),
+            jobs: workflow.jobs && typeof workflow.jobs === 'object' ? Object.entries(workflow.jobs) : []
+        };
+        context.agentSteps = this.findAgentSteps(context);
+
+        return [
+            ...this.checkTriggers(context),
+            ...this.checkSchedule(context),
+            ...this.checkDispatchInputs(context),
+            ...this.checkUnusedInputs(context),
+            ...this.checkAgentStep(context),
+            ...this.checkAgentEnv(context),
+            ...this.checkPermissions(context),
+            ...this.checkActionPins(context)
+        ].map(({ path, ...finding }) => ({ file, severity: 'error', ...finding, line: lineOf(path) }));
+    }
+
+    async lintFile(filePath, file = filePath) {
+        return this.lint(await fs.readFile(filePath, 'utf8'), file);
+    }
+
+    /**
+     * Steps whose script runs the agent, with their job
+     */
+    findAgentSteps({ jobs }) {
+        const found = [];
+        for (const [jobId, job] of jobs) {
+            (job?.steps || []).forEach((step, index) => {
+                if (scriptLines(step).some(line => line.includes(this.agentCommand))) {
+                    found.push({ jobId, job, step, path: ['jobs', jobId, 'steps', index] });
+                }
+            });
+        }
+        return found;
+    }
+
+    checkTriggers({ workflow, triggers, agentSteps }) {
+        const findings = [];
+        if (workflow.on === undefined) {
+            return [{ check: 'triggers', path: [], message: 'Workflow has no "on" triggers' }];
+        }
+
+        if (!('pull_request' in triggers)) {
+            findings.push({ check: 'triggers', path: ['on'], message: 'Workflow does not run on pull_request; merged PRs are only picked up by the schedule' });
+        } else {
+            const types = [triggers.pull_request?.types ?? []].flat();
+            if (!types.includes('closed')) {
+                findings.push({
+                    check: 'triggers',
+                    path: ['on', 'pull_request'],
+                    message: `pull_request runs on ${types.length > 0 ? types.join(', ') : 'opened, synchronize and reopened'}, not closed; add "types: [closed]" to run when a PR is merged`
+                });
+            }
+            for (const { jobId, job } of agentSteps) {
+                if (!String(job.if ?? '').includes('github.event.pull_request.merged')) {
+                    findings.push({
+                        check: 'triggers',
+                        severity: 'warning',
+                        path: ['jobs', jobId, 'if'],
+                        message: `Job "${jobId}" also runs for PRs closed without merging; check github.event.pull_request.merged in its "if"`
+                    });
+                }
+            }
+        }
+
+        if (!('schedule' in triggers)) {
+            findings.push({ check: 'triggers', path: ['on'], message: 'Workflow has no schedule; the agent only runs on events' });
+        }
+        return findings;
+    }
+
+    checkSchedule({ triggers }) {
+        if (!('schedule' in triggers)) return [];
+
+        const schedule = triggers.schedule;
+        if (!Array.isArray(schedule) || schedule.length === 0) {
+            return [{ check: 'schedule', path: ['on', 'schedule'], message: 'schedule must be a list of "- cron: ..." entries' }];
+        }
+
+        const findings = [];
+        schedule.forEach((entry, index) => {
+            const path = ['on', 'schedule', index, 'cron'];
+            if (typeof entry?.cron !== 'string') {
+                findings.push({ check: 'schedule', path, message: `schedule[${index}] has no cron string` });
+                return;
+            }
+            const errors = validateCron(entry.cron);
+            for (const error of errors) {
+                findings.push({ check: 'schedule', path, message: `Invalid cron ${error}` });
+            }
+            if (errors.length === 0 && minuteInterval(entry.cron) < MIN_SCHEDULE_MINUTES) {
+                findings.push({
+                    check: 'schedule',
+                    severity: 'warning',
+                    path,
+                    message: `"${entry.cron}" runs more often than every ${MIN_SCHEDULE_MINUTES} minutes, which GitHub does not honor`
+                });
+            }
+        });
+        return findings;
+    }
+
+    checkDispatchInputs({ triggers }) {
+        const inputs = triggers.workflow_dispatch?.inputs;
+        if (inputs === undefined || inputs === null) return [];
+        if (typeof inputs !== 'object' || Array.isArray(inputs)) {
+            return [{ check: 'dispatch-inputs', path: ['on', 'workflow_dispatch', 'inputs'], message: 'workflow_dispatch inputs must be a mapping of input names' }];
+        }
+
+        const findings = [];
+        for (const [name, input] of Object.entries(inputs)) {
+            const path = ['on', 'workflow_dispatch', 'inputs', name];
+            const add = (message, severity = 'error', key = null) => {
+                findings.push({ check: 'dispatch-inputs', severity, path: key ? [...path, key] : path, message: `Input "${name}": ${message}` });
+            };
+            if (!input || typeof input !== 'object') {
+                add('must be a mapping with a description');
+                continue;
+            }
+
+            for (const key of Object.keys(input)) {
+                if (!INPUT_KEYS.includes(key)) add(`unknown key "${key}"`, 'error', key);
+            }
+            if (typeof input.description !== 'string' || !input.description.trim()) {
+                add('has no description', 'warning');
+            }
+            if (input.required !== undefined && typeof input.required !== 'boolean') {
+                add('"required" must be true or false', 'error', 'required');
+            }
+
+            const type = input.type ?? 'string';
+            if (!INPUT_TYPES.includes(type)) {
+                add(`type "${type}" must be one of ${INPUT_TYPES.join(', ')}`, 'error', 'type');
+                continue;
+            }
+            if (type === 'choice') {
+                if (!Array.isArray(input.options) || input.options.length === 0) {
+                    add('a choice input needs a non-empty "options" list', 'error', 'type');
+                } else if (input.default !== undefined && !input.options.map(String).includes(String(input.default))) {
+                    add(`default "${input.default}" is not one of its options`, 'error', 'default');
+                }
+            } else if (input.options !== undefined) {
+                add('"options" only applies to choice inputs', 'warning', 'options');
+            }
+            if (type === 'boolean' && input.default !== undefined && typeof input.default !== 'boolean') {
+                add(`default ${JSON.stringify(input.default)} should be true or false, not a string`, 'warning', 'default');
+            }
+            if (type === 'number' && input.default !== undefined && Number.isNaN(Number(input.default))) {
+                add(`default "${input.default}" is not a number`, 'error', 'default');
+            }
+            if (input.type === undefined && ['true', 'false'].includes(String(input.default))) {
+                add('looks like a flag; declare "type: boolean" so it shows as a checkbox', 'warning');
+            }
+        }
+        return findings;
+    }
+
+    checkUnusedInputs({ workflow, triggers }) {
+        const inputs = triggers.workflow_dispatch?.inputs;
+        if (!inputs || typeof inputs !== 'object') return [];
+
+        // Expressions can appear anywhere except in the trigger definitions themselves
+        const { on, ...rest } = workflow;
+        const expressions = stringValues(rest).flatMap(value => value.match(/\$\{\{[\s\S]*?\}\}/g) || []);
+
+        return Object.keys(inputs)
+            .filter(name => {
+                const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const reference = new RegExp(`\\binputs\\s*(?:\\.\\s*${escaped}\\b|\\[\\s*['"]${escaped}['"]\\s*\\])`);
+                return !expressions.some(expression => reference.test(expression));
+            })
+            .map(name => ({
+                check: 'unused-inputs',
+                path: ['on', 'workflow_dispatch', 'inputs', name],
+                message: `Input "${name}" is never read; pass \${{ inputs.${name} }} to a step or remove it`
+            }));
+    }
+
+    checkAgentStep({ agentSteps }) {
+        if (agentSteps.length > 0) return [];
+        return [{ check: 'agent-step', path: ['jobs'], message: `No step runs ${this.agentCommand}` }];
+    }
+
+    checkAgentEnv({ workflow, agentSteps }) {
+        const findings = [];
+        for (const { jobId, job, step, path } of agentSteps) {
+            const env = { ...workflow.env, ...job.env, ...step.env };
+            for (const name of this.requiredEnv) {
+                if (env[name] === undefined || env[name] === null || env[name] === '') {
+                    findings.push({ check: 'agent-env', path: [...path, 'env'], message: `Agent step in job "${jobId}" does not set ${name}` });
+                }
+            }
+            // A token written into the workflow is published with it
+            if (typeof env.GH_PAT === 'string' && env.GH_PAT && !env.GH_PAT.includes('${{')) {
+                findings.push({ check: 'agent-env', path: [...path, 'env', 'GH_PAT'], message: `GH_PAT in job "${jobId}" is a literal value; use \${{ secrets.GH_PAT }}` });
+            }
+        }
+        return findings;
+    }
+
+    checkPermissions({ workflow, agentSteps }) {
+        const findings = [];
+        const jobs = new Map(agentSteps.map(({ jobId, job, step }) => [jobId, { job, step }]));
+        for (const [jobId, { job, step }] of jobs) {
+            // Job permissions replace workflow permissions entirely
+            const permissions = job.permissions ?? workflow.permissions;
+            const path = job.permissions !== undefined ? ['jobs', jobId, 'permissions'] : ['jobs', jobId];
+            if (permissions === undefined) {
+                findings.push({ check: 'permissions', path, message: `Job "${jobId}" sets no permissions; the token's defaults depend on repository settings` });
+                continue;
+            }
+
+            const granted = scope => {
+                if (permissions === 'write-all') return 'write';
+                if (permissions === 'read-all') return 'read';
+                return permissions?.[scope] ?? 'none';
+            };
+            for (const [scope, level] of Object.entries(this.requiredPermissions)) {
+                if (level === 'write' ? granted(scope) !== 'write' : granted(scope) === 'none') {
+                    findings.push({ check: 'permissions', path, message: `Job "${jobId}" needs "${scope}: ${level}", has ${granted(scope)}` });
+                }
+            }
+
+            const env = { ...workflow.env, ...job.env, ...step.env };
+            if (env.AGENT_SYNC_ISSUES !== undefined && granted('issues') !== 'write') {
+                findings.push({ check: 'permissions', severity: 'warning', path, message: `Job "${jobId}" can enable AGENT_SYNC_ISSUES but lacks "issues: write"` });
+            }
+        }
+        return findings;
+    }
+
+    checkActionPins({ jobs }) {
+        const findings = [];
+        const uses = [];
+        for (const [jobId, job] of jobs) {
+            if (typeof job?.uses === 'string') uses.push({ ref: job.uses, path: ['jobs', jobId, 'uses'] });
+            (job?.steps || []).forEach((step, index) => {
+                if (typeof step?.uses === 'string') uses.push({ ref: step.uses, path: ['jobs', jobId, 'steps', index, 'uses'] });
+            });
+        }
+
+        for (const { ref, path } of uses) {
+            if (ref.startsWith('./')) continue;
+            if (ref.startsWith('docker://')) {
+                if (!/[:@][^/]+$/.test(ref.slice('docker://'.length))) {
+                    findings.push({ check: 'action-pins', severity: 'warning', path, message: `${ref} has no tag or digest` });
+                }
+                continue;
+            }
+
+            const [action, version] = ref.split('@');
+            if (!version) {
+                findings.push({ check: 'action-pins', path, message: `${action} is not pinned; add @<version>` });
+            } else if (/^[0-9a-f]{40}$/.test(version)) {
+                continue;
+            } else if (this.pinning === 'sha') {
+                findings.push({ check: 'action-pins', path, message: `${ref} should be pinned to a full commit SHA` });
+            } else if (!/^v?\d+(\.\d+){0,2}$/.test(version)) {
+                const branch = ['main', 'master', 'latest', 'HEAD'].includes(version);
+                findings.push({
+                    check: 'action-pins',
+                    severity: branch ? 'error' : 'warning',
+                    path,
+                    message: branch
+                        ? `${ref} follows a branch; pin it to a release tag or commit SHA`
+                        : `${ref} is not a version tag or commit SHA`
+                });
+            }
+        }
+        return findings;
+    }
+}
+
+module.exports = WorkflowLinter;
+module.exports.CHECKS = CHECKS;
+module.exports.validateCron = validateCron;
+module.exports.minuteInterval = minuteInterval;
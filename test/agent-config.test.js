@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    DEFAULTS,
+    envOverrides,
+    loadAgentConfig,
+    mergeConfig,
+    resolveAgentConfig,
+    validateAgentConfig
+} = require('../agent-workflow/agent-config');
+const { createTempRepo, removeTempRepo } = require('./helpers');
+
+describe('agent config', () => {
+    describe('validateAgentConfig', () => {
+        it('accepts the defaults and the repository config', async () => {
+            const config = JSON.parse(await fs.readFile(path.join(__dirname, '..', 'agent.config.json'), 'utf8'));
+
+            assert.deepEqual(validateAgentConfig(DEFAULTS), []);
+            assert.deepEqual(validateAgentConfig(mergeConfig(DEFAULTS, config)), []);
+        });
+
+        it('reports every schema violation with its path', () => {
+            const errors = validateAgentConfig({
+                repo: 'not a repo',
+                prWindow: { lookbackDays: 0, maxPRs: 2.5 },
+                steps: { readme: 'yes', deploy: true },
+                taskRules: 'rules.yaml',
+                outputs: { pullRequest: { branchPrefix: '' } },
+                extra: 1
+            });
+
+            assert.deepEqual(errors, [
+                'repo must match ^[\\w.-]+/[\\w.-]+$, got "not a repo"',
+                'prWindow.lookbackDays must be at least 1, got 0',
+                'prWindow.maxPRs must be integer or null, got number',
+                'steps.readme must be boolean, got string',
+                'Unknown setting "steps.deploy"',
+                'taskRules must match \\.(js|json)$, got "rules.yaml"',
+                'outputs.pullRequest.branchPrefix must not be empty',
+                'Unknown setting "extra"'
+            ]);
+        });
+
+        it('rejects a config that is not an object', () => {
+            assert.deepEqual(validateAgentConfig([]), ['Config must be object, got array']);
+        });
+    });
+
+    describe('resolveAgentConfig', () => {
+        it('layers defaults, file, environment and overrides', () => {
+            const config = resolveAgentConfig(
+                { repo: 'file/repo', prWindow: { lookbackDays: 14 }, steps: { pullRequest: false } },
+                {
+                    env: { GITHUB_REPOSITORY: 'env/repo', AGENT_MAX_PRS: '5', AGENT_SYNC_ISSUES: 'true' },
+                    overrides: { repo: 'flag/repo' }
+                }
+            );
+
+            assert.equal(config.repo, 'flag/repo');
+            assert.deepEqual(config.prWindow, { lookbackDays: 14, maxPRs: 5, maxTrackedPRs: 1000 });
+            assert.equal(config.steps.pullRequest, false);
+            assert.equal(config.steps.issueSync, true);
+            assert.equal(config.steps.readme, true);
+            assert.equal(config.outputs.pullRequest.branchPrefix, 'automated/development-');
+        });
+
+        it('skips undefined overrides and drops $schema', () => {
+            const config = resolveAgentConfig({ $schema: './schema.json', repo: 'file/repo' }, { env: {}, overrides: { repo: undefined } });
+
+            assert.equal(config.repo, 'file/repo');
+            assert.equal(config.$schema, undefined);
+        });
+
+        it('throws with every error, including bad environment values', () => {
+            assert.throws(
+                () => resolveAgentConfig({ paths: { workflowDir: '' } }, { env: { AGENT_LOOKBACK_DAYS: 'week', AGENT_SYNC_ISSUES: 'yes' } }),
+                {
+                    message: 'Invalid agent config: paths.workflowDir must not be empty; '
+                        + 'prWindow.lookbackDays must be integer, got string; steps.issueSync must be boolean, got string'
+                }
+            );
+        });
+    });
+
+    describe('envOverrides', () => {
+        it('ignores unset and empty variables', () => {
+            assert.deepEqual(envOverrides({ GITHUB_REPOSITORY: '', TRANSFER_AUDIT_DIR: '/tmp/audit' }), {
+                paths: { transferAuditDir: '/tmp/audit' }
+            });
+        });
+    });
+
+    describe('loadAgentConfig', () => {
+        let rootDir;
+
+        beforeEach(async () => {
+            rootDir = await createTempRepo();
+        });
+
+        afterEach(async () => {
+            await removeTempRepo(rootDir);
+        });
+
+        it('reads agent.config.json from the root directory', async () => {
+            await fs.writeFile(path.join(rootDir, 'agent.config.json'), JSON.stringify({ repo: 'owner/name' }));
+
+            assert.deepEqual(await loadAgentConfig({ rootDir }), { repo: 'owner/name' });
+        });
+
+        it('treats a missing default file as an empty config', async () => {
+            assert.deepEqual(await loadAgentConfig({ rootDir }), {});
+        });
+
+        it('fails when an explicit config file is missing', async () => {
+            await assert.rejects(loadAgentConfig({ rootDir, configPath: 'other.json' }), /Could not read agent config .*other\.json/);
+        });
+
+        it('fails on invalid JSON', async () => {
+            await fs.writeFile(path.join(rootDir, 'agent.config.json'), '{ repo: ');
+
+            await assert.rejects(loadAgentConfig({ rootDir }), /Invalid agent config: .*agent\.config\.json is not valid JSON/);
+        });
+    });
+});
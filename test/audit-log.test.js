@@ -0,0 +1,216 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AuditLog = require('../transfer/audit-log');
+const { parseSince } = require('../transfer/audit-log');
+const { createMemoryFs, captureConsole } = require('./helpers');
+
+function transferReport(overrides = {}) {
+    return {
+        command: ['rclone', 'copy', 'gdrive:Documents', 'onedrive:Backup', '--transfers=4', '--drive-client-secret', 'hunter2'],
+        label: null,
+        startedAt: '2025-08-04T12:00:00.000Z',
+        finishedAt: '2025-08-04T12:05:00.000Z',
+        durationMs: 300000,
+        status: 'success',
+        exitCode: 0,
+        stats: { bytes: 2048 },
+        filesCopied: 3,
+        errors: [],
+        retries: { attempts: 0 },
+        ...overrides
+    };
+}
+
+function verifyReport(overrides = {}) {
+    return {
+        command: ['rclone', 'check', 'gdrive:Documents', 'onedrive:Backup', '--one-way', '--combined', '-'],
+        startedAt: '2025-08-04T12:06:00.000Z',
+        finishedAt: '2025-08-04T12:07:00.000Z',
+        durationMs: 60000,
+        status: 'passed',
+        exitCode: 0,
+        logErrors: [],
+        counts: { matched: 3, missing: 0, differing: 0, extra: 0, errors: 0 },
+        filesFrom: null,
+        ...overrides
+    };
+}
+
+function entry(overrides) {
+    return { ...AuditLog.fromTransferReport(transferReport()), ...overrides };
+}
+
+describe('AuditLog', () => {
+    describe('append and read', () => {
+        it('returns no entries before anything was logged', async () => {
+            const log = new AuditLog({ dir: '/audit', fs: createMemoryFs() });
+
+            assert.deepEqual(await log.read(), []);
+        });
+
+        it('appends one line per entry and reads them back by start time', async () => {
+            const fileSystem = createMemoryFs();
+            const log = new AuditLog({ dir: '/audit', fs: fileSystem });
+
+            await log.append(entry({ id: 'late', startedAt: '2025-08-04T13:00:00.000Z' }));
+            await log.append(entry({ id: 'early', startedAt: '2025-08-04T11:00:00.000Z' }));
+
+            assert.equal(fileSystem.files.get('/audit/transfer-audit.ndjson').toString().split('\n').length, 3);
+            assert.deepEqual((await log.read()).map(item => item.id), ['early', 'late']);
+        });
+
+        it('skips a line cut short by a crash', async () => {
+            const complete = JSON.stringify(entry({ id: 'complete' }));
+            const log = new AuditLog({
+                dir: '/audit',
+                fs: createMemoryFs({ '/audit/transfer-audit.ndjson': `${complete}\n{"id":"cut-sh\n` })
+            });
+            const output = captureConsole();
+
+            try {
+                assert.deepEqual((await log.read()).map(item => item.id), ['complete']);
+            } finally {
+                output.restore();
+            }
+            assert.deepEqual(output.warnings, ['Skipping unreadable audit log line 2 in /audit/transfer-audit.ndjson']);
+        });
+    });
+
+    describe('fromTransferReport and fromVerifyReport', () => {
+        it('records remotes and flags with secrets redacted', () => {
+            const logged = AuditLog.fromTransferReport(transferReport({ label: 'docs' }));
+
+            assert.equal(logged.kind, 'transfer');
+            assert.equal(logged.label, 'docs');
+            assert.deepEqual(logged.remotes, ['gdrive', 'onedrive']);
+            assert.deepEqual(logged.flags, ['--transfers=4', '--drive-client-secret']);
+            assert.ok(!JSON.stringify(logged).includes('hunter2'));
+            assert.equal(logged.bytes, 2048);
+            assert.equal(logged.files, 3);
+            assert.equal(logged.verification, null);
+        });
+
+        it('redacts secrets inside connection strings', () => {
+            const logged = AuditLog.fromTransferReport(transferReport({
+                command: ['rclone', 'copy', ':s3,secret_access_key=abc123:bucket/data', 'local:/backup']
+            }));
+
+            assert.equal(logged.src, ':s3,secret_access_key=<redacted>:bucket/data');
+            assert.ok(!JSON.stringify(logged).includes('abc123'));
+        });
+
+        it('keeps the check outcome on verify entries', () => {
+            const logged = AuditLog.fromVerifyReport(verifyReport({ status: 'failed', logErrors: ['2 differences found'] }));
+
+            assert.equal(logged.kind, 'verify');
+            assert.equal(logged.errors, 1);
+            assert.deepEqual(logged.verification, {
+                status: 'failed',
+                counts: { matched: 3, missing: 0, differing: 0, extra: 0, errors: 0 },
+                filesFrom: null
+            });
+        });
+    });
+
+    describe('filter', () => {
+        const entries = [
+            entry({ id: 'a', startedAt: '2025-08-01T00:00:00.000Z', user: 'alice' }),
+            entry({ id: 'b', startedAt: '2025-08-03T00:00:00.000Z', user: 'bob', status: 'failed', label: 'photos' }),
+            entry({ id: 'c', startedAt: '2025-08-04T00:00:00.000Z', kind: 'verify', remotes: ['s3', 'local'] })
+        ];
+        const ids = filters => AuditLog.filter(entries, filters).map(item => item.id);
+
+        it('returns every entry without filters', () => {
+            assert.deepEqual(ids(), ['a', 'b', 'c']);
+        });
+
+        it('narrows by each field', () => {
+            assert.deepEqual(ids({ since: '2025-08-02T00:00:00.000Z' }), ['b', 'c']);
+            assert.deepEqual(ids({ since: new Date('2025-08-04T00:00:00.000Z') }), ['c']);
+            assert.deepEqual(ids({ kind: 'transfer' }), ['a', 'b']);
+            assert.deepEqual(ids({ status: 'failed' }), ['b']);
+            assert.deepEqual(ids({ label: 'photos' }), ['b']);
+            assert.deepEqual(ids({ user: 'alice' }), ['a']);
+        });
+
+        it('matches a remote on either side, with or without the colon', () => {
+            assert.deepEqual(ids({ remote: 'onedrive' }), ['a', 'b']);
+            assert.deepEqual(ids({ remote: 's3:' }), ['c']);
+        });
+
+        it('requires every filter to match', () => {
+            assert.deepEqual(ids({ kind: 'transfer', user: 'bob', status: 'success' }), []);
+        });
+    });
+
+    describe('withVerification', () => {
+        it('attaches the first full check of the same pair that ran later', () => {
+            const transfer = AuditLog.fromTransferReport(transferReport());
+            const retryCheck = AuditLog.fromVerifyReport(verifyReport({ filesFrom: '/tmp/mismatches.txt' }));
+            const otherPair = AuditLog.fromVerifyReport(verifyReport({
+                command: ['rclone', 'check', 'gdrive:Photos', 'onedrive:Backup']
+            }));
+            const fullCheck = AuditLog.fromVerifyReport(verifyReport({ status: 'failed' }));
+
+            const [withCheck, ...rest] = AuditLog.withVerification([transfer, retryCheck, otherPair, fullCheck]);
+
+            assert.equal(withCheck.verification.status, 'failed');
+            assert.deepEqual(rest, [retryCheck, otherPair, fullCheck]);
+        });
+
+        it('leaves transfers that were never checked alone', () => {
+            const transfer = AuditLog.fromTransferReport(transferReport());
+
+            assert.deepEqual(AuditLog.withVerification([transfer]), [transfer]);
+        });
+    });
+
+    describe('summarize', () => {
+        it('totals transfers and checks separately', () => {
+            const summary = AuditLog.summarize([
+                entry({ startedAt: '2025-08-01T00:00:00.000Z', user: 'bob' }),
+                entry({ startedAt: '2025-08-02T00:00:00.000Z', user: 'alice', status: 'failed', bytes: 100, files: 1, durationMs: null }),
+                { ...AuditLog.fromVerifyReport(verifyReport({ startedAt: '2025-08-03T00:00:00.000Z' })), user: 'carol' }
+            ]);
+
+            assert.equal(summary.transfers, 2);
+            assert.deepEqual(summary.transferStatus, { success: 1, failed: 1 });
+            assert.equal(summary.verifications, 1);
+            assert.deepEqual(summary.verificationStatus, { passed: 1 });
+            assert.equal(summary.bytes, 2148);
+            assert.equal(summary.files, 4);
+            assert.equal(summary.durationMs, 300000);
+            assert.equal(summary.firstAt, '2025-08-01T00:00:00.000Z');
+            assert.equal(summary.lastAt, '2025-08-03T00:00:00.000Z');
+            assert.equal(summary.lastTransfer.status, 'failed');
+            assert.deepEqual(summary.users, ['alice', 'bob', 'carol']);
+        });
+
+        it('handles an empty log', () => {
+            const summary = AuditLog.summarize([]);
+
+            assert.equal(summary.transfers, 0);
+            assert.equal(summary.firstAt, null);
+            assert.equal(summary.lastTransfer, null);
+        });
+    });
+
+    describe('parseSince', () => {
+        const now = new Date('2025-08-10T12:00:00.000Z');
+
+        it('subtracts day and hour ages from now', () => {
+            assert.equal(parseSince('7d', now).toISOString(), '2025-08-03T12:00:00.000Z');
+            assert.equal(parseSince('12h', now).toISOString(), '2025-08-10T00:00:00.000Z');
+        });
+
+        it('accepts an ISO date', () => {
+            assert.equal(parseSince('2025-08-01', now).toISOString(), '2025-08-01T00:00:00.000Z');
+        });
+
+        it('rejects anything else', () => {
+            assert.throws(() => parseSince('last week', now), {
+                message: 'Expected a date or an age like 7d or 12h, got "last week"'
+            });
+        });
+    });
+});
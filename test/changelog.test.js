@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ChangelogGenerator = require('../agent-workflow/changelog');
+
+const HEADER = '# Changelog\n\n';
+
+function createGenerator() {
+    return new ChangelogGenerator({ owner: 'owner', repo: 'name', categorize: () => [] });
+}
+
+function mergedPR(number, title, mergedAt = '2025-08-05T00:00:00Z') {
+    return { number, title, mergedAt, labels: [], files: [] };
+}
+
+describe('ChangelogGenerator', () => {
+    it('keeps the existing changelog byte for byte when adding to it', () => {
+        const original = `${HEADER}<!-- agent:begin changelog -->
+## Week of 2025-08-04
+
+### ✨ Features
+
+- Retry transfers ([#1](https://github.com/owner/name/pull/1))
+<!-- agent:end changelog -->
+`;
+
+        const { content, added } = createGenerator().update(original, [mergedPR(2, 'feat: Resume queues')]);
+
+        assert.deepEqual(added, [2]);
+        assert.equal(content, `${HEADER}<!-- agent:begin changelog -->
+## Week of 2025-08-04
+
+### ✨ Features
+
+- Retry transfers ([#1](https://github.com/owner/name/pull/1))
+- Resume queues ([#2](https://github.com/owner/name/pull/2))
+<!-- agent:end changelog -->
+`);
+    });
+
+    it('keeps hand-written notes and sub-headings inside the block', () => {
+        const original = `${HEADER}<!-- agent:begin changelog -->
+Entries below are generated; notes are welcome.
+
+## Week of 2025-08-04
+
+Highlights: resumable queues.
+
+### ✨ Features
+
+- Retry transfers ([#1](https://github.com/owner/name/pull/1))
+
+#### Upgrade notes
+
+Re-run \`rclone config\` after upgrading.
+
+### 📦 Other
+
+- Misc ([#3](https://github.com/owner/name/pull/3))
+<!-- agent:end changelog -->
+`;
+
+        const { content } = createGenerator().update(original, [mergedPR(2, 'feat: Resume queues')]);
+
+        assert.equal(content, `${HEADER}<!-- agent:begin changelog -->
+Entries below are generated; notes are welcome.
+
+## Week of 2025-08-04
+
+Highlights: resumable queues.
+
+### ✨ Features
+
+- Retry transfers ([#1](https://github.com/owner/name/pull/1))
+- Resume queues ([#2](https://github.com/owner/name/pull/2))
+
+#### Upgrade notes
+
+Re-run \`rclone config\` after upgrading.
+
+### 📦 Other
+
+- Misc ([#3](https://github.com/owner/name/pull/3))
+<!-- agent:end changelog -->
+`);
+    });
+
+    it('does not list a PR twice', () => {
+        const first = createGenerator().update('', [mergedPR(4, 'fix: Handle quota errors')]);
+        const second = createGenerator().update(first.content, [mergedPR(4, 'fix: Handle quota errors')]);
+
+        assert.deepEqual(second.added, []);
+        assert.equal(second.content, first.content);
+    });
+});
@@ -0,0 +1,156 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AgentCLI = require('../agent-workflow/cli');
+const BUILTIN_CHECKS = require('../agent-workflow/validation-checks');
+const { createMemoryFs, createMockOctokit, captureConsole } = require('./helpers');
+
+const TASK_STORE = JSON.stringify({
+    version: 1,
+    tasks: [
+        { id: 'doc-update-1a2b3c', title: 'Enhance documentation', type: 'documentation', priority: 'medium', status: 'open' },
+        { id: 'test-coverage-4d5e6f', title: 'Add tests', type: 'testing', priority: 'high', status: 'done' }
+    ]
+});
+const NOTEBOOK = JSON.stringify({
+    cells: [{ cell_type: 'code', source: ['!rclone copy src: dst:'], outputs: [], execution_count: null }]
+});
+
+/**
+ * Validation config that runs only the given checks
+ */
+function onlyChecks(...ids) {
+    return JSON.stringify({ checks: Object.fromEntries(BUILTIN_CHECKS.map(check => [check.id, ids.includes(check.id)])) });
+}
+
+/**
+ * Writable stream stand-in that keeps what was written
+ */
+function createOutput() {
+    return {
+        text: '',
+        write(chunk) {
+            this.text += chunk;
+        }
+    };
+}
+
+describe('AgentCLI', () => {
+    let fileSystem;
+    let stdout;
+    let stderr;
+    let cli;
+    let output;
+
+    beforeEach(() => {
+        fileSystem = createMemoryFs({
+            '/repo/agent-workflow/task-store.json': TASK_STORE,
+            '/repo/agent-workflow/analysis-2025-08-04T02-00-00-000Z.json': JSON.stringify({ totalPRs: 3, recentPRs: [] }),
+            '/repo/transfer.ipynb': NOTEBOOK,
+            '/repo/notes.md': ''
+        });
+        stdout = createOutput();
+        stderr = createOutput();
+        cli = new AgentCLI({
+            stdout,
+            stderr,
+            agentOptions: { rootDir: '/repo', fs: fileSystem, octokit: createMockOctokit(), env: {} }
+        });
+        output = captureConsole();
+    });
+
+    afterEach(() => {
+        output.restore();
+    });
+
+    describe('status', () => {
+        it('lists tasks from the agent\'s root directory and file system', async () => {
+            const code = await cli.main(['status', '--output', 'json']);
+
+            assert.equal(code, 0, stderr.text);
+            assert.deepEqual(JSON.parse(stdout.text).map(task => task.id), ['doc-update-1a2b3c', 'test-coverage-4d5e6f']);
+        });
+
+        it('saves a status change through the agent\'s file system', async () => {
+            const code = await cli.main(['status', 'doc-update-1a2b3c', 'in-progress']);
+
+            assert.equal(code, 0, stderr.text);
+            assert.equal(stdout.text, 'doc-update-1a2b3c → in-progress\n');
+            const saved = JSON.parse(fileSystem.files.get('/repo/agent-workflow/task-store.json'));
+            assert.equal(saved.tasks[0].status, 'in-progress');
+        });
+    });
+
+    describe('snapshots', () => {
+        it('reads snapshots from the agent\'s workflow directory', async () => {
+            const code = await cli.main(['snapshots', 'analysis', '--output', 'json']);
+
+            assert.equal(code, 0, stderr.text);
+            const snapshots = JSON.parse(stdout.text);
+            assert.equal(snapshots.length, 1);
+            assert.equal(snapshots[0].data.totalPRs, 3);
+        });
+    });
+
+    describe('validate', () => {
+        let rcloneConfig;
+
+        beforeEach(() => {
+            rcloneConfig = process.env.RCLONE_CONFIG;
+            delete process.env.RCLONE_CONFIG;
+        });
+
+        afterEach(() => {
+            if (rcloneConfig === undefined) {
+                delete process.env.RCLONE_CONFIG;
+            } else {
+                process.env.RCLONE_CONFIG = rcloneConfig;
+            }
+        });
+
+        it('runs the checks against the agent\'s root directory and file system', async () => {
+            fileSystem.files.set('/repo/checks.json', onlyChecks('notebooks', 'rclone-config'));
+            fileSystem.files.set('/repo/rclone.conf', '[drive]\ntype = drive\n');
+
+            const code = await cli.main(['validate', '--checks', 'checks.json', '--output', 'json']);
+
+            const results = JSON.parse(stdout.text);
+            assert.equal(code, 1);
+            assert.deepEqual(results.checks.filter(check => check.status !== 'skipped').map(check => [check.id, check.status]), [
+                ['notebooks', 'failed'],
+                ['rclone-config', 'failed']
+            ]);
+            assert.ok(results.details.some(detail => detail.check === 'notebooks' && detail.file === 'transfer.ipynb'));
+            assert.ok(results.details.some(detail => detail.message.startsWith('rclone.conf found in the repository root')));
+        });
+
+        it('checks the agent config given with --config', async () => {
+            fileSystem.files.set('/repo/agent-workflow/validation.json', onlyChecks('agent-config'));
+            fileSystem.files.set('/repo/ci.config.json', JSON.stringify({ taskRules: 'ci-rules.json' }));
+
+            const code = await cli.main(['validate', '--config', 'ci.config.json', '--output', 'json']);
+
+            assert.equal(code, 1);
+            assert.deepEqual(JSON.parse(stdout.text).details.map(detail => [detail.type, detail.message]), [
+                ['PASS', 'Agent config valid'],
+                ['FAIL', 'Task rules file not found: ci-rules.json']
+            ]);
+        });
+    });
+
+    describe('lint', () => {
+        it('lints the notebooks in the agent\'s root directory', async () => {
+            await cli.main(['lint', '--output', 'json']);
+
+            const findings = JSON.parse(stdout.text);
+            assert.ok(findings.length > 0);
+            assert.ok(findings.every(finding => finding.file === 'transfer.ipynb'));
+        });
+
+        it('resolves notebooks given on the command line against the root directory', async () => {
+            await cli.main(['lint', 'transfer.ipynb', '--output', 'json']);
+
+            assert.equal(stderr.text, '');
+            assert.ok(JSON.parse(stdout.text).every(finding => finding.file === 'transfer.ipynb'));
+        });
+    });
+});
@@ -0,0 +1,782 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { Octokit } = require('@octokit/rest');
+const ContinuousAgent = require('../agent-workflow/continuous-agent');
+const {
+    createTempRepo,
+    removeTempRepo,
+    createMemoryFs,
+    apiError,
+    createMockOctokit,
+    createMockFetch,
+    captureConsole
+} = require('./helpers');
+
+const GOLDEN_DIR = path.join(__dirname, 'fixtures', 'readme');
+const NOW = new Date('2025-08-04T12:00:00.000Z');
+// Set UPDATE_GOLDEN=1 to rewrite the expected READMEs after an intended change
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+const TASKS = [
+    {
+        id: 'doc-update-1a2b3c',
+        title: 'Enhance documentation with usage examples',
+        description: 'Add more detailed usage examples',
+        type: 'documentation',
+        priority: 'medium',
+        estimatedHours: 2,
+        files: ['README.md'],
+        status: 'open'
+    },
+    {
+        id: 'notebook-lint-secrets-4d5e6f',
+        title: 'Remove credentials committed in <notebook>.ipynb',
+        description: 'Step 3 cell source contains a possible *rclone token*',
+        type: 'security',
+        priority: 'high',
+        estimatedHours: 1,
+        files: ['rclone_gdrive_transfer.ipynb'],
+        status: 'in-progress'
+    }
+];
+
+const ANALYSIS = {
+    timestamp: '2025-08-04T00:00:00.000Z',
+    totalPRs: 2,
+    recentPRs: [],
+    metrics: {
+        mergedPRs: 2,
+        authors: ['alice', 'bob'],
+        totalCommits: 5,
+        reviewedPRs: 1,
+        medianCycleTimeHours: 12.5,
+        linkedIssues: 1
+    }
+};
+
+function pr(number, overrides = {}) {
+    return {
+        number,
+        title: `PR ${number}`,
+        body: '',
+        user: { login: 'alice' },
+        labels: [],
+        created_at: '2025-08-01T00:00:00Z',
+        updated_at: '2025-08-02T00:00:00Z',
+        merged_at: '2025-08-02T00:00:00Z',
+        merge_commit_sha: `merge-${number}`,
+        ...overrides
+    };
+}
+
+/**
+ * An agent for owner/name that ignores the environment running the tests
+ */
+function createAgent(options) {
+    return new ContinuousAgent({ repo: 'owner/name', env: {}, ...options });
+}
+
+/**
+ * The generated README with its run-dependent timestamp removed
+ */
+function normalizeReadme(content) {
+    return content.replace(/\*Last updated: .* by Continuous Coding Agent\*/g, '*Last updated: <timestamp> by Continuous Coding Agent*');
+}
+
+async function assertGolden(actual, name) {
+    const expectedPath = path.join(GOLDEN_DIR, name);
+    const normalized = normalizeReadme(actual);
+    if (UPDATE_GOLDEN) {
+        await fs.writeFile(expectedPath, normalized);
+        return;
+    }
+    assert.equal(normalized, await fs.readFile(expectedPath, 'utf8'));
+}
+
+describe('ContinuousAgent', () => {
+    let rootDir;
+    let output;
+
+    beforeEach(async () => {
+        rootDir = await createTempRepo();
+        output = captureConsole();
+    });
+
+    afterEach(async () => {
+        output.restore();
+        await removeTempRepo(rootDir);
+    });
+
+    describe('constructor', () => {
+        it('uses the injected client and working directory', () => {
+            const octokit = createMockOctokit();
+            const agent = createAgent({ octokit, rootDir });
+
+            assert.equal(agent.octokit, octokit);
+            assert.equal(agent.rootDir, rootDir);
+            assert.equal(agent.workflowDir, path.join(rootDir, 'agent-workflow'));
+            assert.equal(agent.owner, 'owner');
+            assert.equal(agent.repo, 'name');
+        });
+
+        it('takes repo, paths and the PR window from the config', () => {
+            const agent = new ContinuousAgent({
+                octokit: createMockOctokit(),
+                rootDir,
+                env: {},
+                config: { repo: 'config/repo', paths: { workflowDir: 'state' }, prWindow: { lookbackDays: 3 } }
+            });
+
+            assert.equal(agent.owner, 'config');
+            assert.equal(agent.workflowDir, path.join(rootDir, 'state'));
+            assert.equal(agent.prLookbackDays, 3);
+        });
+
+        it('throws on an invalid config', () => {
+            assert.throws(
+                () => createAgent({ octokit: createMockOctokit(), config: { prWindow: { lookbackDays: -1 } } }),
+                /Invalid agent config: prWindow.lookbackDays must be at least 1/
+            );
+        });
+    });
+
+    describe('load', () => {
+        it('reads agent.config.json, then applies the environment and options', async () => {
+            await fs.writeFile(path.join(rootDir, 'agent.config.json'), JSON.stringify({
+                repo: 'file/repo',
+                prWindow: { lookbackDays: 14 },
+                steps: { issueSync: true }
+            }));
+
+            const fromFile = await ContinuousAgent.load({ octokit: createMockOctokit(), rootDir, env: {} });
+            const fromEnv = await ContinuousAgent.load({
+                octokit: createMockOctokit(),
+                rootDir,
+                env: { GITHUB_REPOSITORY: 'env/repo', AGENT_SYNC_ISSUES: 'false' }
+            });
+            const fromOptions = await ContinuousAgent.load({
+                octokit: createMockOctokit(),
+                rootDir,
+                env: { GITHUB_REPOSITORY: 'env/repo' },
+                repo: 'flag/repo',
+                config: { prWindow: { lookbackDays: 1 } }
+            });
+
+            assert.equal(`${fromFile.owner}/${fromFile.repo}`, 'file/repo');
+            assert.equal(fromFile.prLookbackDays, 14);
+            assert.equal(fromFile.syncIssues, true);
+            assert.equal(`${fromEnv.owner}/${fromEnv.repo}`, 'env/repo');
+            assert.equal(fromEnv.syncIssues, false);
+            assert.equal(`${fromOptions.owner}/${fromOptions.repo}`, 'flag/repo');
+            assert.equal(fromOptions.prLookbackDays, 1);
+        });
+
+        it('rejects a config file that does not match the schema', async () => {
+            await fs.writeFile(path.join(rootDir, 'agent.config.json'), JSON.stringify({ steps: { deploy: true } }));
+
+            await assert.rejects(
+                ContinuousAgent.load({ octokit: createMockOctokit(), rootDir, env: {} }),
+                { message: 'Invalid agent config: Unknown setting "steps.deploy"' }
+            );
+        });
+    });
+
+    describe('analyzeRecentPRs', () => {
+        it('analyzes merged PRs since the cursor, oldest first', async () => {
+            await fs.writeFile(path.join(rootDir, 'agent-workflow', 'analysis-cursor.json'), JSON.stringify({
+                lastRunAt: '2025-08-01T00:00:00Z',
+                analyzedPRs: [3]
+            }));
+            const octokit = createMockOctokit({
+                'pulls.list': async () => ({
+                    data: [
+                        pr(1, { merged_at: '2025-08-03T00:00:00Z', body: 'Closes #12' }),
+                        pr(2, { merged_at: null }),
+                        pr(3),
+                        pr(4, { merged_at: '2025-07-30T00:00:00Z' }),
+                        pr(5, { merged_at: '2025-08-02T12:00:00Z', user: { login: 'bob' } })
+                    ]
+                }),
+                'pulls.listFiles': async ({ pull_number }) => ({
+                    data: pull_number === 1
+                        ? [{ filename: 'README.md', status: 'modified', additions: 3, deletions: 1 }]
+                        : [{ filename: 'transfer/cli.js', status: 'modified', additions: 10, deletions: 2 }]
+                }),
+                'pulls.listReviews': async ({ pull_number }) => ({
+                    data: pull_number === 1 ? [{ user: { login: 'bob' }, state: 'APPROVED', submitted_at: '2025-08-02T00:00:00Z' }] : []
+                }),
+                'pulls.listCommits': async () => ({ data: [{}, {}] })
+            });
+            const agent = createAgent({ octokit, rootDir });
+
+            const analysis = await agent.analyzeRecentPRs();
+
+            assert.equal(analysis.status, 'analyzed');
+            assert.equal(analysis.since, '2025-08-01T00:00:00Z');
+            assert.deepEqual(analysis.recentPRs.map(analyzed => analyzed.number), [5, 1]);
+            const [first, second] = analysis.recentPRs;
+            assert.equal(first.author, 'bob');
+            assert.deepEqual(first.files.map(file => file.filename), ['transfer/cli.js']);
+            assert.equal(first.commitCount, 2);
+            assert.deepEqual(second.reviewers, ['bob']);
+            assert.deepEqual(second.linkedIssues, [12]);
+            assert.equal(analysis.metrics.mergedPRs, 2);
+            assert.equal(analysis.metrics.reviewedPRs, 1);
+            assert.deepEqual(analysis.cursor.analyzedPRs, [3, 5, 1]);
+            assert.equal(analysis.cursor.lastRunAt, analysis.timestamp);
+            assert.equal(octokit.callsTo('pulls.list')[0].owner, 'owner');
+        });
+
+        it('keeps the cursor lower bound when capped by maxPRs', async () => {
+            const octokit = createMockOctokit({
+                'pulls.list': async () => ({ data: [pr(1), pr(2, { merged_at: '2025-08-03T00:00:00Z' })] })
+            });
+            const agent = createAgent({ octokit, rootDir });
+
+            const analysis = await agent.analyzeRecentPRs({ since: '2025-08-01T00:00:00Z', maxPRs: 1 });
+
+            assert.deepEqual(analysis.recentPRs.map(analyzed => analyzed.number), [1]);
+            assert.equal(analysis.cursor.lastRunAt, '2025-08-01T00:00:00Z');
+            assert.deepEqual(analysis.cursor.analyzedPRs, [1]);
+        });
+
+        it('analyzes PRs already in the cursor again when reanalyzing the lookback window', async () => {
+            await fs.writeFile(path.join(rootDir, 'agent-workflow', 'analysis-cursor.json'), JSON.stringify({
+                lastRunAt: '2025-08-04T00:00:00Z',
+                analyzedPRs: [1, 2]
+            }));
+            const octokit = createMockOctokit({
+                'pulls.list': async () => ({
+                    data: [pr(1), pr(2, { merged_at: '2025-08-03T00:00:00Z' }), pr(3, { merged_at: '2025-07-20T00:00:00Z' })]
+                })
+            });
+            const agent = createAgent({ octokit, rootDir, config: { prWindow: { lookbackDays: 7 } }, clock: { now: () => NOW } });
+
+            const cursorOnly = await agent.analyzeRecentPRs();
+            const analysis = await agent.analyzeRecentPRs({ reanalyze: true });
+
+            assert.equal(cursorOnly.status, 'no-prs');
+            assert.equal(analysis.since, '2025-07-28T12:00:00.000Z');
+            assert.deepEqual(analysis.recentPRs.map(analyzed => analyzed.number), [1, 2]);
+            assert.deepEqual(analysis.cursor.analyzedPRs, [1, 2]);
+        });
+
+        it('reports a failed PR listing as an analysis error', async () => {
+            const octokit = createMockOctokit({
+                'pulls.list': async () => {
+                    throw apiError(502, 'Bad Gateway');
+                }
+            });
+            const agent = createAgent({ octokit, rootDir });
+
+            const analysis = await agent.analyzeRecentPRs();
+
+            assert.equal(analysis.status, 'failed');
+            assert.equal(analysis.error, 'Bad Gateway');
+            assert.equal(analysis.totalPRs, 0);
+            assert.equal(analysis.cursor, undefined);
+            assert.ok(output.warnings.some(warning => warning.includes('Could not analyze PRs: Bad Gateway')));
+        });
+
+        it('tells an empty window apart from a failure', async () => {
+            const agent = createAgent({ octokit: createMockOctokit(), rootDir });
+
+            const analysis = await agent.analyzeRecentPRs();
+
+            assert.equal(analysis.status, 'no-prs');
+            assert.equal(analysis.error, undefined);
+            assert.deepEqual(analysis.cursor.analyzedPRs, []);
+        });
+
+        it('fails the analysis when a PR\'s details fail with a server error', async () => {
+            const octokit = createMockOctokit({
+                'pulls.list': async () => ({ data: [pr(7)] }),
+                'pulls.listFiles': async () => {
+                    throw apiError(502, 'Bad Gateway');
+                }
+            });
+            const agent = createAgent({ octokit, rootDir });
+
+            const analysis = await agent.analyzeRecentPRs({ since: '2025-08-01T00:00:00Z' });
+
+            assert.equal(analysis.status, 'failed');
+            assert.equal(analysis.error, 'Bad Gateway');
+            assert.equal(octokit.callsTo('pulls.listReviews').length, 0);
+        });
+
+        it('retries and caches requests made through an Octokit client', async () => {
+            const fetch = createMockFetch([
+                { status: 502, body: { message: 'Bad Gateway' } },
+                { status: 200, headers: { etag: '"pulls"' }, body: [] },
+                { status: 304 }
+            ]);
+            const sleeps = [];
+            const agent = createAgent({
+                octokit: new Octokit({ request: { fetch } }),
+                rootDir,
+                clock: { now: () => NOW, sleep: async ms => sleeps.push(ms) }
+            });
+
+            const first = await agent.analyzeRecentPRs();
+            const second = await agent.analyzeRecentPRs();
+
+            assert.equal(first.status, 'no-prs');
+            assert.equal(second.status, 'no-prs');
+            assert.deepEqual(sleeps, [1000]);
+            assert.equal(fetch.requests[2].headers['if-none-match'], '"pulls"');
+            assert.deepEqual(agent.github.stats, { requests: 3, retries: 1, cacheHits: 1 });
+            assert.equal((await fs.readdir(path.join(rootDir, '.cache', 'github-api'))).length, 1);
+        });
+
+        it('reports a missing repository as an analysis error', async () => {
+            const octokit = createMockOctokit();
+            const agent = new ContinuousAgent({ octokit, rootDir, env: {} });
+
+            const analysis = await agent.analyzeRecentPRs();
+
+            assert.match(analysis.error, /^No repository configured/);
+            assert.deepEqual(octokit.calls, []);
+        });
+
+        it('looks back over the configured window from the injected clock', async () => {
+            const octokit = createMockOctokit({
+                'pulls.list': async () => ({
+                    data: [pr(1, { merged_at: '2025-08-02T00:00:00Z' }), pr(2, { merged_at: '2025-07-30T00:00:00Z' })]
+                })
+            });
+            const agent = createAgent({ octokit, rootDir, clock: { now: () => NOW }, config: { prWindow: { lookbackDays: 3 } } });
+
+            const analysis = await agent.analyzeRecentPRs();
+
+            assert.equal(analysis.timestamp, NOW.toISOString());
+            assert.equal(analysis.since, '2025-08-01T12:00:00.000Z');
+            assert.deepEqual(analysis.recentPRs.map(analyzed => analyzed.number), [1]);
+        });
+
+        it('still analyzes a PR whose files, reviews and commits cannot be fetched', async () => {
+            const fail = async () => {
+                throw apiError(404, 'Not Found');
+            };
+            const octokit = createMockOctokit({
+                'pulls.list': async () => ({ data: [pr(7)] }),
+                'pulls.listFiles': fail,
+                'pulls.listReviews': fail,
+                'pulls.listCommits': fail
+            });
+            const agent = createAgent({ octokit, rootDir });
+
+            const analysis = await agent.analyzeRecentPRs({ since: '2025-08-01T00:00:00Z' });
+
+            assert.equal(analysis.error, undefined);
+            assert.equal(analysis.recentPRs.length, 1);
+            assert.deepEqual(analysis.recentPRs[0].files, []);
+            assert.equal(analysis.recentPRs[0].commitCount, null);
+            assert.deepEqual(output.warnings, [
+                'Could not fetch files for PR #7',
+                'Could not fetch reviews for PR #7',
+                'Could not fetch commits for PR #7'
+            ]);
+        });
+
+        it('diffs changed notebooks against the commit before the merge', async () => {
+            const notebook = source => JSON.stringify({
+                cells: [{ cell_type: 'code', metadata: { id: 'step3-cell' }, source: [source], outputs: [] }]
+            });
+            const octokit = createMockOctokit({
+                'pulls.list': async () => ({ data: [pr(8)] }),
+                'pulls.listFiles': async () => ({
+                    data: [{ filename: 'rclone_gdrive_transfer.ipynb', status: 'modified', additions: 1, deletions: 1 }]
+                }),
+                'repos.getContent': async ({ ref }) => ({
+                    data: notebook(ref === 'parent-sha' ? "args = ['--fast-list']" : "args = ['--fast-list', '--checksum']")
+                })
+            });
+            const agent = createAgent({ octokit, rootDir });
+
+            const analysis = await agent.analyzeRecentPRs({ since: '2025-08-01T00:00:00Z' });
+
+            const [change] = analysis.recentPRs[0].notebooks;
+            assert.equal(change.filename, 'rclone_gdrive_transfer.ipynb');
+            assert.deepEqual(change.rcloneFlagsAdded, ['--checksum']);
+            assert.deepEqual(octokit.callsTo('repos.getContent').map(params => params.ref), ['merge-8', 'parent-sha']);
+        });
+    });
+
+    describe('saveWorkflowData', () => {
+        it('writes snapshots and advances the cursor in the working directory', async () => {
+            const agent = createAgent({ octokit: createMockOctokit(), rootDir });
+            const cursor = { lastRunAt: '2025-08-04T00:00:00.000Z', analyzedPRs: [1] };
+
+            await agent.saveWorkflowData({ ...ANALYSIS, cursor }, TASKS);
+
+            const files = await fs.readdir(agent.workflowDir);
+            assert.ok(files.some(file => /^analysis-.*\.json$/.test(file)));
+            assert.ok(files.some(file => /^tasks-.*\.json$/.test(file)));
+            const latest = JSON.parse(await fs.readFile(path.join(agent.workflowDir, 'latest-analysis.json'), 'utf8'));
+            assert.equal(latest.cursor, undefined);
+            assert.deepEqual(JSON.parse(await fs.readFile(path.join(agent.workflowDir, 'analysis-cursor.json'), 'utf8')), cursor);
+        });
+
+        it('does not advance the cursor after a failed analysis', async () => {
+            const agent = createAgent({ octokit: createMockOctokit(), rootDir });
+
+            await agent.saveWorkflowData({ ...ANALYSIS, error: 'Bad Gateway', cursor: { lastRunAt: 'x', analyzedPRs: [] } }, []);
+
+            await assert.rejects(fs.access(path.join(agent.workflowDir, 'analysis-cursor.json')), { code: 'ENOENT' });
+        });
+    });
+
+    describe('updateReadmeProgress', () => {
+        for (const name of ['legacy-section', 'markers', 'no-section']) {
+            it(`rewrites ${name}.md like ${name}.expected.md`, async () => {
+                await fs.copyFile(path.join(GOLDEN_DIR, `${name}.md`), path.join(rootDir, 'README.md'));
+                const agent = createAgent({ octokit: createMockOctokit(), rootDir });
+
+                await agent.updateReadmeProgress(TASKS, ANALYSIS);
+
+                await assertGolden(await fs.readFile(path.join(rootDir, 'README.md'), 'utf8'), `${name}.expected.md`);
+            });
+        }
+
+        it('writes the no-tasks status', async () => {
+            await fs.copyFile(path.join(GOLDEN_DIR, 'markers.md'), path.join(rootDir, 'README.md'));
+            const agent = createAgent({ octokit: createMockOctokit(), rootDir });
+
+            await agent.updateReadmeProgress([], null);
+
+            await assertGolden(await fs.readFile(path.join(rootDir, 'README.md'), 'utf8'), 'no-tasks.expected.md');
+        });
+
+        it('leaves the README alone in a dry run', async () => {
+            const readme = await fs.readFile(path.join(GOLDEN_DIR, 'markers.md'), 'utf8');
+            await fs.writeFile(path.join(rootDir, 'README.md'), readme);
+            const agent = createAgent({ octokit: createMockOctokit(), rootDir, dryRun: true });
+
+            await agent.updateReadmeProgress(TASKS, ANALYSIS);
+
+            assert.equal(await fs.readFile(path.join(rootDir, 'README.md'), 'utf8'), readme);
+            assert.ok(output.logs.some(line => line.includes('Enhance documentation with usage examples')));
+        });
+
+        it('warns instead of throwing when there is no README', async () => {
+            const agent = createAgent({ octokit: createMockOctokit(), rootDir });
+
+            await agent.updateReadmeProgress(TASKS, ANALYSIS);
+
+            assert.ok(output.warnings.some(warning => warning.startsWith('Could not update README:')));
+        });
+    });
+
+    describe('createDevelopmentPR', () => {
+        beforeEach(async () => {
+            await fs.writeFile(path.join(rootDir, 'README.md'), '# Project\n');
+            await fs.writeFile(path.join(rootDir, 'agent-workflow', 'latest-tasks.json'), JSON.stringify(TASKS));
+        });
+
+        it('commits the workflow files to a new branch and opens a PR', async () => {
+            await fs.writeFile(path.join(rootDir, 'CHANGELOG.md'), '# Changelog\n');
+            const octokit = createMockOctokit();
+            const agent = createAgent({ octokit, rootDir });
+
+            const created = await agent.createDevelopmentPR(TASKS);
+
+            assert.equal(created.number, 100);
+            const [tree] = octokit.callsTo('git.createTree');
+            assert.equal(tree.base_tree, 'base-tree-sha');
+            assert.deepEqual(tree.tree.map(entry => entry.path), ['agent-workflow/latest-tasks.json', 'README.md', 'CHANGELOG.md']);
+            const [blob] = octokit.callsTo('git.createBlob');
+            assert.deepEqual(JSON.parse(Buffer.from(blob.content, 'base64').toString('utf8')), TASKS);
+            assert.deepEqual(octokit.callsTo('git.createCommit')[0].parents, ['base-sha']);
+
+            const [ref] = octokit.callsTo('git.createRef');
+            assert.match(ref.ref, /^refs\/heads\/automated\/development-\d+$/);
+            assert.equal(ref.sha, 'commit-sha');
+            const [request] = octokit.callsTo('pulls.create');
+            assert.equal(request.title, '🤖 Automated Development Tasks (2 items)');
+            assert.equal(request.base, 'main');
+            assert.equal(request.head, ref.ref.replace('refs/heads/', ''));
+            assert.ok(request.body.includes('Remove credentials committed in \\<notebook\\>.ipynb'));
+        });
+
+        it('updates the open automated PR instead of opening another', async () => {
+            const octokit = createMockOctokit({
+                'pulls.list': async () => ({
+                    data: [
+                        { number: 41, head: { ref: 'feature/unrelated' } },
+                        { number: 42, head: { ref: 'automated/development-1' } }
+                    ]
+                })
+            });
+            const agent = createAgent({ octokit, rootDir });
+
+            const updated = await agent.createDevelopmentPR(TASKS);
+
+            assert.equal(updated.number, 42);
+            assert.deepEqual(octokit.callsTo('git.updateRef'), [{
+                owner: agent.owner,
+                repo: agent.repo,
+                ref: 'heads/automated/development-1',
+                sha: 'commit-sha',
+                force: true
+            }]);
+            assert.equal(octokit.callsTo('pulls.update')[0].pull_number, 42);
+            assert.equal(octokit.callsTo('pulls.create').length, 0);
+            assert.equal(octokit.callsTo('git.createRef').length, 0);
+        });
+
+        it('finds the open automated PR past the first page of open PRs', async () => {
+            const octokit = createMockOctokit();
+            const pages = [
+                Array.from({ length: 100 }, (_, index) => ({ number: index + 1, head: { ref: `feature/${index}` } })),
+                [{ number: 142, head: { ref: 'automated/development-1' } }]
+            ];
+            octokit.paginate = async () => pages.flat();
+            const agent = createAgent({ octokit, rootDir });
+
+            const updated = await agent.createDevelopmentPR(TASKS);
+
+            assert.equal(updated.number, 142);
+            assert.equal(octokit.callsTo('pulls.create').length, 0);
+        });
+
+        it('commits the task store and analysis cursor when they exist', async () => {
+            await fs.writeFile(path.join(rootDir, 'agent-workflow', 'task-store.json'), '{"tasks":[]}');
+            await fs.writeFile(path.join(rootDir, 'agent-workflow', 'analysis-cursor.json'), '{"analyzedPRs":[]}');
+            const octokit = createMockOctokit();
+            const agent = createAgent({ octokit, rootDir });
+
+            await agent.createDevelopmentPR(TASKS);
+
+            const [tree] = octokit.callsTo('git.createTree');
+            assert.deepEqual(tree.tree.map(entry => entry.path), [
+                'agent-workflow/latest-tasks.json',
+                'README.md',
+                'agent-workflow/task-store.json',
+                'agent-workflow/analysis-cursor.json'
+            ]);
+        });
+
+        it('commits the snapshots, latest analysis and history archive, and deletes compacted snapshots', async () => {
+            const workflowDir = path.join(rootDir, 'agent-workflow');
+            const archive = zlib.gzipSync('{"kind":"analysis"}\n');
+            await fs.writeFile(path.join(workflowDir, 'latest-analysis.json'), '{}');
+            await fs.writeFile(path.join(workflowDir, 'history-archive.ndjson.gz'), archive);
+            await fs.writeFile(path.join(workflowDir, 'analysis-2025-08-04T12-00-00-000Z.json'), '{}');
+            await fs.writeFile(path.join(workflowDir, 'tasks-2025-08-04T12-00-00-000Z.json'), '[]');
+            const octokit = createMockOctokit({
+                'git.getTree': async () => ({
+                    data: {
+                        tree: [
+                            { path: 'agent-workflow/analysis-2025-08-01T12-00-00-000Z.json', type: 'blob', sha: 'old' },
+                            { path: 'agent-workflow/retention.json', type: 'blob', sha: 'kept' },
+                            { path: 'docs/analysis-2025-08-01T12-00-00-000Z.json', type: 'blob', sha: 'other' }
+                        ]
+                    }
+                })
+            });
+            const agent = createAgent({ octokit, rootDir });
+
+            await agent.createDevelopmentPR(TASKS);
+
+            assert.equal(octokit.callsTo('git.getTree')[0].tree_sha, 'base-tree-sha');
+            const [tree] = octokit.callsTo('git.createTree');
+            assert.deepEqual(tree.tree.map(entry => [entry.path, entry.sha !== null]), [
+                ['agent-workflow/latest-tasks.json', true],
+                ['README.md', true],
+                ['agent-workflow/latest-analysis.json', true],
+                ['agent-workflow/history-archive.ndjson.gz', true],
+                ['agent-workflow/analysis-2025-08-04T12-00-00-000Z.json', true],
+                ['agent-workflow/tasks-2025-08-04T12-00-00-000Z.json', true],
+                ['agent-workflow/analysis-2025-08-01T12-00-00-000Z.json', false]
+            ]);
+            const archiveBlob = octokit.callsTo('git.createBlob')[3];
+            assert.deepEqual(Buffer.from(archiveBlob.content, 'base64'), archive);
+        });
+
+        it('leaves out files that match the base branch', async () => {
+            const octokit = createMockOctokit({
+                'git.getTree': async () => ({
+                    data: { tree: [{ path: 'README.md', type: 'blob', sha: 'dab306f45e6a154ab0fe50d67298f165cfc75392' }] }
+                })
+            });
+            const agent = createAgent({ octokit, rootDir });
+
+            await agent.createDevelopmentPR(TASKS);
+
+            const [tree] = octokit.callsTo('git.createTree');
+            assert.deepEqual(tree.tree.map(entry => entry.path), ['agent-workflow/latest-tasks.json']);
+            assert.equal(octokit.callsTo('git.createBlob').length, 1);
+        });
+
+        it('makes no API calls in a dry run', async () => {
+            const octokit = createMockOctokit();
+            const agent = createAgent({ octokit, rootDir, dryRun: true });
+
+            assert.equal(await agent.createDevelopmentPR(TASKS), null);
+            assert.deepEqual(octokit.calls, []);
+        });
+
+        it('opens a PR that saves the workflow state without tasks', async () => {
+            await fs.writeFile(path.join(rootDir, 'agent-workflow', 'analysis-cursor.json'), '{"analyzedPRs":[7]}');
+            const octokit = createMockOctokit();
+            const agent = createAgent({ octokit, rootDir });
+
+            const created = await agent.createDevelopmentPR([]);
+
+            assert.equal(created.number, 100);
+            const [request] = octokit.callsTo('pulls.create');
+            assert.equal(request.title, '🤖 Update agent workflow state');
+            assert.ok(request.body.includes('No active tasks.'));
+            assert.ok(octokit.callsTo('git.createTree')[0].tree.some(entry => entry.path === 'agent-workflow/analysis-cursor.json'));
+        });
+
+        it('returns null and warns when the branch cannot be created', async () => {
+            const octokit = createMockOctokit({
+                'git.createRef': async () => {
+                    throw apiError(422, 'Reference already exists');
+                }
+            });
+            const agent = createAgent({ octokit, rootDir });
+
+            assert.equal(await agent.createDevelopmentPR(TASKS), null);
+            assert.equal(octokit.callsTo('pulls.create').length, 0);
+            assert.ok(output.warnings.includes('Could not create PR: Reference already exists'));
+        });
+
+        it('uses the configured base branch and branch prefix', async () => {
+            const octokit = createMockOctokit();
+            const agent = createAgent({
+                octokit,
+                rootDir,
+                clock: { now: () => NOW },
+                config: { outputs: { pullRequest: { base: 'develop', branchPrefix: 'bot/tasks-' } } }
+            });
+
+            await agent.createDevelopmentPR(TASKS);
+
+            assert.equal(octokit.callsTo('repos.get').length, 0);
+            assert.equal(octokit.callsTo('pulls.list')[0].base, 'develop');
+            assert.equal(octokit.callsTo('git.getRef')[0].ref, 'heads/develop');
+            assert.equal(octokit.callsTo('git.createRef')[0].ref, `refs/heads/bot/tasks-${NOW.getTime()}`);
+        });
+
+        it('returns null and warns when the repository cannot be read', async () => {
+            const octokit = createMockOctokit({
+                'repos.get': async () => {
+                    throw apiError(401, 'Bad credentials');
+                }
+            });
+            const agent = createAgent({ octokit, rootDir });
+
+            assert.equal(await agent.createDevelopmentPR(TASKS), null);
+            assert.ok(output.warnings.includes('Could not create PR: Bad credentials'));
+        });
+    });
+
+    describe('run', () => {
+        it('runs the pipeline in the working directory against the mocked API', async () => {
+            await fs.copyFile(path.join(GOLDEN_DIR, 'markers.md'), path.join(rootDir, 'README.md'));
+            const octokit = createMockOctokit({
+                'pulls.list': async ({ state }) => ({ data: state === 'closed' ? [pr(9, { merged_at: new Date().toISOString() })] : [] }),
+                'pulls.listFiles': async () => ({ data: [{ filename: 'transfer/cli.js', status: 'modified', additions: 1, deletions: 0 }] })
+            });
+            const agent = createAgent({ octokit, rootDir });
+
+            await agent.run();
+
+            const tasks = JSON.parse(await fs.readFile(path.join(agent.workflowDir, 'latest-tasks.json'), 'utf8'));
+            assert.ok(tasks.length > 0);
+            assert.deepEqual(JSON.parse(await fs.readFile(path.join(agent.workflowDir, 'analysis-cursor.json'), 'utf8')).analyzedPRs, [9]);
+            assert.ok((await fs.readFile(path.join(rootDir, 'CHANGELOG.md'), 'utf8')).includes('#9'));
+            assert.ok((await fs.readFile(path.join(rootDir, 'README.md'), 'utf8')).includes(`Active tasks: ${tasks.length}`));
+            assert.equal(octokit.callsTo('pulls.create').length, 1);
+        });
+
+        it('still opens the PR to save the cursor and snapshots when there are no tasks', async () => {
+            await fs.writeFile(path.join(rootDir, 'README.md'), '# Project\n');
+            await fs.writeFile(path.join(rootDir, 'agent-workflow', 'rules.json'), '{"rules":[]}');
+            const octokit = createMockOctokit({
+                'pulls.list': async ({ state }) => ({ data: state === 'closed' ? [pr(9, { merged_at: NOW.toISOString() })] : [] })
+            });
+            const agent = createAgent({ octokit, rootDir, clock: { now: () => NOW } });
+
+            await agent.run();
+
+            assert.deepEqual(JSON.parse(await fs.readFile(path.join(agent.workflowDir, 'latest-tasks.json'), 'utf8')), []);
+            assert.equal(octokit.callsTo('pulls.create')[0].title, '🤖 Update agent workflow state');
+            const paths = octokit.callsTo('git.createTree')[0].tree.map(entry => entry.path);
+            assert.ok(paths.includes('agent-workflow/analysis-cursor.json'));
+            assert.ok(paths.includes('agent-workflow/analysis-2025-08-04T12-00-00-000Z.json'));
+        });
+
+        it('stops before saving or publishing anything when the analysis fails', async () => {
+            await fs.copyFile(path.join(GOLDEN_DIR, 'markers.md'), path.join(rootDir, 'README.md'));
+            const readme = await fs.readFile(path.join(rootDir, 'README.md'), 'utf8');
+            const octokit = createMockOctokit({
+                'pulls.list': async () => {
+                    throw apiError(503, 'Service Unavailable');
+                }
+            });
+            const agent = createAgent({ octokit, rootDir });
+
+            await assert.rejects(agent.run(), {
+                message: 'PR analysis failed (Service Unavailable); not publishing tasks, README, changelog or PR updates'
+            });
+
+            assert.deepEqual(await fs.readdir(agent.workflowDir), []);
+            assert.equal(await fs.readFile(path.join(rootDir, 'README.md'), 'utf8'), readme);
+            assert.deepEqual(octokit.callsTo('pulls.list').length, 1);
+            assert.equal(octokit.callsTo('pulls.create').length, 0);
+        });
+
+        it('runs entirely against an injected filesystem and clock', async () => {
+            const repoDir = path.join(rootDir, 'in-memory');
+            const memoryFs = createMemoryFs({
+                [path.join(repoDir, 'README.md')]: await fs.readFile(path.join(GOLDEN_DIR, 'markers.md'), 'utf8')
+            });
+            const octokit = createMockOctokit({
+                'pulls.list': async ({ state }) => ({ data: state === 'closed' ? [pr(9, { merged_at: '2025-08-04T00:00:00Z' })] : [] })
+            });
+            const agent = createAgent({ octokit, rootDir: repoDir, fs: memoryFs, clock: { now: () => NOW } });
+
+            await agent.run();
+
+            const written = [...memoryFs.files.keys()].map(file => path.relative(repoDir, file)).sort();
+            assert.deepEqual(written, [
+                'CHANGELOG.md',
+                'README.md',
+                'agent-workflow/analysis-2025-08-04T12-00-00-000Z.json',
+                'agent-workflow/analysis-cursor.json',
+                'agent-workflow/latest-analysis.json',
+                'agent-workflow/latest-tasks.json',
+                'agent-workflow/task-store.json',
+                'agent-workflow/tasks-2025-08-04T12-00-00-000Z.json'
+            ]);
+            const store = JSON.parse(memoryFs.files.get(path.join(repoDir, 'agent-workflow', 'task-store.json')));
+            assert.equal(store.updatedAt, NOW.toISOString());
+            assert.ok(memoryFs.files.get(path.join(repoDir, 'README.md')).includes(`*Last updated: ${NOW.toLocaleString()} by`));
+            assert.deepEqual(await fs.readdir(rootDir), ['agent-workflow']);
+        });
+
+        it('skips the steps disabled in the config', async () => {
+            await fs.copyFile(path.join(GOLDEN_DIR, 'markers.md'), path.join(rootDir, 'README.md'));
+            const readme = await fs.readFile(path.join(rootDir, 'README.md'), 'utf8');
+            const octokit = createMockOctokit();
+            const agent = createAgent({
+                octokit,
+                rootDir,
+                config: { steps: { changelog: false, readme: false, pullRequest: false } }
+            });
+
+            await agent.run();
+
+            assert.equal(await fs.readFile(path.join(rootDir, 'README.md'), 'utf8'), readme);
+            await assert.rejects(fs.access(path.join(rootDir, 'CHANGELOG.md')), { code: 'ENOENT' });
+            assert.equal(octokit.callsTo('pulls.create').length, 0);
+            assert.ok(output.logs.includes('⏭️  Skipping pullRequest (disabled in agent config)'));
+        });
+    });
+});
@@ -0,0 +1,176 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { Octokit } = require('@octokit/rest');
+const GitHubResilience = require('../agent-workflow/github-resilience');
+const { isTransient } = require('../agent-workflow/github-resilience');
+const { createMemoryFs, createMockFetch, apiError, captureConsole } = require('./helpers');
+
+const NOW = new Date('2025-08-04T12:00:00.000Z');
+const CACHE_DIR = path.resolve('/repo/.cache/github-api');
+
+/**
+ * A real Octokit whose requests are answered by `responses`, with the resilience
+ * hook installed; waits are recorded instead of slept
+ */
+function createClient(responses, options = {}) {
+    const fetch = createMockFetch(responses);
+    const sleeps = [];
+    const resilience = new GitHubResilience({
+        retryDelayMs: 100,
+        clock: { now: () => NOW, sleep: async ms => sleeps.push(ms) },
+        ...options
+    });
+    const octokit = resilience.install(new Octokit({ request: { fetch } }));
+    return { octokit, fetch, sleeps, resilience };
+}
+
+function listPulls(octokit) {
+    return octokit.pulls.list({ owner: 'owner', repo: 'name', state: 'closed' });
+}
+
+describe('GitHubResilience', () => {
+    let output;
+
+    beforeEach(() => {
+        output = captureConsole();
+    });
+
+    afterEach(() => {
+        output.restore();
+    });
+
+    describe('retries', () => {
+        it('retries server errors and network failures with exponential backoff', async () => {
+            const { octokit, sleeps, resilience } = createClient([
+                { status: 502, body: { message: 'Bad Gateway' } },
+                new TypeError('fetch failed'),
+                { status: 200, body: [{ number: 1 }] }
+            ]);
+
+            const { data } = await listPulls(octokit);
+
+            assert.deepEqual(data, [{ number: 1 }]);
+            assert.deepEqual(sleeps, [100, 200]);
+            assert.deepEqual(resilience.stats, { requests: 3, retries: 2, cacheHits: 0 });
+            assert.ok(output.logs[0].includes('GET /repos/owner/name/pulls: HTTP 502, retrying in 1s (1/3)'));
+        });
+
+        it('gives up after maxRetries', async () => {
+            const { octokit, fetch } = createClient(Array(3).fill({ status: 503, body: { message: 'Unavailable' } }), { maxRetries: 2 });
+
+            await assert.rejects(listPulls(octokit), { status: 503 });
+            assert.equal(fetch.requests.length, 3);
+        });
+
+        it('does not retry client errors', async () => {
+            const { octokit, fetch, sleeps } = createClient([{ status: 404, body: { message: 'Not Found' } }]);
+
+            await assert.rejects(listPulls(octokit), { status: 404 });
+            assert.equal(fetch.requests.length, 1);
+            assert.deepEqual(sleeps, []);
+        });
+
+        it('waits retry-after on a secondary rate limit', async () => {
+            const { octokit, sleeps } = createClient([
+                { status: 403, headers: { 'retry-after': '30' }, body: { message: 'You have exceeded a secondary rate limit' } },
+                { status: 403, body: { message: 'You have exceeded a secondary rate limit' } },
+                { status: 200, body: [] }
+            ]);
+
+            await listPulls(octokit);
+
+            assert.deepEqual(sleeps, [30000, 120000]);
+        });
+
+        it('waits for the primary rate limit to reset', async () => {
+            const reset = String(NOW.getTime() / 1000 + 120);
+            const { octokit, sleeps } = createClient([
+                { status: 403, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }, body: { message: 'API rate limit exceeded' } },
+                { status: 200, body: [] }
+            ]);
+
+            await listPulls(octokit);
+
+            assert.deepEqual(sleeps, [121000]);
+            assert.ok(output.logs[0].includes('rate limit exhausted until 2025-08-04T12:02:00.000Z'));
+        });
+
+        it('fails when the rate limit resets after maxRateLimitWaitSeconds', async () => {
+            const reset = String(NOW.getTime() / 1000 + 3600);
+            const { octokit, sleeps } = createClient([
+                { status: 429, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }, body: { message: 'API rate limit exceeded' } }
+            ], { maxRateLimitWaitSeconds: 600 });
+
+            await assert.rejects(listPulls(octokit), {
+                status: 429,
+                message: 'GitHub API rate limit exhausted until 2025-08-04T13:00:00.000Z: API rate limit exceeded'
+            });
+            assert.deepEqual(sleeps, []);
+        });
+    });
+
+    describe('conditional requests', () => {
+        it('sends the cached ETag and serves the cached body on 304', async () => {
+            const fs = createMemoryFs();
+            const { octokit, fetch, resilience } = createClient([
+                { status: 200, headers: { etag: 'W/"abc"', link: '<https://api.github.com/next>; rel="next"' }, body: [{ number: 1 }] },
+                { status: 304, headers: { etag: 'W/"abc"' } }
+            ], { cacheDir: CACHE_DIR, fs });
+
+            await listPulls(octokit);
+            const cached = await listPulls(octokit);
+
+            assert.equal(fetch.requests[0].headers['if-none-match'], undefined);
+            assert.equal(fetch.requests[1].headers['if-none-match'], 'W/"abc"');
+            assert.deepEqual(cached.data, [{ number: 1 }]);
+            assert.equal(cached.headers.link, '<https://api.github.com/next>; rel="next"');
+            assert.equal(resilience.stats.cacheHits, 1);
+            assert.equal(fs.files.size, 1);
+        });
+
+        it('keys the cache by URL and refreshes it when the resource changes', async () => {
+            const fs = createMemoryFs();
+            const { octokit, fetch } = createClient([
+                { status: 200, headers: { etag: '"v1"' }, body: [{ number: 1 }] },
+                { status: 200, headers: { etag: '"other"' }, body: [] },
+                { status: 200, headers: { etag: '"v2"' }, body: [{ number: 2 }] },
+                { status: 304 }
+            ], { cacheDir: CACHE_DIR, fs });
+
+            await listPulls(octokit);
+            await octokit.pulls.list({ owner: 'owner', repo: 'name', state: 'open' });
+            await listPulls(octokit);
+            const { data } = await listPulls(octokit);
+
+            assert.deepEqual(fetch.requests.map(request => request.headers['if-none-match']), [undefined, undefined, '"v1"', '"v2"']);
+            assert.deepEqual(data, [{ number: 2 }]);
+        });
+
+        it('never sends conditional writes', async () => {
+            const fs = createMemoryFs();
+            const { octokit, fetch } = createClient([{ status: 201, headers: { etag: '"x"' }, body: { number: 5 } }], { cacheDir: CACHE_DIR, fs });
+
+            await octokit.pulls.create({ owner: 'owner', repo: 'name', title: 't', head: 'h', base: 'main' });
+
+            assert.equal(fetch.requests[0].headers['if-none-match'], undefined);
+            assert.equal(fs.files.size, 0);
+        });
+    });
+
+    describe('isTransient', () => {
+        it('separates retryable failures from permanent ones', () => {
+            const rateLimited = Object.assign(apiError(403, 'API rate limit exceeded'), {
+                response: { headers: { 'x-ratelimit-remaining': '0' } }
+            });
+
+            assert.equal(isTransient(apiError(502, 'Bad Gateway')), true);
+            assert.equal(isTransient(new Error('socket hang up')), true);
+            assert.equal(isTransient(rateLimited), true);
+            assert.equal(isTransient(apiError(403, 'You have exceeded a secondary rate limit')), true);
+            assert.equal(isTransient(apiError(403, 'Resource not accessible by integration')), false);
+            assert.equal(isTransient(apiError(404, 'Not Found')), false);
+            assert.equal(isTransient(apiError(501, 'Not Implemented')), false);
+        });
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * Shared helpers for the test suite: temporary repositories, an in-memory
+ * filesystem, a mocked Octokit, a scripted fetch and captured console output.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+/**
+ * A temporary repository checkout with an agent-workflow/ directory
+ *
+ * @param {object} [files] - Relative path → contents to write
+ * @returns {Promise<string>} The directory; remove it with removeTempRepo
+ */
+async function createTempRepo(files = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-test-'));
+    await fs.mkdir(path.join(dir, 'agent-workflow'));
+    for (const [file, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+        await fs.writeFile(path.join(dir, file), content);
+    }
+    return dir;
+}
+
+async function removeTempRepo(dir) {
+    await fs.rm(dir, { recursive: true, force: true });
+}
+
+/**
+ * The promise-based fs methods the agent uses, backed by a Map of absolute
+ * path → contents. Directories exist implicitly wherever a file does.
+ *
+ * @param {object} [files] - Absolute path → contents
+ */
+function createMemoryFs(files = {}) {
+    const contents = new Map(Object.entries(files).map(([file, content]) => [path.resolve(file), content]));
+    const notFound = (syscall, file) => Object.assign(
+        new Error(`ENOENT: no such file or directory, ${syscall} '${file}'`),
+        { code: 'ENOENT' }
+    );
+    const isDirectory = dir => [...contents.keys()].some(file => file.startsWith(path.resolve(dir) + path.sep));
+
+    return {
+        files: contents,
+        async readFile(file, encoding) {
+            if (!contents.has(path.resolve(file))) throw notFound('open', file);
+            const content = contents.get(path.resolve(file));
+            return encoding ? content.toString() : Buffer.from(content);
+        },
+        async writeFile(file, content) {
+            contents.set(path.resolve(file), content);
+        },
+        async appendFile(file, content) {
+            const existing = contents.get(path.resolve(file)) || '';
+            contents.set(path.resolve(file), Buffer.concat([Buffer.from(existing), Buffer.from(content)]));
+        },
+        async access(file) {
+            if (!contents.has(path.resolve(file)) && !isDirectory(file)) throw notFound('access', file);
+        },
+        async mkdir() {},
+        async readdir(dir) {
+            if (!isDirectory(dir)) throw notFound('scandir', dir);
+            const prefix = path.resolve(dir) + path.sep;
+            const names = [...contents.keys()]
+                .filter(file => file.startsWith(prefix))
+                .map(file => file.slice(prefix.length).split(path.sep)[0]);
+            return [...new Set(names)].sort();
+        },
+        async unlink(file) {
+            if (!contents.delete(path.resolve(file))) throw notFound('unlink', file);
+        },
+        async rename(from, to) {
+            if (!contents.has(path.resolve(from))) throw notFound('rename', from);
+            contents.set(path.resolve(to), contents.get(path.resolve(from)));
+            contents.delete(path.resolve(from));
+        }
+    };
+}
+
+/**
+ * An error shaped like Octokit's RequestError
+ */
+function apiError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * A stand-in for the parts of Octokit the agent uses. Every call is recorded
+ * in `calls` as `[name, params]`; `handlers` replaces individual endpoints by
+ * name, e.g. `{ 'pulls.list': async () => { throw apiError(502, 'Bad Gateway'); } }`.
+ */
+function createMockOctokit(handlers = {}) {
+    const calls = [];
+    let sha = 0;
+    const defaults = {
+        'pulls.list': async () => ({ data: [] }),
+        'pulls.listFiles': async () => ({ data: [] }),
+        'pulls.listReviews': async () => ({ data: [] }),
+        'pulls.listCommits': async () => ({ data: [] }),
+        'pulls.create': async params => ({ data: { number: 100, html_url: 'https://github.test/pull/100', ...params } }),
+        'pulls.update': async params => ({ data: { number: params.pull_number, html_url: `https://github.test/pull/${params.pull_number}` } }),
+        'repos.get': async () => ({ data: { default_branch: 'main' } }),
+        'repos.getCommit': async () => ({ data: { parents: [{ sha: 'parent-sha' }] } }),
+        'repos.getContent': async () => ({ data: '' }),
+        'git.getRef': async () => ({ data: { object: { sha: 'base-sha' } } }),
+        'git.getCommit': async () => ({ data: { tree: { sha: 'base-tree-sha' } } }),
+        'git.getTree': async () => ({ data: { sha: 'base-tree-sha', tree: [], truncated: false } }),
+        'git.createBlob': async () => ({ data: { sha: `blob-${++sha}` } }),
+        'git.createTree': async () => ({ data: { sha: 'tree-sha' } }),
+        'git.createCommit': async () => ({ data: { sha: 'commit-sha' } }),
+        'git.createRef': async () => ({ data: {} }),
+        'git.updateRef': async () => ({ data: {} }),
+        'issues.listForRepo': async () => ({ data: [] }),
+        'issues.get': async params => ({ data: { number: params.issue_number, state: 'open' } }),
+        'issues.create': async () => ({ data: { number: 1 } }),
+        'issues.update': async () => ({ data: {} }),
+        'issues.createComment': async () => ({ data: {} })
+    };
+
+    const octokit = { calls };
+    for (const name of Object.keys({ ...defaults, ...handlers })) {
+        const [namespace, method] = name.split('.');
+        octokit[namespace] = octokit[namespace] || {};
+        octokit[namespace][method] = async (params = {}) => {
+            calls.push([name, params]);
+            return (handlers[name] || defaults[name])(params);
+        };
+    }
+
+    // Single page: the map function may end pagination, which changes nothing here
+    octokit.paginate = async (method, params, mapFn) => {
+        const response = await method(params);
+        return mapFn ? mapFn(response, () => {}) : response.data;
+    };
+
+    octokit.callsTo = name => calls.filter(([called]) => called === name).map(([, params]) => params);
+    return octokit;
+}
+
+/**
+ * A fetch for `new Octokit({ request: { fetch } })` that answers requests in
+ * order from `responses`: `{ status, headers, body }` objects, or Errors to
+ * reject with (a network failure). Requests are recorded in `requests` as
+ * `{ url, method, headers }`.
+ */
+function createMockFetch(responses) {
+    const queue = [...responses];
+    const requests = [];
+    const fetch = async (url, init) => {
+        requests.push({ url, method: init.method, headers: init.headers });
+        const next = queue.shift();
+        if (!next) throw new Error(`Unexpected request: ${init.method} ${url}`);
+        if (next instanceof Error) throw next;
+        const body = next.body === undefined ? null : JSON.stringify(next.body);
+        return new Response(next.status === 304 ? null : body, {
+            status: next.status || 200,
+            headers: { 'content-type': 'application/json; charset=utf-8', ...next.headers }
+        });
+    };
+    fetch.requests = requests;
+    return fetch;
+}
+
+/**
+ * Capture console.log and console.warn until the returned restore() is called
+ */
+function captureConsole() {
+    const original = { log: console.log, warn: console.warn };
+    const output = { logs: [], warnings: [] };
+    console.log = (...messages) => output.logs.push(messages.join(' '));
+    console.warn = (...messages) => output.warnings.push(messages.join(' '));
+    output.restore = () => Object.assign(console, original);
+    return output;
+}
+
+module.exports = {
+    createTempRepo,
+    removeTempRepo,
+    createMemoryFs,
+    apiError,
+    createMockOctokit,
+    createMockFetch,
+    captureConsole
+};
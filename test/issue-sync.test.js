@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const IssueSync = require('../agent-workflow/issue-sync');
+const TaskStore = require('../agent-workflow/task-store');
+const { createMemoryFs, apiError, createMockOctokit, captureConsole } = require('./helpers');
+
+const SUGGESTION = {
+    rule: 'readme-docs',
+    title: 'Document the transfer options',
+    description: 'Describe the new flags',
+    type: 'documentation',
+    priority: 'medium',
+    category: 'docs',
+    estimatedHours: 1,
+    files: ['README.md']
+};
+
+function createStore() {
+    const store = new TaskStore('/repo/agent-workflow/task-store.json', { fs: createMemoryFs() });
+    store.merge([SUGGESTION], new Date('2025-08-01T00:00:00Z'));
+    store.tasks[0].issue = { number: 42, url: 'https://github.test/issues/42', state: 'open', createdAt: '2025-08-01T00:00:00Z' };
+    return store;
+}
+
+function mergedPR(number, overrides = {}) {
+    return { number, title: `PR ${number}`, body: '', mergedAt: '2025-08-03T00:00:00Z', files: [{ filename: 'README.md' }], ...overrides };
+}
+
+describe('IssueSync', () => {
+    let output;
+
+    beforeEach(() => {
+        output = captureConsole();
+    });
+
+    afterEach(() => {
+        output.restore();
+    });
+
+    it('updates the issue a task recorded, even without the agent label', async () => {
+        const octokit = createMockOctokit();
+        const store = createStore();
+
+        const result = await new IssueSync(octokit, 'owner', 'name').sync(store, []);
+
+        assert.deepEqual(result.updated, [42]);
+        assert.equal(octokit.callsTo('issues.get')[0].issue_number, 42);
+        assert.equal(octokit.callsTo('issues.create').length, 0);
+    });
+
+    it('dismisses a task whose issue a maintainer closed instead of opening another', async () => {
+        const octokit = createMockOctokit({
+            'issues.get': async () => ({ data: { number: 42, state: 'closed' } })
+        });
+        const store = createStore();
+
+        const result = await new IssueSync(octokit, 'owner', 'name').sync(store, []);
+        await new IssueSync(octokit, 'owner', 'name').sync(store, []);
+
+        assert.deepEqual(result.dismissed, [42]);
+        assert.equal(store.tasks[0].status, 'dismissed');
+        assert.equal(store.tasks[0].issue.state, 'closed');
+        assert.equal(octokit.callsTo('issues.create').length, 0);
+        assert.equal(octokit.callsTo('issues.update').length, 0);
+    });
+
+    it('opens a new issue when the recorded one was deleted', async () => {
+        const octokit = createMockOctokit({
+            'issues.get': async () => {
+                throw apiError(404, 'Not Found');
+            },
+            'issues.create': async () => ({ data: { number: 43, html_url: 'https://github.test/issues/43' } })
+        });
+        const store = createStore();
+
+        const result = await new IssueSync(octokit, 'owner', 'name').sync(store, []);
+
+        assert.deepEqual(result.created, [43]);
+        assert.equal(store.tasks[0].issue.number, 43);
+    });
+
+    it('closes the issue when a merged PR touches the task\'s files', async () => {
+        const octokit = createMockOctokit();
+        const store = createStore();
+
+        const result = await new IssueSync(octokit, 'owner', 'name', { branchPrefix: 'automated/development-' })
+            .sync(store, [mergedPR(7, { headRef: 'feature/docs' })]);
+
+        assert.deepEqual(result.closed, [42]);
+        assert.equal(store.tasks[0].status, 'done');
+        assert.equal(store.tasks[0].completedBy, 7);
+    });
+
+    it('does not let the agent\'s own development PR close issues through its files', async () => {
+        const octokit = createMockOctokit();
+        const store = createStore();
+        const sync = new IssueSync(octokit, 'owner', 'name', { branchPrefix: 'automated/development-' });
+
+        const result = await sync.sync(store, [mergedPR(8, { headRef: 'automated/development-1' })]);
+
+        assert.deepEqual(result.closed, []);
+        assert.equal(store.tasks[0].status, 'open');
+
+        const closing = await sync.sync(store, [mergedPR(9, { headRef: 'automated/development-2', body: 'Closes #42' })]);
+        assert.deepEqual(closing.closed, [42]);
+    });
+});
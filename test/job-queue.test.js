@@ -0,0 +1,254 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const JobQueue = require('../transfer/job-queue');
+const { loadJobFile, isRateLimited, retryDelay } = require('../transfer/job-queue');
+const { createMemoryFs } = require('./helpers');
+
+const JOB_FILE = '/work/jobs.yml';
+const STATE_FILE = '/work/jobs.state.json';
+
+const JOBS_YAML = `concurrency: 2
+maxAttempts: 3
+defaults:
+  transfers: 8
+jobs:
+  - id: documents
+    src: old_drive:Documents
+    dst: new_drive:Backup/Documents
+    timeout: 3600
+  - src: old_drive:Photos
+    dst: new_drive:Backup/Photos
+`;
+
+const RATE_LIMIT_ERROR = 'Failed to copy: googleapi: Error 403: User rate limit exceeded., userRateLimitExceeded';
+
+function report(status, overrides = {}) {
+    return {
+        status,
+        finishedAt: '2025-08-04T12:00:00.000Z',
+        exitCode: status === 'success' ? 0 : null,
+        exitSignal: null,
+        error: status === 'success' ? null : 'rclone exited with code 5',
+        errors: [],
+        ...overrides
+    };
+}
+
+/**
+ * A runner that answers each run with the next report scripted for the job,
+ * and with success once a job's script is used up
+ */
+function createRunner(scripts = {}) {
+    const runs = [];
+    return {
+        runs,
+        async run(argv, options) {
+            runs.push({ argv, ...options });
+            return scripts[options.label]?.shift() || report('success');
+        }
+    };
+}
+
+async function createQueue(fs, runner, options = {}) {
+    const { jobs, concurrency, maxAttempts } = await loadJobFile(JOB_FILE, {}, { fs });
+    const sleeps = [];
+    const queue = new JobQueue({
+        jobs,
+        statePath: STATE_FILE,
+        concurrency,
+        maxAttempts,
+        runner,
+        sleep: async ms => sleeps.push(ms),
+        fs,
+        ...options
+    });
+    return { queue, jobs, sleeps };
+}
+
+function collect(events) {
+    return event => {
+        if (event.type.startsWith('job-')) events.push(event);
+    };
+}
+
+describe('JobQueue', () => {
+    describe('loadJobFile', () => {
+        it('plans every job with the defaults applied', async () => {
+            const fs = createMemoryFs({ [JOB_FILE]: JOBS_YAML });
+
+            const { concurrency, maxAttempts, jobs, warnings } = await loadJobFile(JOB_FILE, {}, { fs });
+
+            assert.equal(concurrency, 2);
+            assert.equal(maxAttempts, 3);
+            assert.deepEqual(warnings, []);
+            assert.equal(jobs[0].id, 'documents');
+            assert.equal(jobs[0].timeoutMs, 3600000);
+            assert.match(jobs[1].id, /^[0-9a-f]{8}$/);
+            assert.ok(jobs[1].argv.includes('--transfers=8'));
+        });
+
+        it('reports every problem in the file at once', async () => {
+            const fs = createMemoryFs({
+                '/work/bad.json': JSON.stringify({
+                    concurrency: 20,
+                    retries: 2,
+                    defaults: { src: 'a:' },
+                    jobs: [
+                        { id: 'x', src: 'a:1', dst: 'b:1', timeout: -1 },
+                        { id: 'x', src: 'a:2', dst: 'b:2', speed: 'fast' },
+                        { id: 'y', src: 'a:3', dst: 'a:3' }
+                    ]
+                })
+            });
+
+            await assert.rejects(loadJobFile('/work/bad.json', {}, { fs }), error => {
+                assert.deepEqual(error.errors, [
+                    'Unknown key "retries"',
+                    'concurrency must be an integer from 1 to 8, got 20',
+                    'defaults: unknown option "src"',
+                    'jobs[0]: timeout must be a positive number of seconds',
+                    'jobs[1]: unknown option "speed"',
+                    'jobs[1]: duplicate job id "x"',
+                    'jobs[2] (y): Source and destination paths are identical'
+                ]);
+                return true;
+            });
+        });
+
+        it('names the file when it does not parse', async () => {
+            const fs = createMemoryFs({ [JOB_FILE]: 'jobs: [' });
+
+            await assert.rejects(loadJobFile(JOB_FILE, {}, { fs }), /\/work\/jobs\.yml is not valid YAML/);
+        });
+    });
+
+    describe('retries', () => {
+        it('backs off exponentially on rate limits and saves state after every change', async () => {
+            const fs = createMemoryFs({ [JOB_FILE]: JOBS_YAML });
+            const rateLimited = () => report('failed', { exitCode: 5, errors: [{ message: RATE_LIMIT_ERROR }] });
+            const runner = createRunner({ documents: [rateLimited(), rateLimited()] });
+            const { queue, jobs } = await createQueue(fs, runner);
+            const events = [];
+
+            const counts = await queue.run({ onEvent: collect(events) });
+
+            assert.deepEqual(counts, { pending: 0, running: 0, succeeded: 2, failed: 0 });
+            const retries = events.filter(event => event.type === 'job-retry');
+            assert.deepEqual(retries.map(event => [event.jobId, event.delayMs, event.rateLimited]), [
+                ['documents', 60000, true],
+                ['documents', 120000, true]
+            ]);
+            assert.equal(runner.runs.find(run => run.label === 'documents').timeoutMs, 3600000);
+
+            const saved = JSON.parse(fs.files.get(STATE_FILE));
+            assert.equal(saved.jobs.documents.status, 'succeeded');
+            assert.equal(saved.jobs.documents.attempts, 3);
+            assert.equal(saved.jobs[jobs[1].id].attempts, 1);
+            assert.equal(fs.files.has(`${STATE_FILE}.tmp`), false);
+        });
+
+        it('retries other failures after a fixed delay until maxAttempts', async () => {
+            const fs = createMemoryFs({ [JOB_FILE]: JOBS_YAML });
+            const { queue, jobs } = await createQueue(fs, { run: async () => report('failed', { exitCode: 5 }) }, { maxAttempts: 2 });
+            const events = [];
+
+            const counts = await queue.run({ onEvent: collect(events) });
+
+            assert.deepEqual(counts, { pending: 0, running: 0, succeeded: 0, failed: 2 });
+            assert.deepEqual(events.filter(event => event.type === 'job-retry').map(event => event.delayMs), [10000, 10000]);
+            assert.equal(queue.state.jobs[jobs[0].id].lastError, 'rclone exited with code 5');
+        });
+
+        it('does not retry errors retrying cannot fix', async () => {
+            const fs = createMemoryFs({ [JOB_FILE]: JOBS_YAML });
+            const runner = { runs: 0, run: async () => { runner.runs++; return report('failed', { exitCode: 3 }); } };
+            const { queue } = await createQueue(fs, runner);
+
+            await queue.run();
+
+            assert.equal(runner.runs, 2);
+            assert.equal(queue.state.jobs.documents.attempts, 1);
+        });
+
+        it('caps the rate limit backoff', () => {
+            assert.equal(retryDelay(1, false), 10000);
+            assert.equal(retryDelay(3, true), 240000);
+            assert.equal(retryDelay(10, true), 15 * 60 * 1000);
+            assert.equal(isRateLimited(report('failed', { error: 'HTTP 429 Too Many Requests' })), true);
+            assert.equal(isRateLimited(report('failed')), false);
+        });
+    });
+
+    describe('resume', () => {
+        it('picks up saved state, re-running interrupted jobs without counting the lost attempt', async () => {
+            const fs = createMemoryFs({ [JOB_FILE]: JOBS_YAML });
+            const { queue: first, jobs } = await createQueue(fs, createRunner());
+            await first.loadState();
+            first.state.jobs.documents = { ...first.state.jobs.documents, status: 'running', attempts: 2 };
+            first.state.jobs[jobs[1].id].status = 'succeeded';
+            await first.saveState();
+
+            const runner = createRunner();
+            const { queue } = await createQueue(fs, runner);
+            const counts = await queue.run();
+
+            assert.deepEqual(runner.runs.map(run => run.label), ['documents']);
+            assert.equal(queue.state.jobs.documents.attempts, 2);
+            assert.deepEqual(counts, { pending: 0, running: 0, succeeded: 2, failed: 0 });
+        });
+
+        it('waits out a backoff that was pending when the queue stopped', async () => {
+            const fs = createMemoryFs({ [JOB_FILE]: JOBS_YAML });
+            const { queue: first, jobs } = await createQueue(fs, createRunner());
+            await first.loadState();
+            first.state.jobs.documents.nextAttemptAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+            first.state.jobs[jobs[1].id].status = 'succeeded';
+            await first.saveState();
+
+            const { queue, sleeps } = await createQueue(fs, createRunner());
+            await queue.run();
+
+            assert.equal(sleeps.length, 1);
+            assert.ok(sleeps[0] > 59 * 60 * 1000 && sleeps[0] <= 60 * 60 * 1000);
+        });
+
+        it('starts over for a job whose source or destination changed, and retries failed jobs on request', async () => {
+            const fs = createMemoryFs({
+                [JOB_FILE]: JOBS_YAML,
+                [STATE_FILE]: JSON.stringify({
+                    jobs: {
+                        documents: { src: 'old_drive:Docs', dst: 'new_drive:Backup/Documents', status: 'succeeded', attempts: 1 }
+                    }
+                })
+            });
+            const { queue, jobs } = await createQueue(fs, createRunner());
+            const state = await queue.loadState();
+
+            assert.equal(state.jobs.documents.status, 'pending');
+            assert.equal(state.jobs.documents.attempts, 0);
+
+            state.jobs[jobs[1].id] = { ...state.jobs[jobs[1].id], status: 'failed', attempts: 3 };
+            await queue.saveState();
+            const retried = await queue.loadState({ retryFailed: true });
+            assert.equal(retried.jobs[jobs[1].id].status, 'pending');
+            assert.equal(retried.jobs[jobs[1].id].attempts, 0);
+        });
+
+        it('leaves cancelled jobs pending with their attempt given back', async () => {
+            const fs = createMemoryFs({ [JOB_FILE]: JOBS_YAML });
+            const controller = new AbortController();
+            const runner = {
+                run: async () => {
+                    controller.abort();
+                    return report('cancelled');
+                }
+            };
+            const { queue } = await createQueue(fs, runner, { concurrency: 1 });
+
+            const counts = await queue.run({ signal: controller.signal });
+
+            assert.deepEqual(counts, { pending: 2, running: 0, succeeded: 0, failed: 0 });
+            assert.equal(queue.state.jobs.documents.attempts, 0);
+        });
+    });
+});
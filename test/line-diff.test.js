@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { lineDiff } = require('../agent-workflow/line-diff');
+
+describe('lineDiff', () => {
+    it('shows changed lines with context and elides unchanged runs', () => {
+        const before = 'a\nb\nc\nd\ne\nf\ng\nh\n';
+        const after = 'a\nB\nc\nd\ne\nf\ng\nH\n';
+
+        assert.equal(lineDiff(before, after, 1), '  a\n- b\n+ B\n  c\n...\n  g\n- h\n+ H');
+    });
+
+    it('is empty for identical texts, including two empty ones', () => {
+        assert.equal(lineDiff('', ''), '');
+        assert.equal(lineDiff('a\nb\n', 'a\nb\n'), '');
+    });
+
+    it('diffs against an empty text without a phantom blank line', () => {
+        assert.equal(lineDiff('', '# Title\n\nBody\n'), '+ # Title\n+ \n+ Body');
+        assert.equal(lineDiff('# Title\n', ''), '- # Title');
+    });
+
+    it('does not treat the trailing newline as a line of its own', () => {
+        assert.equal(lineDiff('a\n', 'a\nb\n'), '  a\n+ b');
+        assert.equal(lineDiff('a', 'a\nb'), '- a\n\\ No newline at end of file\n+ a\n+ b\n\\ No newline at end of file');
+    });
+
+    it('shows a change to only the final newline', () => {
+        assert.equal(lineDiff('a\nb', 'a\nb\n'), '  a\n- b\n\\ No newline at end of file\n+ b');
+        assert.equal(lineDiff('a\nb\n', 'a\nb'), '  a\n- b\n+ b\n\\ No newline at end of file');
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findBlock, replaceBlock } = require('../agent-workflow/markdown-blocks');
+
+const BEGIN = '<!-- agent:begin status -->';
+const END = '<!-- agent:end status -->';
+
+describe('markdown blocks', () => {
+    describe('findBlock', () => {
+        it('returns the block offsets and body without the marker newlines', () => {
+            const content = `# Project\n\n${BEGIN}\n## Status\nAll good\n${END}\n\nFooter\n`;
+
+            const block = findBlock(content, 'status');
+
+            assert.deepEqual(block, {
+                start: content.indexOf(BEGIN),
+                end: content.indexOf(END) + END.length,
+                body: '## Status\nAll good'
+            });
+        });
+
+        it('returns null without a begin marker, even when a stray end marker is left', () => {
+            assert.equal(findBlock('# Project\n', 'status'), null);
+            assert.equal(findBlock(`# Project\n${END}\n`, 'status'), null);
+            assert.equal(findBlock(`${BEGIN}\n${END}\n`, 'changelog'), null);
+        });
+
+        it('throws on a begin marker with no end marker after it', () => {
+            const message = 'Block "status" has a begin marker but no end marker';
+
+            assert.throws(() => findBlock(`${BEGIN}\n## Status\n`, 'status'), { message });
+            assert.throws(() => findBlock(`${END}\n${BEGIN}\n## Status\n`, 'status'), { message });
+        });
+
+        it('uses the first block when the markers are duplicated', () => {
+            const content = `${BEGIN}\nfirst\n${END}\n\n${BEGIN}\nsecond\n${END}\n`;
+
+            assert.equal(findBlock(content, 'status').body, 'first');
+        });
+    });
+
+    describe('replaceBlock', () => {
+        it('replaces the body between existing markers and keeps the rest', () => {
+            const content = `# Project\n\n${BEGIN}\nold\n${END}\n\nFooter\n`;
+
+            assert.equal(replaceBlock(content, 'status', 'new\n\n'), `# Project\n\n${BEGIN}\nnew\n${END}\n\nFooter\n`);
+        });
+
+        it('appends a block when the markers are missing', () => {
+            assert.equal(replaceBlock('# Project\n\n', 'status', 'new'), `# Project\n\n${BEGIN}\nnew\n${END}\n`);
+        });
+
+        it('appends a new block after a stray end marker instead of pairing with it', () => {
+            assert.equal(replaceBlock(`# Project\n${END}\n`, 'status', 'new'), `# Project\n${END}\n\n${BEGIN}\nnew\n${END}\n`);
+        });
+
+        it('replaces only the first of duplicated blocks', () => {
+            const content = `${BEGIN}\nfirst\n${END}\n\n${BEGIN}\nsecond\n${END}\n`;
+
+            assert.equal(replaceBlock(content, 'status', 'new'), `${BEGIN}\nnew\n${END}\n\n${BEGIN}\nsecond\n${END}\n`);
+        });
+
+        it('refuses to rewrite a document with an unterminated block', () => {
+            assert.throws(() => replaceBlock(`${BEGIN}\n## Status\n\nNotes kept by hand\n`, 'status', 'new'), {
+                message: 'Block "status" has a begin marker but no end marker'
+            });
+        });
+
+        it('rejects block names that cannot be used in a marker', () => {
+            assert.throws(() => replaceBlock('', 'Status -->', 'new'), { message: 'Invalid block name "Status -->"' });
+        });
+    });
+});
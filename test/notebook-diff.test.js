@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffNotebooks } = require('../agent-workflow/notebook-diff');
+
+function notebook(cells) {
+    return {
+        cells: cells.map(([id, source, type = 'code']) => ({ id, cell_type: type, metadata: {}, source: source.split(/(?<=\n)/) }))
+    };
+}
+
+describe('diffNotebooks', () => {
+    it('counts the lines of an added cell without a phantom removal', () => {
+        const diff = diffNotebooks(
+            notebook([['setup-cell', '!pip install rclone']]),
+            notebook([['setup-cell', '!pip install rclone'], ['step3-cell', 'import os\nprint(os.getcwd())']])
+        );
+
+        assert.deepEqual(diff.cells, [{
+            id: 'step3-cell',
+            type: 'code',
+            label: 'Step 3 execution cell',
+            change: 'added',
+            linesAdded: 2,
+            linesRemoved: 0
+        }]);
+    });
+
+    it('counts the lines of a removed cell without a phantom addition', () => {
+        const diff = diffNotebooks(
+            notebook([['step1-header', '## Step 1\nAuthorize Drive', 'markdown']]),
+            notebook([])
+        );
+
+        assert.equal(diff.cells[0].change, 'removed');
+        assert.equal(diff.cells[0].linesAdded, 0);
+        assert.equal(diff.cells[0].linesRemoved, 2);
+    });
+
+    it('counts a cell emptied or filled in', () => {
+        const diff = diffNotebooks(
+            notebook([['cell-0', 'x = 1'], ['cell-1', '']]),
+            notebook([['cell-0', ''], ['cell-1', 'y = 2']])
+        );
+
+        assert.deepEqual(diff.cells.map(cell => [cell.linesAdded, cell.linesRemoved]), [[0, 1], [1, 0]]);
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const NotebookLinter = require('../agent-workflow/notebook-lint');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'notebooks');
+
+function lintFixture(name) {
+    return new NotebookLinter().lintFile(path.join(FIXTURE_DIR, name), name);
+}
+
+describe('NotebookLinter', () => {
+    it('finds nothing in a clean notebook', async () => {
+        assert.deepEqual(await lintFixture('clean.ipynb'), []);
+    });
+
+    it('reports code cells with committed outputs', async () => {
+        assert.deepEqual(await lintFixture('committed-outputs.ipynb'), [{
+            file: 'committed-outputs.ipynb',
+            check: 'committed-outputs',
+            cell: 'listing',
+            message: 'Code cell listing has 2 committed outputs'
+        }]);
+    });
+
+    it('reports secrets in sources and outputs without echoing them', async () => {
+        const findings = await lintFixture('secrets.ipynb');
+
+        assert.deepEqual(findings.filter(finding => finding.check === 'secrets'), [
+            {
+                file: 'secrets.ipynb',
+                check: 'secrets',
+                cell: 'config',
+                message: 'Code cell config source contains a possible Google client secret: GOCS… (25 chars)'
+            },
+            {
+                file: 'secrets.ipynb',
+                check: 'secrets',
+                cell: 'config',
+                message: 'Code cell config source contains a possible client secret: clie… (41 chars)'
+            },
+            {
+                file: 'secrets.ipynb',
+                check: 'secrets',
+                cell: 'show',
+                message: 'Code cell show output contains a possible OAuth access token: ya29… (35 chars)'
+            }
+        ]);
+        assert.doesNotMatch(JSON.stringify(findings), /notarealsecret|not-a-real-access-token/);
+    });
+
+    it('reports execution counts that go backwards, skipping cells that never ran', async () => {
+        assert.deepEqual(await lintFixture('execution-order.ipynb'), [{
+            file: 'execution-order.ipynb',
+            check: 'execution-order',
+            cell: 'second',
+            message: 'Code cell second ran as [1] after Code cell first [3]'
+        }]);
+    });
+
+    it('reports required sections missing from the Markdown headings', async () => {
+        // "Step 10" does not count as Step 1, and a code comment is not a heading
+        assert.deepEqual(await lintFixture('missing-section.ipynb'), [
+            { file: 'missing-section.ipynb', check: 'required-sections', cell: null, message: 'Missing required section "Step 1"' },
+            { file: 'missing-section.ipynb', check: 'required-sections', cell: null, message: 'Missing required section "Step 2"' }
+        ]);
+    });
+
+    it('reports a file that is not a notebook', () => {
+        const linter = new NotebookLinter();
+
+        assert.deepEqual(linter.lint('{"cells": {}}', 'broken.ipynb'), [{
+            file: 'broken.ipynb',
+            check: 'invalid-notebook',
+            cell: null,
+            message: 'Notebook has no "cells" array'
+        }]);
+        assert.equal(linter.lint('{', 'broken.ipynb')[0].check, 'invalid-notebook');
+    });
+
+    it('lists the fixture notebooks', async () => {
+        assert.deepEqual(await NotebookLinter.findNotebooks(FIXTURE_DIR), [
+            'clean.ipynb',
+            'committed-outputs.ipynb',
+            'execution-order.ipynb',
+            'missing-section.ipynb',
+            'secrets.ipynb'
+        ]);
+    });
+
+    it('turns findings into one task per notebook and check', async () => {
+        const now = new Date('2025-08-10T12:00:00.000Z');
+        const tasks = NotebookLinter.toTasks(await lintFixture('secrets.ipynb'), now);
+
+        assert.deepEqual(tasks.map(task => [task.rule, task.title, task.type]), [
+            ['notebook-lint-committed-outputs', 'Clear committed outputs in secrets.ipynb', 'maintenance'],
+            ['notebook-lint-secrets', 'Remove credentials committed in secrets.ipynb', 'security']
+        ]);
+        assert.deepEqual(tasks[1].files, ['secrets.ipynb']);
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseRemotePath,
+    validateTransferOptions,
+    buildRcloneArgs,
+    planTransfer,
+    formatCommand
+} = require('../transfer/rclone-command');
+
+describe('rclone command builder', () => {
+    describe('parseRemotePath', () => {
+        it('splits the remote, with its colon, from the path', () => {
+            assert.deepEqual(parseRemotePath(' gdrive:Photos/2024 '), { remote: 'gdrive:', path: 'Photos/2024' });
+            assert.deepEqual(parseRemotePath('gdrive:'), { remote: 'gdrive:', path: '' });
+            assert.deepEqual(parseRemotePath('Photos'), { remote: '', path: 'Photos' });
+        });
+    });
+
+    describe('buildRcloneArgs', () => {
+        it('builds the notebook\'s default command', () => {
+            assert.deepEqual(buildRcloneArgs({ src: 'source:Photos', dst: 'dest:Backup' }), [
+                'rclone', 'copy', 'source:Photos', 'dest:Backup',
+                '--drive-server-side-across-configs=true',
+                '--fast-list',
+                '--transfers=4',
+                '--checkers=8',
+                '--progress', '--stats=10s', '--stats-file-name-length=0'
+            ]);
+        });
+
+        it('adds the flags of the enabled widgets in the notebook\'s order', () => {
+            const argv = buildRcloneArgs({
+                src: 'source:',
+                dst: 'dest:',
+                mode: 'local',
+                dryRun: true,
+                fastList: false,
+                verbose: true,
+                update: true,
+                transfers: 16,
+                checkers: 32
+            });
+
+            assert.deepEqual(argv.slice(4, 9), ['--dry-run', '--verbose', '--update', '--transfers=16', '--checkers=32']);
+            assert.ok(!argv.includes('--drive-server-side-across-configs=true'));
+            assert.ok(!argv.includes('--fast-list'));
+        });
+    });
+
+    describe('validateTransferOptions', () => {
+        it('requires both remotes and different paths', () => {
+            assert.deepEqual(validateTransferOptions({ src: 'Photos', dst: undefined }).errors, [
+                'Please select a source remote (expected remote:path, got "Photos")',
+                'Please select a destination remote (expected remote:path, got "")'
+            ]);
+            assert.deepEqual(validateTransferOptions({ src: 'gdrive:a', dst: 'gdrive:a' }).errors, [
+                'Source and destination paths are identical'
+            ]);
+        });
+
+        it('checks the mode and slider bounds, warning above the notebook\'s thresholds', () => {
+            const { errors, warnings } = validateTransferOptions({
+                src: 'source:',
+                dst: 'dest:',
+                mode: 'cloud',
+                transfers: 0,
+                checkers: 40
+            });
+
+            assert.deepEqual(errors, [
+                'Transfer mode must be one of server-side, local, got "cloud"',
+                'transfers must be an integer from 1 to 32, got 0'
+            ]);
+            assert.deepEqual(warnings, ['High number of checkers may use excessive memory']);
+        });
+
+        it('warns about special characters in paths', () => {
+            const { errors, warnings } = validateTransferOptions({ src: 'source:Photos & Videos', dst: 'dest:Backup' });
+
+            assert.deepEqual(errors, []);
+            assert.deepEqual(warnings, ['Source path contains special characters that might cause issues']);
+        });
+    });
+
+    describe('planTransfer', () => {
+        it('returns the argv only when the options are valid', () => {
+            const valid = planTransfer({ src: 'source:', dst: 'dest:' });
+            const invalid = planTransfer({ src: 'source:', dst: 'dest:', transfers: 2.5 });
+
+            assert.equal(valid.valid, true);
+            assert.equal(valid.argv[1], 'copy');
+            assert.equal(invalid.valid, false);
+            assert.equal(invalid.argv, null);
+        });
+    });
+
+    describe('formatCommand', () => {
+        it('quotes arguments a shell would split or expand', () => {
+            assert.equal(
+                formatCommand(['rclone', 'copy', 'source:My Photos', "dest:Bob's", '--transfers=4']),
+                `rclone copy 'source:My Photos' 'dest:Bob'\\''s' --transfers=4`
+            );
+        });
+    });
+});
@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RcloneConfig = require('../transfer/rclone-config');
+const { redactArgs } = require('../transfer/rclone-config');
+const { validateTransferOptions } = require('../transfer/rclone-command');
+const { createMemoryFs } = require('./helpers');
+
+const NOW = new Date('2025-08-04T12:00:00.000Z');
+const CLIENT_ID = '123-abc.apps.googleusercontent.com';
+
+function token(fields) {
+    return JSON.stringify({ token_type: 'Bearer', ...fields });
+}
+
+const CONFIG = `# Drive remotes
+[source]
+type = drive
+scope = drive.readonly
+token = ${token({ access_token: 'ya29.source', refresh_token: '1//source', expiry: '2025-08-04T11:00:00Z' })}
+
+[dest]
+type = drive
+scope = drive
+client_id = ${CLIENT_ID}
+client_secret = shhh
+token = ${token({ access_token: 'ya29.dest', refresh_token: '1//dest', expiry: '2025-08-05T00:00:00Z' })}
+`;
+
+describe('RcloneConfig', () => {
+    describe('parse', () => {
+        it('lists remotes like rclone listremotes', () => {
+            const config = RcloneConfig.parse(CONFIG);
+
+            assert.deepEqual(config.listRemotes(), ['source:', 'dest:']);
+            assert.equal(config.getRemote('dest:').options.client_id, CLIENT_ID);
+            assert.equal(config.getRemote('missing:'), null);
+            assert.deepEqual(config.parseErrors, []);
+        });
+
+        it('reports malformed lines, names and duplicates with their line numbers', () => {
+            const config = RcloneConfig.parse('orphan = 1\n[-bad]\ntype = drive\n[ok]\nnot an option\n[ok]\ntype = s3\n');
+
+            assert.deepEqual(config.parseErrors, [
+                { line: 1, message: 'Option outside of a [remote] section' },
+                { line: 2, message: 'Invalid remote name "-bad"' },
+                { line: 5, message: 'Expected "key = value", got "not an option"' },
+                { line: 6, message: 'Duplicate remote "ok"' }
+            ]);
+        });
+
+        it('refuses encrypted configs', () => {
+            const config = RcloneConfig.parse('# Encrypted rclone configuration File\n\nRCLONE_ENCRYPT_V0:\nabc\n');
+
+            assert.deepEqual(config.remotes, []);
+            assert.match(config.parseErrors[0].message, /Config is encrypted/);
+        });
+    });
+
+    describe('load', () => {
+        it('reads the config through the given fs', async () => {
+            const fs = createMemoryFs({ '/home/user/.config/rclone/rclone.conf': CONFIG });
+
+            const config = await RcloneConfig.load('/home/user/.config/rclone/rclone.conf', { fs });
+
+            assert.deepEqual(config.listRemotes(), ['source:', 'dest:']);
+        });
+    });
+
+    describe('validate', () => {
+        it('warns about expired access tokens that can be refreshed', () => {
+            const findings = RcloneConfig.parse(CONFIG).validate({ now: NOW });
+
+            assert.deepEqual(findings, [
+                { remote: 'source', severity: 'warning', message: 'Scope "drive.readonly" is read-only; this remote can only be a transfer source' },
+                { remote: 'source', severity: 'warning', message: 'Access token expired at 2025-08-04T11:00:00.000Z; rclone will refresh it on first use' }
+            ]);
+        });
+
+        it('fails expired tokens without a refresh token, and broken Drive settings', () => {
+            const findings = RcloneConfig.parse(`[drive]
+type = drive
+scope = drive.everything
+client_id = ${CLIENT_ID}
+token = ${token({ access_token: 'ya29.x', expiry: '2025-08-01T00:00:00Z' })}
+
+[untyped]
+path = /tmp
+`).validate({ now: NOW });
+
+            assert.deepEqual(findings.map(finding => `${finding.remote} ${finding.severity}: ${finding.message}`), [
+                'drive error: "client_id" and "client_secret" must be set together',
+                `drive error: Unknown scope "drive.everything" (expected ${RcloneConfig.DRIVE_SCOPES.join(', ')})`,
+                'drive error: "token" has no refresh_token; rclone cannot renew access once it expires',
+                'drive error: Access token expired at 2025-08-01T00:00:00.000Z',
+                'untyped error: Missing "type"'
+            ]);
+        });
+
+        it('accepts a service account instead of a token', () => {
+            const findings = RcloneConfig.parse('[sa]\ntype = drive\nscope = drive\nservice_account_file = /keys/sa.json\n').validate({ now: NOW });
+
+            assert.deepEqual(findings, []);
+        });
+
+        it('accepts a root folder inside a shared drive', () => {
+            const findings = RcloneConfig.parse(`[shared]
+type = drive
+scope = drive
+team_drive = 0ABCdefGHIjklUk9PVA
+root_folder_id = 1a2B3c4D5e6F7g8H9i0J
+token = ${token({ access_token: 'ya29.shared', refresh_token: '1//shared', expiry: '2025-08-05T00:00:00Z' })}
+`).validate({ now: NOW });
+
+            assert.deepEqual(findings, []);
+        });
+
+        it('reports an empty config', () => {
+            assert.deepEqual(RcloneConfig.parse('').validate(), [{ remote: null, severity: 'error', message: 'No remotes configured' }]);
+        });
+    });
+
+    describe('redaction', () => {
+        it('keeps token expiry but no secrets in printed and serialized configs', () => {
+            const config = RcloneConfig.parse(CONFIG);
+            const printed = config.toRedactedString();
+            const serialized = JSON.stringify(config);
+
+            for (const text of [printed, serialized]) {
+                for (const secret of ['ya29.', '1//', 'shhh']) {
+                    assert.ok(!text.includes(secret), `${secret} leaked`);
+                }
+            }
+            assert.ok(printed.includes('client_secret = <redacted>'));
+            assert.ok(printed.includes('"expiry":"2025-08-05T00:00:00Z"'));
+            assert.equal(config.toJSON().remotes[1].type, 'drive');
+        });
+
+        it('redacts secrets in connection strings and backend flags', () => {
+            assert.deepEqual(
+                redactArgs(['rclone', 'copy', ":drive,token='{\"access_token\":\"x\"}':Photos", 'dest:', '--drive-client-secret', 'shhh', '--drive-token=abc']),
+                ['rclone', 'copy', ':drive,token=<redacted>:Photos', 'dest:', '--drive-client-secret', '<redacted>', '--drive-token=<redacted>']
+            );
+        });
+    });
+
+    describe('transfer validation against the config', () => {
+        it('checks that both remotes exist and the destination is writable', () => {
+            const config = RcloneConfig.parse(CONFIG);
+
+            assert.deepEqual(validateTransferOptions({ src: 'dest:a', dst: 'source:b' }, { config }).errors, [
+                'Destination remote "source:" has a read-only scope'
+            ]);
+            assert.deepEqual(validateTransferOptions({ src: 'other:a', dst: 'dest:b' }, { config }).errors, [
+                'Source remote "other:" is not in the rclone config (source:, dest:)'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TaskRuleEngine = require('../agent-workflow/task-rules');
+const { validateRules } = require('../agent-workflow/task-rules');
+
+const TASK = { title: 'Task', description: 'Do it', type: 'docs', estimatedHours: 1, files: [] };
+
+describe('TaskRuleEngine', () => {
+    describe('validateRules', () => {
+        it('accepts the bundled rules', () => {
+            assert.deepEqual(validateRules(require('../agent-workflow/rules.json')), []);
+        });
+
+        it('reports entries that are not objects instead of throwing', () => {
+            assert.deepEqual(validateRules({ rules: [null, 'rule', [], { id: 'ok', task: TASK }] }), [
+                'rules[0]: rule must be an object',
+                'rules[1]: rule must be an object',
+                'rules[2]: rule must be an object'
+            ]);
+        });
+
+        it('reports null and empty conditions', () => {
+            const errors = validateRules({
+                rules: [
+                    { id: 'null-when', when: null, task: TASK },
+                    { id: 'null-notebook', when: { notebook: null }, task: TASK },
+                    { id: 'empty-files', when: { files: {} }, task: TASK },
+                    { id: 'empty-pattern', when: { files: { pattern: [], changed: true } }, task: TASK },
+                    { id: 'bad-range', when: { prCount: 3 }, task: TASK }
+                ]
+            });
+
+            assert.deepEqual(errors, [
+                'rules[0]: "when" must be an object',
+                'rules[1]: "notebook" must be an object',
+                'rules[2]: "files" needs a "pattern" and a boolean "changed"',
+                'rules[3]: "files" needs a "pattern" and a boolean "changed"',
+                'rules[4]: "prCount.min" and "prCount.max" must be numbers'
+            ]);
+        });
+
+        it('throws the collected errors from the constructor', () => {
+            assert.throws(() => new TaskRuleEngine({ rules: [null] }), {
+                message: 'Invalid task rules: rules[0]: rule must be an object'
+            });
+        });
+    });
+
+    describe('notebook conditions', () => {
+        const notebookPR = {
+            number: 1,
+            files: [{ filename: 'rclone_gdrive_transfer.ipynb' }],
+            notebooks: [{
+                cells: [{ id: 'step1-header', change: 'modified' }],
+                widgetsAdded: [{ cell: 'step3-cell', name: 'dry_run' }],
+                widgetsRemoved: [],
+                rcloneFlagsAdded: ['--checksum'],
+                rcloneFlagsRemoved: []
+            }]
+        };
+
+        function matches(notebook) {
+            const engine = new TaskRuleEngine({ rules: [{ id: 'rule', when: { notebook }, task: TASK }] });
+            return engine.evaluate({ recentPRs: [notebookPR] }).length === 1;
+        }
+
+        it('scopes widgetsAdded to the selected cells', () => {
+            assert.equal(matches({ cells: 'step1-*', widgetsAdded: true }), false);
+            assert.equal(matches({ widgetsAdded: true }), true);
+        });
+
+        it('compares rclone flags across the whole notebook', () => {
+            assert.equal(matches({ cells: 'step1-*', rcloneFlagsChanged: true }), true);
+            assert.equal(matches({ rcloneFlagsChanged: false }), false);
+        });
+    });
+});
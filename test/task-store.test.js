@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const TaskStore = require('../agent-workflow/task-store');
+const { createMemoryFs } = require('./helpers');
+
+const NOW = new Date('2025-08-04T02:00:00.000Z');
+const LATER = new Date('2025-08-05T02:00:00.000Z');
+
+const suggestion = {
+    rule: 'doc-update',
+    type: 'documentation',
+    title: 'Enhance documentation',
+    description: 'Document the transfer modes',
+    priority: 'medium',
+    files: ['rclone_gdrive_transfer.ipynb', 'README.md']
+};
+
+describe('TaskStore', () => {
+    describe('fingerprint', () => {
+        it('is the first 12 hex digits of the sha1 of the rule and sorted files', () => {
+            const expected = crypto.createHash('sha1')
+                .update('doc-update\nREADME.md\nrclone_gdrive_transfer.ipynb')
+                .digest('hex')
+                .slice(0, 12);
+
+            assert.equal(TaskStore.fingerprint(suggestion), expected);
+            assert.match(expected, /^[0-9a-f]{12}$/);
+        });
+
+        it('stays the same when the task is reworded or its files are reordered', () => {
+            const reworded = {
+                ...suggestion,
+                title: 'Improve the docs',
+                description: 'Explain server-side and local transfers',
+                priority: 'high',
+                files: ['README.md', 'rclone_gdrive_transfer.ipynb']
+            };
+
+            assert.equal(TaskStore.fingerprint(reworded), TaskStore.fingerprint(suggestion));
+        });
+
+        it('changes with the rule or the files', () => {
+            const fingerprint = TaskStore.fingerprint(suggestion);
+
+            assert.notEqual(TaskStore.fingerprint({ ...suggestion, rule: 'test-coverage' }), fingerprint);
+            assert.notEqual(TaskStore.fingerprint({ ...suggestion, files: ['README.md'] }), fingerprint);
+        });
+
+        it('falls back to the type for tasks without a rule', () => {
+            const { rule, ...legacy } = suggestion;
+
+            assert.equal(TaskStore.fingerprint(legacy), TaskStore.fingerprint({ ...suggestion, rule: 'documentation' }));
+        });
+    });
+
+    describe('merge', () => {
+        it('keeps the id, status and creation time of a reworded task', async () => {
+            const fileSystem = createMemoryFs();
+            const store = await new TaskStore('/repo/agent-workflow/task-store.json', { fs: fileSystem }).load();
+            const [created] = store.merge([{ ...suggestion, createdAt: NOW.toISOString() }], NOW);
+            store.setStatus(created.id, 'in-progress');
+            await store.save(NOW);
+
+            const reloaded = await new TaskStore('/repo/agent-workflow/task-store.json', { fs: fileSystem }).load();
+            const active = reloaded.merge([{ ...suggestion, title: 'Improve the docs', createdAt: LATER.toISOString() }], LATER);
+
+            assert.equal(reloaded.tasks.length, 1);
+            assert.deepEqual(active.map(task => [task.id, task.status, task.title, task.createdAt, task.lastSeenAt]), [
+                [created.id, 'in-progress', 'Improve the docs', NOW.toISOString(), LATER.toISOString()]
+            ]);
+            assert.equal(created.id, `doc-update-${TaskStore.fingerprint(suggestion)}`);
+        });
+    });
+});
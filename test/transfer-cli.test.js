@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const TransferCLI = require('../transfer/cli');
+const { createTempRepo, removeTempRepo } = require('./helpers');
+
+const FAKE_RCLONE = path.join(__dirname, '..', 'transfer', 'fixtures', 'fake-rclone.js');
+const ENV = ['RCLONE_PATH', 'TRANSFER_AUDIT_DIR', 'TRANSFER_REPORT_DIR', 'FAKE_RCLONE_COPIED'];
+const TARGET = ['--src', 'source:Documents', '--dst', 'dest:Backup'];
+
+/**
+ * Writable stream stand-in that keeps what was written
+ */
+function createOutput() {
+    return {
+        text: '',
+        write(chunk) {
+            this.text += chunk;
+        }
+    };
+}
+
+describe('TransferCLI', () => {
+    let dir;
+    let stdout;
+    let stderr;
+    let cli;
+
+    beforeEach(async () => {
+        dir = await createTempRepo();
+        process.env.RCLONE_PATH = FAKE_RCLONE;
+        process.env.TRANSFER_AUDIT_DIR = dir;
+        stdout = createOutput();
+        stderr = createOutput();
+        cli = new TransferCLI({ stdout, stderr });
+    });
+
+    afterEach(async () => {
+        for (const name of ENV) delete process.env[name];
+        await removeTempRepo(dir);
+    });
+
+    describe('verify --retry', () => {
+        beforeEach(() => {
+            process.env.TRANSFER_REPORT_DIR = dir;
+        });
+
+        it('reports a re-check that still fails without claiming the retried files match', async () => {
+            const code = await cli.main(['verify', ...TARGET, '--retry']);
+
+            assert.equal(code, 1);
+            assert.match(stderr.text, /Verification failed: 2 missing, 1 differing, 1 could not be checked \(3 match\)/);
+            assert.match(stderr.text, /Verification failed: 2 missing, 1 differing \(0 match\)/);
+            assert.ok(!stderr.text.includes('Retried files match now'));
+            assert.ok(!stderr.text.includes('Retry with --retry'));
+        });
+
+        it('warns about the files a retry cannot fix once the retried files match', async () => {
+            process.env.FAKE_RCLONE_COPIED = path.join(dir, 'copied.txt');
+
+            const code = await cli.main(['verify', ...TARGET, '--retry']);
+
+            assert.equal(code, 1);
+            assert.match(stderr.text, /Verified: 3 files match/);
+            assert.match(stderr.text, /Retried files match now, but files that could not be checked or are only in the destination remain/);
+            assert.ok(!stderr.text.includes('Retry with --retry'));
+        });
+    });
+
+    describe('--report-dir', () => {
+        it('writes run reports to the given directory', async () => {
+            const reportDir = path.join(dir, 'reports');
+
+            const code = await cli.main(['run', ...TARGET, '--report-dir', reportDir]);
+
+            assert.equal(code, 0, stderr.text);
+            const files = await fs.readdir(reportDir);
+            assert.equal(files.length, 1);
+            assert.match(files[0], /^transfer-.*\.json$/);
+        });
+
+        it('writes verification reports and mismatch lists to TRANSFER_REPORT_DIR without the flag', async () => {
+            process.env.TRANSFER_REPORT_DIR = dir;
+
+            await cli.main(['verify', ...TARGET]);
+
+            const files = (await fs.readdir(dir)).filter(file => file.startsWith('verify-'));
+            assert.deepEqual(files.map(file => path.extname(file)).sort(), ['.json', '.md', '.txt']);
+            assert.ok(files.some(file => file.endsWith('-mismatches.txt')));
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const TransferRunner = require('../transfer/transfer-runner');
+const { runnerArgs, parseLogLine } = require('../transfer/transfer-runner');
+const AuditLog = require('../transfer/audit-log');
+const { planTransfer } = require('../transfer/rclone-command');
+const { createTempRepo, removeTempRepo, createMemoryFs, captureConsole } = require('./helpers');
+
+const FAKE_RCLONE = path.join(__dirname, '..', 'transfer', 'fixtures', 'fake-rclone.js');
+const FAKE_ENV = ['FAKE_RCLONE_LOG', 'FAKE_RCLONE_DELAY_MS', 'FAKE_RCLONE_EXIT', 'FAKE_RCLONE_ARGV_FILE'];
+const { argv: ARGV } = planTransfer({ src: 'source:Documents', dst: 'dest:Backup' });
+
+describe('TransferRunner', () => {
+    let reportDir;
+    let auditLog;
+    let output;
+
+    beforeEach(async () => {
+        reportDir = await createTempRepo();
+        auditLog = new AuditLog({ dir: '/audit', fs: createMemoryFs() });
+        output = captureConsole();
+    });
+
+    afterEach(async () => {
+        output.restore();
+        for (const name of FAKE_ENV) delete process.env[name];
+        await removeTempRepo(reportDir);
+    });
+
+    function createRunner() {
+        return new TransferRunner({ rclonePath: FAKE_RCLONE, reportDir, auditLog, killGraceMs: 100 });
+    }
+
+    it('streams the replayed rclone log as events and reports the final stats', async () => {
+        const events = [];
+
+        const report = await createRunner().run(ARGV, { onEvent: event => events.push(event), label: 'docs' });
+
+        assert.deepEqual(events.map(event => event.type), ['log', 'file', 'error', 'stats', 'file', 'retry', 'file', 'stats']);
+        const [progress] = events.filter(event => event.type === 'stats');
+        assert.equal(progress.bytes, 13107200);
+        assert.equal(progress.totalBytes, 41943040);
+        assert.deepEqual(progress.transferring, ['Documents/notes.txt']);
+
+        assert.equal(report.status, 'success');
+        assert.equal(report.exitCode, 0);
+        assert.equal(report.filesCopied, 3);
+        assert.deepEqual(report.errors.map(error => error.object), ['Documents/photos.zip']);
+        assert.deepEqual(report.retries, { attempts: 1, lowLevel: 0 });
+        assert.equal(report.stats.bytes, 41943040);
+        assert.equal(report.stats.files, 3);
+        assert.equal(report.stats.checks, 7);
+        assert.equal(report.stats.eta, 0);
+
+        assert.equal(path.dirname(report.reportPath), reportDir);
+        assert.match(path.basename(report.reportPath), /^transfer-.*-docs\.json$/);
+        assert.equal(JSON.parse(await fs.readFile(report.reportPath, 'utf8')).filesCopied, 3);
+
+        const [entry] = await auditLog.read();
+        assert.equal(entry.kind, 'transfer');
+        assert.equal(entry.label, 'docs');
+        assert.equal(entry.bytes, 41943040);
+        assert.deepEqual(entry.remotes, ['source', 'dest']);
+    });
+
+    it('runs rclone with JSON logs instead of the interactive progress display', async () => {
+        process.env.FAKE_RCLONE_ARGV_FILE = path.join(reportDir, 'argv.json');
+
+        await createRunner().run(ARGV, { filesFrom: '/tmp/retry.txt' });
+
+        const args = JSON.parse(await fs.readFile(process.env.FAKE_RCLONE_ARGV_FILE, 'utf8'));
+        assert.deepEqual(args, [...runnerArgs(ARGV), '--files-from=/tmp/retry.txt']);
+        assert.ok(args.includes('--use-json-log'));
+        assert.ok(!args.includes('--progress'));
+    });
+
+    it('fails with rclone\'s exit code description', async () => {
+        process.env.FAKE_RCLONE_EXIT = '5';
+
+        const report = await createRunner().run(ARGV);
+
+        assert.equal(report.status, 'failed');
+        assert.equal(report.exitDescription, 'Temporary error (more retries might fix this)');
+        assert.equal(report.error, 'rclone exited with code 5: Temporary error (more retries might fix this)');
+    });
+
+    it('stops rclone after the timeout', async () => {
+        process.env.FAKE_RCLONE_DELAY_MS = '1000';
+
+        const report = await createRunner().run(ARGV, { timeoutMs: 200 });
+
+        assert.equal(report.status, 'timeout');
+        assert.equal(report.error, 'Stopped after the 0.2s timeout');
+        assert.equal(report.filesCopied, 0);
+    });
+
+    it('fails without throwing when rclone is missing', async () => {
+        const runner = new TransferRunner({ rclonePath: path.join(reportDir, 'no-rclone'), reportDir, auditLog });
+
+        const report = await runner.run(ARGV);
+
+        assert.equal(report.status, 'failed');
+        assert.match(report.error, /^rclone not found at ".*no-rclone"; install it or set RCLONE_PATH$/);
+    });
+
+    describe('parseLogLine', () => {
+        it('turns plain-text output into log events and skips blank lines', () => {
+            assert.deepEqual(parseLogLine('Failed to create file system: didn\'t find section in config file'), {
+                type: 'log',
+                level: 'info',
+                message: 'Failed to create file system: didn\'t find section in config file'
+            });
+            assert.equal(parseLogLine('   '), null);
+        });
+
+        it('recognizes low level retries', () => {
+            const event = parseLogLine(JSON.stringify({ level: 'debug', msg: 'pacer: low level retry 2/10 (error googleapi: Error 403)' }));
+
+            assert.equal(event.type, 'retry');
+            assert.equal(event.lowLevel, true);
+            assert.equal(event.attempt, 2);
+            assert.equal(event.maxAttempts, 10);
+        });
+    });
+});
@@ -0,0 +1,140 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const TransferVerifier = require('../transfer/transfer-verifier');
+const { parseCombinedReport } = require('../transfer/transfer-verifier');
+const AuditLog = require('../transfer/audit-log');
+const { buildCheckArgs } = require('../transfer/rclone-command');
+const { createTempRepo, removeTempRepo, createMemoryFs, captureConsole } = require('./helpers');
+
+const FAKE_RCLONE = path.join(__dirname, '..', 'transfer', 'fixtures', 'fake-rclone.js');
+const OPTIONS = { src: 'source:Documents', dst: 'dest:Backup' };
+
+describe('TransferVerifier', () => {
+    describe('parseCombinedReport', () => {
+        it('sorts combined report lines by their symbol', () => {
+            assert.deepEqual(parseCombinedReport([
+                '= same.txt',
+                '- missing dir/file name.txt',
+                '* changed.pdf',
+                '+ extra.txt',
+                '! unreadable.gdoc',
+                '',
+                '2025/08/04 12:00:00 NOTICE: not a report line',
+                '=no-space.txt'
+            ]), {
+                matched: ['same.txt'],
+                missing: ['missing dir/file name.txt'],
+                differing: ['changed.pdf'],
+                extra: ['extra.txt'],
+                errors: ['unreadable.gdoc']
+            });
+        });
+    });
+
+    describe('buildCheckArgs', () => {
+        it('checks one way with the transfer\'s listing settings', () => {
+            assert.deepEqual(buildCheckArgs({ ...OPTIONS, checkers: 16 }), [
+                'rclone', 'check', 'source:Documents', 'dest:Backup', '--one-way', '--fast-list', '--checkers=16'
+            ]);
+            assert.deepEqual(buildCheckArgs({ ...OPTIONS, oneWay: false, fastList: false, filesFrom: '/tmp/list.txt' }), [
+                'rclone', 'check', 'source:Documents', 'dest:Backup', '--checkers=8', '--files-from=/tmp/list.txt'
+            ]);
+        });
+    });
+
+    describe('verify', () => {
+        let reportDir;
+        let auditLog;
+        let output;
+
+        beforeEach(async () => {
+            reportDir = await createTempRepo();
+            auditLog = new AuditLog({ dir: '/audit', fs: createMemoryFs() });
+            output = captureConsole();
+        });
+
+        afterEach(async () => {
+            output.restore();
+            delete process.env.FAKE_RCLONE_COPIED;
+            await removeTempRepo(reportDir);
+        });
+
+        function createVerifier() {
+            return new TransferVerifier({ rclonePath: FAKE_RCLONE, reportDir, auditLog, killGraceMs: 100 });
+        }
+
+        it('fails with a mismatch list for the missing and differing files', async () => {
+            const report = await createVerifier().verify(OPTIONS, { label: 'docs' });
+
+            assert.equal(report.status, 'failed');
+            assert.equal(report.exitCode, 1);
+            assert.deepEqual(report.counts, { matched: 3, missing: 2, differing: 1, extra: 0, errors: 1 });
+            assert.deepEqual(report.logErrors, ['4 differences found']);
+            assert.deepEqual(report.command.slice(-3), ['--combined', '-', '--use-json-log']);
+
+            assert.equal(await fs.readFile(report.mismatchesPath, 'utf8'),
+                'Documents/photos.zip\nDocuments/Archive/2024 (final).tar\nDocuments/budget.xlsx\n');
+            assert.equal(JSON.parse(await fs.readFile(report.reportPath, 'utf8')).status, 'failed');
+
+            const markdown = await fs.readFile(report.markdownPath, 'utf8');
+            assert.ok(markdown.includes('| 3 | 2 | 1 | 0 | 1 |'));
+            assert.ok(markdown.includes('- `Documents/locked.gdoc`'));
+            assert.ok(markdown.includes(`--files-from ${report.mismatchesPath}`));
+
+            const [entry] = await auditLog.read();
+            assert.equal(entry.kind, 'verify');
+            assert.deepEqual(entry.verification, { status: 'failed', counts: report.counts, filesFrom: null });
+        });
+
+        it('passes a re-check of the mismatches once they were copied', async () => {
+            const copied = path.join(reportDir, 'copied.txt');
+            process.env.FAKE_RCLONE_COPIED = copied;
+            const first = await createVerifier().verify(OPTIONS);
+            await fs.writeFile(copied, await fs.readFile(first.mismatchesPath, 'utf8'));
+
+            const report = await createVerifier().verify({ ...OPTIONS, filesFrom: first.mismatchesPath });
+
+            assert.equal(report.status, 'passed');
+            assert.deepEqual(report.counts, { matched: 3, missing: 0, differing: 0, extra: 0, errors: 0 });
+            assert.equal(report.mismatchesPath, null);
+            assert.ok(report.command.includes(`--files-from=${first.mismatchesPath}`));
+        });
+
+        it('reports an error when rclone cannot be started', async () => {
+            const verifier = new TransferVerifier({ rclonePath: path.join(reportDir, 'no-rclone'), reportDir, auditLog: null });
+
+            const report = await verifier.verify(OPTIONS);
+
+            assert.equal(report.status, 'error');
+            assert.match(report.error, /^rclone not found/);
+        });
+    });
+
+    describe('toMarkdown', () => {
+        it('truncates long lists and leaves out the retry without mismatches', () => {
+            const extra = Array.from({ length: 102 }, (_, index) => `file-${index}.txt`);
+            const markdown = TransferVerifier.toMarkdown({
+                status: 'failed',
+                src: 'a:',
+                dst: 'b:',
+                finishedAt: '2025-08-04T12:00:00.000Z',
+                oneWay: false,
+                filesFrom: null,
+                counts: { matched: 0, missing: 0, differing: 0, extra: extra.length, errors: 0 },
+                missing: [],
+                differing: [],
+                extra,
+                errors: [],
+                error: null,
+                mismatchesPath: null
+            });
+
+            assert.ok(markdown.includes('## Only in destination (102)'));
+            assert.ok(markdown.includes('- … and 2 more (see the JSON report)'));
+            assert.ok(markdown.includes('two-way'));
+            assert.ok(!markdown.includes('## Retry'));
+        });
+    });
+});
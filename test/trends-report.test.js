@@ -0,0 +1,156 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TrendsReport = require('../agent-workflow/trends-report');
+
+const categorize = files => {
+    if (files[0].filename.endsWith('.md')) return ['docs'];
+    if (files[0].filename.startsWith('src/')) return ['source'];
+    return [];
+};
+
+const taskA = { rule: 'add-tests', files: ['src/a.js'], title: 'Add tests for a.js' };
+const taskB = { rule: 'update-docs', files: ['README.md'], title: 'Document the API' };
+const taskC = { rule: 'add-tests', files: ['src/b.js'], title: 'Add tests for b.js', createdAt: '2025-08-06T09:00:00.000Z' };
+
+// Oldest first, as WorkflowHistory#query returns them
+const SNAPSHOTS = [
+    {
+        kind: 'analysis',
+        timestamp: '2025-08-05T02:00:00.000Z',
+        data: {
+            recentPRs: [
+                { number: 1, mergedAt: '2025-08-04T10:00:00.000Z', files: [{ filename: 'src/a.js', additions: 10, deletions: 2 }] },
+                { number: 2, mergedAt: '2025-08-10T23:00:00.000Z', files: [{ filename: 'README.md', additions: 3, deletions: 1 }] },
+                { number: 3, mergedAt: null, files: [] }
+            ]
+        }
+    },
+    { kind: 'tasks', timestamp: '2025-08-05T02:00:00.000Z', data: [taskA, taskB] },
+    {
+        kind: 'tasks',
+        timestamp: '2025-08-07T02:00:00.000Z',
+        data: [{ ...taskA, status: 'done' }, { ...taskB, title: 'Document the public API' }, taskC]
+    },
+    {
+        kind: 'analysis',
+        timestamp: '2025-08-12T02:00:00.000Z',
+        data: {
+            recentPRs: [
+                {
+                    number: 2,
+                    mergedAt: '2025-08-10T23:00:00.000Z',
+                    files: [{ filename: 'README.md', additions: 3, deletions: 1 }, { filename: 'src/a.js', additions: 1, deletions: 1 }]
+                },
+                { number: 4, mergedAt: '2025-08-11T00:00:00.000Z', files: [{ filename: 'src/b.js', additions: 5, deletions: 0 }] }
+            ]
+        }
+    },
+    { kind: 'tasks', timestamp: '2025-08-12T02:00:00.000Z', data: [taskC] }
+];
+
+describe('TrendsReport', () => {
+    const trends = new TrendsReport(categorize);
+
+    describe('prsPerWeek', () => {
+        it('buckets merged PRs by the Monday of their UTC week', () => {
+            assert.deepEqual(trends.prsPerWeek([
+                { number: 1, mergedAt: '2025-08-11T00:00:00.000Z' },
+                { number: 2, mergedAt: '2025-08-04T00:00:00.000Z' },
+                { number: 3, mergedAt: '2025-08-10T23:59:59.999Z' },
+                { number: 4, mergedAt: null }
+            ]), [
+                { week: '2025-08-04', merged: 2 },
+                { week: '2025-08-11', merged: 1 }
+            ]);
+        });
+    });
+
+    describe('taskFlow', () => {
+        it('counts tasks opened and closed per week by fingerprint', () => {
+            const flow = trends.taskFlow(SNAPSHOTS.filter(snapshot => snapshot.kind === 'tasks'));
+
+            // Rewording task B keeps its fingerprint, so it is not created twice;
+            // it closes when it drops out of the list, task A when it is marked done
+            assert.deepEqual(flow, {
+                open: 1,
+                byWeek: [
+                    { week: '2025-08-04', created: 3, closed: 1 },
+                    { week: '2025-08-11', created: 0, closed: 1 }
+                ]
+            });
+        });
+
+        it('reopens a task listed again instead of creating it twice', () => {
+            const flow = trends.taskFlow([
+                { kind: 'tasks', timestamp: '2025-08-04T02:00:00.000Z', data: [taskA] },
+                { kind: 'tasks', timestamp: '2025-08-05T02:00:00.000Z', data: [] },
+                { kind: 'tasks', timestamp: '2025-08-11T02:00:00.000Z', data: [taskA] }
+            ]);
+
+            assert.deepEqual(flow, { open: 1, byWeek: [{ week: '2025-08-04', created: 1, closed: 1 }] });
+        });
+    });
+
+    describe('build', () => {
+        it('uses the latest copy of each PR across snapshots', () => {
+            const report = trends.build(SNAPSHOTS);
+
+            assert.deepEqual(report.snapshots, { analysis: 2, tasks: 3 });
+            assert.deepEqual(report.range, { from: '2025-08-05T02:00:00.000Z', to: '2025-08-12T02:00:00.000Z' });
+            assert.deepEqual(report.churnByCategory, [
+                { category: 'source', additions: 16, deletions: 3, files: 3 },
+                { category: 'docs', additions: 3, deletions: 1, files: 1 }
+            ]);
+            assert.deepEqual(report.topFiles, [
+                { filename: 'src/a.js', prs: 2, churn: 14 },
+                { filename: 'src/b.js', prs: 1, churn: 5 },
+                { filename: 'README.md', prs: 1, churn: 4 }
+            ]);
+        });
+    });
+
+    describe('toMarkdown', () => {
+        it('renders the report tables', () => {
+            assert.equal(trends.toMarkdown(trends.build(SNAPSHOTS)), [
+                '## 📈 Development Trends',
+                '',
+                '*Based on 2 analysis and 3 task snapshots from 2025-08-05 to 2025-08-12*',
+                '',
+                '### PRs Merged per Week',
+                '',
+                '| Week of | Merged PRs |',
+                '|---------|------------|',
+                '| 2025-08-04 | 2 |',
+                '| 2025-08-11 | 1 |',
+                '',
+                '### Changes by Category',
+                '',
+                '| Category | Files | Additions | Deletions |',
+                '|----------|-------|-----------|-----------|',
+                '| source | 3 | +16 | -3 |',
+                '| docs | 1 | +3 | -1 |',
+                '',
+                '### Task Flow',
+                '',
+                '| Week of | Created | Closed |',
+                '|---------|---------|--------|',
+                '| 2025-08-04 | 3 | 1 |',
+                '| 2025-08-11 | 0 | 1 |',
+                '',
+                'Open tasks: 1',
+                '',
+                '### Most-Touched Files',
+                '',
+                '1. `src/a.js` - 2 PRs, 14 lines changed',
+                '2. `src/b.js` - 1 PR, 5 lines changed',
+                '3. `README.md` - 1 PR, 4 lines changed',
+                '',
+                ''
+            ].join('\n'));
+        });
+
+        it('says so when there is no history', () => {
+            assert.equal(trends.toMarkdown(trends.build([])), '## 📈 Development Trends\n\nNo saved analysis history yet.\n');
+        });
+    });
+});
@@ -0,0 +1,227 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const WorkflowValidator = require('../agent-workflow/validate-workflow');
+const { createTempRepo, removeTempRepo, captureConsole } = require('./helpers');
+
+/**
+ * A check that reports one result of each given type
+ */
+function check(id, results = ['PASS'], overrides = {}) {
+    return {
+        id,
+        description: `${id} check`,
+        defaults: { limit: 1 },
+        async run({ pass, fail, warn }) {
+            for (const type of results) {
+                ({ PASS: pass, FAIL: fail, WARN: warn })[type](`${id} ${type.toLowerCase()}`);
+            }
+        },
+        ...overrides
+    };
+}
+
+describe('WorkflowValidator', () => {
+    let output;
+
+    beforeEach(() => {
+        output = captureConsole();
+    });
+
+    afterEach(() => {
+        output.restore();
+    });
+
+    describe('validate', () => {
+        it('counts every result and summarizes each check', async () => {
+            const validator = new WorkflowValidator({
+                checks: [check('ok'), check('broken', ['PASS', 'FAIL'], { file: 'broken.js' }), check('meh', ['WARN'])]
+            });
+
+            const results = await validator.validate();
+
+            assert.equal(results.passed, 2);
+            assert.equal(results.failed, 1);
+            assert.equal(results.warnings, 1);
+            assert.deepEqual(results.checks.map(summary => [summary.id, summary.status, summary.severity]), [
+                ['ok', 'passed', 'error'],
+                ['broken', 'failed', 'error'],
+                ['meh', 'warning', 'error']
+            ]);
+            assert.deepEqual(results.details[2], { type: 'FAIL', check: 'broken', message: 'broken fail', file: 'broken.js', line: null });
+        });
+
+        it('passes the location a check reports with a finding', async () => {
+            const located = check('located', [], {
+                async run({ fail }) {
+                    fail('bad line', { file: 'a.yml', line: 7 });
+                }
+            });
+
+            const results = await new WorkflowValidator({ checks: [located] }).validate();
+
+            assert.deepEqual(results.details, [{ type: 'FAIL', check: 'located', message: 'bad line', file: 'a.yml', line: 7 }]);
+        });
+
+        it('skips checks disabled in the config', async () => {
+            const validator = new WorkflowValidator({
+                checks: [check('a', ['FAIL']), check('b', ['FAIL']), check('c')],
+                config: { checks: { a: false, b: { enabled: false } } }
+            });
+
+            const results = await validator.validate();
+
+            assert.deepEqual(results.skipped, ['a', 'b']);
+            assert.equal(results.failed, 0);
+            assert.deepEqual(results.checks.map(summary => summary.status), ['skipped', 'skipped', 'passed']);
+            assert.ok(output.logs.includes('⏭️  Skipping a (disabled in validation config)'));
+        });
+
+        it('reports the failures of a check lowered to warning without failing validation', async () => {
+            const validator = new WorkflowValidator({
+                checks: [check('strict', ['FAIL'])],
+                config: { checks: { strict: { severity: 'warning' } } }
+            });
+
+            const results = await validator.validate();
+
+            assert.equal(results.failed, 0);
+            assert.equal(results.warnings, 1);
+            assert.equal(results.details[0].type, 'WARN');
+            assert.deepEqual(results.checks[0], { id: 'strict', description: 'strict check', severity: 'warning', status: 'warning' });
+        });
+
+        it('layers configured options over the check defaults', async () => {
+            let received;
+            const validator = new WorkflowValidator({
+                rootDir: '/repo',
+                checks: [check('opts', [], {
+                    defaults: { limit: 1, names: ['a'] },
+                    async run(context) {
+                        received = context;
+                    }
+                })],
+                config: { checks: { opts: { options: { limit: 5 } } } }
+            });
+
+            await validator.validate();
+
+            assert.equal(received.rootDir, '/repo');
+            assert.deepEqual(received.options, { limit: 5, names: ['a'] });
+        });
+
+        it('reports a check that throws as one that could not run', async () => {
+            const validator = new WorkflowValidator({
+                checks: [check('crash', [], {
+                    async run() {
+                        throw new Error('boom');
+                    }
+                }), check('after')]
+            });
+
+            const results = await validator.validate();
+
+            assert.deepEqual(results.details[0], { type: 'FAIL', check: 'crash', message: 'Check crash could not run: boom', file: null, line: null });
+            assert.equal(results.checks[0].status, 'failed');
+            assert.equal(results.checks[1].status, 'passed');
+        });
+
+        it('starts from zero on every run', async () => {
+            const validator = new WorkflowValidator({ checks: [check('once', ['FAIL'])] });
+
+            await validator.validate();
+            const results = await validator.validate();
+
+            assert.equal(results.failed, 1);
+            assert.equal(results.details.length, 1);
+        });
+    });
+
+    describe('config', () => {
+        const checks = [check('a'), check('b')];
+
+        it('rejects unknown check names and lists the available ones', () => {
+            assert.throws(() => new WorkflowValidator({ checks, config: { checks: { c: false } } }), {
+                message: 'Invalid validation config: checks.c: unknown check; available checks: a, b'
+            });
+        });
+
+        it('rejects unknown options, keys and bad values', () => {
+            assert.throws(() => new WorkflowValidator({
+                checks,
+                config: {
+                    extra: 1,
+                    checks: {
+                        a: { options: { limt: 2 }, severity: 'fatal', enabled: 'yes' },
+                        b: 'off'
+                    },
+                    plugins: [1]
+                }
+            }), {
+                message: 'Invalid validation config: unknown key "extra"; "plugins" must be an array of module paths; '
+                    + 'checks.a: "enabled" must be a boolean; checks.a: "severity" must be one of error, warning; '
+                    + 'checks.a: unknown option "limt"; checks.b: must be true, false or an object'
+            });
+        });
+
+        it('rejects checks without an id or run function and duplicate ids', () => {
+            assert.throws(() => new WorkflowValidator({
+                checks: [check('a'), check('a'), { id: 'b' }, { run() {} }, check('c', [], { severity: 'info' })]
+            }), {
+                message: 'Invalid validation config: checks[1]: duplicate check id "a"; b: "run" must be a function; '
+                    + 'checks[3]: "id" must be a non-empty string; c: "severity" must be one of error, warning'
+            });
+        });
+
+        it('validates checks registered later', async () => {
+            const validator = new WorkflowValidator({ checks: [check('a')] });
+
+            assert.throws(() => validator.register(check('a')), { message: 'Invalid check: checks[1]: duplicate check id "a"' });
+            validator.register(check('b'));
+            assert.deepEqual((await validator.validate()).checks.map(summary => summary.id), ['a', 'b']);
+        });
+    });
+
+    describe('load', () => {
+        let rootDir;
+
+        beforeEach(async () => {
+            rootDir = await createTempRepo();
+        });
+
+        afterEach(async () => {
+            await removeTempRepo(rootDir);
+        });
+
+        it('runs every built-in check when there is no validation.json', async () => {
+            const validator = await WorkflowValidator.load(null, { rootDir });
+
+            assert.equal(validator.rootDir, rootDir);
+            assert.deepEqual(validator.config, {});
+            assert.ok(validator.checks.some(candidate => candidate.id === 'core-files'));
+        });
+
+        it('loads plugins relative to the config file', async () => {
+            await fs.mkdir(path.join(rootDir, 'checks'));
+            await fs.writeFile(path.join(rootDir, 'checks', 'plugin.js'), `module.exports = ${JSON.stringify({ id: 'licence' })};\nmodule.exports.run = async ({ pass }) => pass('licence ok');\n`);
+            await fs.writeFile(path.join(rootDir, 'validation.json'), JSON.stringify({
+                plugins: ['./checks/plugin.js'],
+                checks: { 'core-files': false, licence: { severity: 'warning' } }
+            }));
+
+            const validator = await WorkflowValidator.load(path.join(rootDir, 'validation.json'), { rootDir });
+
+            assert.equal(validator.checks[validator.checks.length - 1].id, 'licence');
+            assert.equal(validator.settingsFor(validator.checks[validator.checks.length - 1]).severity, 'warning');
+        });
+
+        it('fails on a named config file that is missing', async () => {
+            const file = path.join(rootDir, 'missing.json');
+
+            await assert.rejects(WorkflowValidator.load(file, { rootDir }), {
+                message: new RegExp(`^Could not read validation config ${file}: ENOENT`)
+            });
+        });
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toJUnit, toSarif } = require('../agent-workflow/validation-report');
+
+const RESULTS = {
+    passed: 1,
+    failed: 1,
+    warnings: 1,
+    skipped: ['notebooks'],
+    checks: [
+        { id: 'workflow-config', description: 'Workflow runs the agent', severity: 'error', status: 'failed' },
+        { id: 'retention', description: 'Retention policy is valid', severity: 'warning', status: 'warning' },
+        { id: 'notebooks', description: 'Notebooks are clean', severity: 'error', status: 'skipped' }
+    ],
+    details: [
+        { type: 'PASS', check: 'workflow-config', message: 'Workflow has triggers', file: '.github/workflows/agent.yml', line: null },
+        { type: 'FAIL', check: 'workflow-config', message: 'Action "x/y@main" is not pinned & <unsafe>', file: '.github/workflows/agent.yml', line: 12 },
+        { type: 'WARN', check: 'retention', message: 'No "keepLast"', file: null, line: null }
+    ]
+};
+
+describe('validation reports', () => {
+    describe('toJUnit', () => {
+        it('writes a suite per check and a case per result', () => {
+            assert.equal(toJUnit(RESULTS), [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<testsuites name="workflow-validation" tests="4" failures="1" skipped="1">',
+                '  <testsuite name="workflow-config" tests="2" failures="1" skipped="0">',
+                '    <testcase classname="workflow-config" name="Workflow has triggers" file=".github/workflows/agent.yml"/>',
+                '    <testcase classname="workflow-config" name="Action &quot;x/y@main&quot; is not pinned &amp; &lt;unsafe&gt;" file=".github/workflows/agent.yml">',
+                '      <failure message="Action &quot;x/y@main&quot; is not pinned &amp; &lt;unsafe&gt;" type="error"/>',
+                '    </testcase>',
+                '  </testsuite>',
+                '  <testsuite name="retention" tests="1" failures="0" skipped="0">',
+                '    <testcase classname="retention" name="No &quot;keepLast&quot;">',
+                '      <system-out>Warning: No &quot;keepLast&quot;</system-out>',
+                '    </testcase>',
+                '  </testsuite>',
+                '  <testsuite name="notebooks" tests="1" failures="0" skipped="1">',
+                '    <testcase classname="notebooks" name="Notebooks are clean">',
+                '      <skipped message="Disabled in validation config"/>',
+                '    </testcase>',
+                '  </testsuite>',
+                '</testsuites>',
+                ''
+            ].join('\n'));
+        });
+    });
+
+    describe('toSarif', () => {
+        it('writes a SARIF 2.1.0 log with a rule per check and a result per finding', () => {
+            assert.deepEqual(toSarif(RESULTS), {
+                $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+                version: '2.1.0',
+                runs: [{
+                    tool: {
+                        driver: {
+                            name: 'validate-workflow',
+                            rules: [
+                                {
+                                    id: 'workflow-config',
+                                    shortDescription: { text: 'Workflow runs the agent' },
+                                    defaultConfiguration: { enabled: true, level: 'error' }
+                                },
+                                {
+                                    id: 'retention',
+                                    shortDescription: { text: 'Retention policy is valid' },
+                                    defaultConfiguration: { enabled: true, level: 'warning' }
+                                },
+                                {
+                                    id: 'notebooks',
+                                    shortDescription: { text: 'Notebooks are clean' },
+                                    defaultConfiguration: { enabled: false, level: 'error' }
+                                }
+                            ]
+                        }
+                    },
+                    results: [
+                        {
+                            ruleId: 'workflow-config',
+                            ruleIndex: 0,
+                            level: 'error',
+                            message: { text: 'Action "x/y@main" is not pinned & <unsafe>' },
+                            locations: [{
+                                physicalLocation: {
+                                    artifactLocation: { uri: '.github/workflows/agent.yml' },
+                                    region: { startLine: 12 }
+                                }
+                            }]
+                        },
+                        {
+                            ruleId: 'retention',
+                            ruleIndex: 1,
+                            level: 'warning',
+                            message: { text: 'No "keepLast"' }
+                        }
+                    ]
+                }]
+            });
+        });
+
+        it('leaves out the region when a finding has a file but no line', () => {
+            const [result] = toSarif({
+                ...RESULTS,
+                details: [{ type: 'FAIL', check: 'workflow-config', message: 'Missing', file: 'package.json', line: null }]
+            }).runs[0].results;
+
+            assert.deepEqual(result.locations, [{ physicalLocation: { artifactLocation: { uri: 'package.json' } } }]);
+        });
+    });
+});
@@ -0,0 +1,195 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const zlib = require('zlib');
+const WorkflowHistory = require('../agent-workflow/workflow-history');
+const { weekKey } = require('../agent-workflow/workflow-history');
+const { createMemoryFs } = require('./helpers');
+
+const DIR = '/repo/agent-workflow';
+const NOW = new Date('2025-08-10T12:00:00.000Z');
+
+/**
+ * Snapshot files for runs at the given ISO timestamps
+ */
+function snapshotFiles(timestamps) {
+    const files = {};
+    for (const timestamp of timestamps) {
+        const stamp = timestamp.replace(/[:.]/g, '-');
+        files[path.join(DIR, `analysis-${stamp}.json`)] = JSON.stringify({ timestamp, totalPRs: 1 });
+        files[path.join(DIR, `tasks-${stamp}.json`)] = JSON.stringify([{ id: timestamp }]);
+    }
+    return files;
+}
+
+function runs(timestamps) {
+    return timestamps.map(timestamp => ({ timestamp, files: {} }));
+}
+
+const kept = plan => plan.keep.map(run => run.timestamp);
+
+describe('WorkflowHistory', () => {
+    describe('listRuns', () => {
+        it('groups snapshot files into runs, newest first, and ignores other files', async () => {
+            const fileSystem = createMemoryFs({
+                ...snapshotFiles(['2025-08-01T02:00:00.000Z', '2025-08-02T02:00:00.000Z']),
+                [path.join(DIR, 'latest-analysis.json')]: '{}',
+                [path.join(DIR, 'analysis-cursor.json')]: '{}'
+            });
+
+            const listed = await new WorkflowHistory(DIR, { fs: fileSystem }).listRuns();
+
+            assert.deepEqual(listed.map(run => run.timestamp), ['2025-08-02T02:00:00.000Z', '2025-08-01T02:00:00.000Z']);
+            assert.deepEqual(listed[0].files, {
+                analysis: path.join(DIR, 'analysis-2025-08-02T02-00-00-000Z.json'),
+                tasks: path.join(DIR, 'tasks-2025-08-02T02-00-00-000Z.json')
+            });
+        });
+
+        it('has no runs before the directory exists', async () => {
+            assert.deepEqual(await new WorkflowHistory(DIR, { fs: createMemoryFs() }).listRuns(), []);
+        });
+    });
+
+    describe('planRetention', () => {
+        const history = runs([
+            '2025-08-10T02:00:00.000Z',
+            '2025-08-09T14:00:00.000Z',
+            '2025-08-09T02:00:00.000Z',
+            '2025-08-04T02:00:00.000Z',
+            '2025-07-28T02:00:00.000Z'
+        ]);
+
+        it('keeps everything without a rule', () => {
+            assert.deepEqual(WorkflowHistory.planRetention(history, { archive: true }, NOW), { keep: history, remove: [] });
+        });
+
+        it('keeps the newest runs with keepLast', () => {
+            const plan = WorkflowHistory.planRetention(history, { keepLast: 2 }, NOW);
+
+            assert.deepEqual(kept(plan), ['2025-08-10T02:00:00.000Z', '2025-08-09T14:00:00.000Z']);
+            assert.equal(plan.remove.length, 3);
+        });
+
+        it('keeps the newest run of each day and week', () => {
+            assert.deepEqual(kept(WorkflowHistory.planRetention(history, { keepDaily: 2 }, NOW)), [
+                '2025-08-10T02:00:00.000Z',
+                '2025-08-09T14:00:00.000Z'
+            ]);
+            // 2025-08-10 is a Sunday, so it shares a week with 2025-08-04
+            assert.deepEqual(kept(WorkflowHistory.planRetention(history, { keepWeekly: 2 }, NOW)), [
+                '2025-08-10T02:00:00.000Z',
+                '2025-07-28T02:00:00.000Z'
+            ]);
+        });
+
+        it('keeps a run exactly maxAgeDays old and drops older ones', () => {
+            const plan = WorkflowHistory.planRetention(runs([
+                '2025-08-03T12:00:00.000Z',
+                '2025-08-03T11:59:59.999Z'
+            ]), { maxAgeDays: 7 }, NOW);
+
+            assert.deepEqual(kept(plan), ['2025-08-03T12:00:00.000Z']);
+            assert.deepEqual(plan.remove.map(run => run.timestamp), ['2025-08-03T11:59:59.999Z']);
+        });
+
+        it('keeps a run that any rule keeps', () => {
+            const plan = WorkflowHistory.planRetention(history, { keepLast: 1, maxAgeDays: 1 }, NOW);
+
+            assert.deepEqual(kept(plan), ['2025-08-10T02:00:00.000Z', '2025-08-09T14:00:00.000Z']);
+        });
+    });
+
+    describe('weekKey', () => {
+        it('is the Monday of the UTC week', () => {
+            assert.equal(weekKey('2025-08-10T23:00:00.000Z'), '2025-08-04');
+            assert.equal(weekKey('2025-08-11T00:00:00.000Z'), '2025-08-11');
+        });
+    });
+
+    describe('compact', () => {
+        const timestamps = ['2025-08-01T02:00:00.000Z', '2025-08-02T02:00:00.000Z', '2025-08-03T02:00:00.000Z'];
+
+        it('deletes the runs the policy does not keep', async () => {
+            const fileSystem = createMemoryFs(snapshotFiles(timestamps));
+            const history = new WorkflowHistory(DIR, { fs: fileSystem });
+
+            const plan = await history.compact({ keepLast: 1 }, { now: NOW });
+
+            assert.equal(plan.remove.length, 2);
+            assert.deepEqual(await fileSystem.readdir(DIR), [
+                'analysis-2025-08-03T02-00-00-000Z.json',
+                'tasks-2025-08-03T02-00-00-000Z.json'
+            ]);
+        });
+
+        it('changes nothing in a dry run', async () => {
+            const fileSystem = createMemoryFs(snapshotFiles(timestamps));
+
+            const plan = await new WorkflowHistory(DIR, { fs: fileSystem }).compact({ keepLast: 1, archive: true }, { dryRun: true, now: NOW });
+
+            assert.equal(plan.remove.length, 2);
+            assert.equal((await fileSystem.readdir(DIR)).length, 6);
+        });
+
+        it('appends pruned runs to an existing archive, oldest first', async () => {
+            const earlier = { kind: 'analysis', timestamp: '2025-07-01T02:00:00.000Z', data: { totalPRs: 9 } };
+            const fileSystem = createMemoryFs({
+                ...snapshotFiles(timestamps),
+                [path.join(DIR, 'history-archive.ndjson.gz')]: zlib.gzipSync(`${JSON.stringify(earlier)}\n`)
+            });
+            const history = new WorkflowHistory(DIR, { fs: fileSystem });
+
+            await history.compact({ keepLast: 1, archive: true }, { now: NOW });
+
+            assert.deepEqual((await history.readArchive()).map(record => [record.kind, record.timestamp]), [
+                ['analysis', '2025-07-01T02:00:00.000Z'],
+                ['analysis', '2025-08-01T02:00:00.000Z'],
+                ['tasks', '2025-08-01T02:00:00.000Z'],
+                ['analysis', '2025-08-02T02:00:00.000Z'],
+                ['tasks', '2025-08-02T02:00:00.000Z']
+            ]);
+            assert.equal((await history.listRuns()).length, 1);
+        });
+
+        it('rejects an invalid policy before touching any file', async () => {
+            const fileSystem = createMemoryFs(snapshotFiles(timestamps));
+
+            await assert.rejects(new WorkflowHistory(DIR, { fs: fileSystem }).compact({ keepLast: -1, keep: 2 }), {
+                message: 'Invalid retention policy: "keepLast" must be a non-negative integer; unknown retention option "keep"'
+            });
+            assert.equal((await fileSystem.readdir(DIR)).length, 6);
+        });
+    });
+
+    describe('query', () => {
+        it('reads archived and live snapshots back in order', async () => {
+            const fileSystem = createMemoryFs(snapshotFiles(['2025-08-01T02:00:00.000Z', '2025-08-02T02:00:00.000Z', '2025-08-03T02:00:00.000Z']));
+            const history = new WorkflowHistory(DIR, { fs: fileSystem });
+            await history.compact({ keepLast: 1, archive: true }, { now: NOW });
+
+            const snapshots = await history.query();
+
+            assert.deepEqual(snapshots.map(snapshot => [snapshot.kind, snapshot.timestamp]), [
+                ['analysis', '2025-08-01T02:00:00.000Z'],
+                ['tasks', '2025-08-01T02:00:00.000Z'],
+                ['analysis', '2025-08-02T02:00:00.000Z'],
+                ['tasks', '2025-08-02T02:00:00.000Z'],
+                ['analysis', '2025-08-03T02:00:00.000Z'],
+                ['tasks', '2025-08-03T02:00:00.000Z']
+            ]);
+            assert.deepEqual(snapshots[0].data, { timestamp: '2025-08-01T02:00:00.000Z', totalPRs: 1 });
+            assert.deepEqual(snapshots[1].data, [{ id: '2025-08-01T02:00:00.000Z' }]);
+        });
+
+        it('filters by kind and time range', async () => {
+            const history = new WorkflowHistory(DIR, {
+                fs: createMemoryFs(snapshotFiles(['2025-08-01T02:00:00.000Z', '2025-08-02T02:00:00.000Z', '2025-08-03T02:00:00.000Z']))
+            });
+
+            const snapshots = await history.query({ kind: 'analysis', since: '2025-08-02T02:00:00.000Z', until: '2025-08-03T02:00:00.000Z' });
+
+            assert.deepEqual(snapshots.map(snapshot => snapshot.timestamp), ['2025-08-02T02:00:00.000Z']);
+        });
+    });
+});
@@ -0,0 +1,262 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const WorkflowLinter = require('../agent-workflow/workflow-lint');
+const { validateCron, minuteInterval } = require('../agent-workflow/workflow-lint');
+
+const FILE = '.github/workflows/agent.yml';
+
+const WORKFLOW = `name: Agent
+on:
+  pull_request:
+    types: [closed]
+  schedule:
+    - cron: '0 2 * * *'
+  workflow_dispatch:
+    inputs:
+      force_run:
+        description: 'Re-analyze'
+        type: boolean
+        default: false
+
+jobs:
+  agent:
+    if: github.event_name != 'pull_request' || github.event.pull_request.merged == true
+    runs-on: ubuntu-latest
+    permissions:
+      contents: write
+      pull-requests: write
+    steps:
+      - uses: actions/checkout@v4
+      - name: Run agent
+        env:
+          GH_PAT: \${{ secrets.GH_PAT }}
+          GITHUB_REPOSITORY: \${{ github.repository }}
+          FORCE_RUN: \${{ inputs.force_run }}
+        run: node agent-workflow/continuous-agent.js
+`;
+
+function lint(text, options) {
+    return new WorkflowLinter(options).lint(text, FILE);
+}
+
+/**
+ * Findings without the file, which is the same for all of them
+ */
+function findings(text, options) {
+    return lint(text, options).map(({ file, ...finding }) => finding);
+}
+
+describe('WorkflowLinter', () => {
+    it('finds nothing wrong with a complete workflow', () => {
+        assert.deepEqual(lint(WORKFLOW), []);
+    });
+
+    it('reports YAML that does not parse with its line', () => {
+        const [finding] = lint('on:\n  push:\n    branches: [main\njobs: {}\n');
+
+        assert.equal(finding.check, 'invalid-yaml');
+        assert.equal(finding.file, FILE);
+        assert.equal(typeof finding.line, 'number');
+    });
+
+    it('reports a workflow that is not a mapping', () => {
+        assert.deepEqual(findings('- just\n- a list\n'), [
+            { check: 'invalid-yaml', severity: 'error', line: null, message: 'Workflow is not a YAML mapping' }
+        ]);
+    });
+
+    describe('comments', () => {
+        it('does not count a commented-out GH_PAT', () => {
+            const text = WORKFLOW.replace('          GH_PAT: ', '          # GH_PAT: ');
+
+            assert.deepEqual(findings(text), [
+                { check: 'agent-env', severity: 'error', line: 24, message: 'Agent step in job "agent" does not set GH_PAT' }
+            ]);
+        });
+
+        it('does not count a commented-out agent command', () => {
+            const text = WORKFLOW.replace('        run: node agent-workflow/continuous-agent.js', '        run: |\n          # node agent-workflow/continuous-agent.js\n          echo skipped');
+
+            assert.deepEqual(findings(text).map(finding => finding.check), ['agent-step']);
+        });
+    });
+
+    describe('triggers', () => {
+        it('reads the flow-style and string forms of "on"', () => {
+            for (const on of ['on: [push]', 'on: push']) {
+                const text = WORKFLOW.replace(/^on:\n[\s\S]*?\n\njobs:/m, `${on}\n\njobs:`);
+
+                assert.deepEqual(findings(text).filter(finding => finding.check === 'triggers'), [
+                    { check: 'triggers', severity: 'error', line: 2, message: 'Workflow does not run on pull_request; merged PRs are only picked up by the schedule' },
+                    { check: 'triggers', severity: 'error', line: 2, message: 'Workflow has no schedule; the agent only runs on events' }
+                ]);
+            }
+        });
+
+        it('asks for "types: [closed]" on pull_request', () => {
+            const text = WORKFLOW.replace('  pull_request:\n    types: [closed]\n', '  pull_request:\n');
+
+            assert.deepEqual(findings(text), [{
+                check: 'triggers',
+                severity: 'error',
+                line: 3,
+                message: 'pull_request runs on opened, synchronize and reopened, not closed; add "types: [closed]" to run when a PR is merged'
+            }]);
+        });
+
+        it('warns when the job does not check that the PR was merged', () => {
+            const text = WORKFLOW.replace(/    if: .*\n/, '    if: always()\n');
+
+            assert.deepEqual(findings(text), [{
+                check: 'triggers',
+                severity: 'warning',
+                line: 16,
+                message: 'Job "agent" also runs for PRs closed without merging; check github.event.pull_request.merged in its "if"'
+            }]);
+        });
+    });
+
+    describe('schedule', () => {
+        it('reports invalid cron lines', () => {
+            const text = WORKFLOW.replace("    - cron: '0 2 * * *'", "    - cron: '0 2 * *'\n    - cron: '61 2 * * MON'");
+
+            assert.deepEqual(findings(text), [
+                { check: 'schedule', severity: 'error', line: 6, message: 'Invalid cron "0 2 * *" has 4 fields; cron needs 5 (minute hour day month weekday)' },
+                { check: 'schedule', severity: 'error', line: 7, message: 'Invalid cron "61 2 * * MON": minute "61" is outside 0-59' }
+            ]);
+        });
+
+        it('warns about schedules more frequent than GitHub runs them', () => {
+            const text = WORKFLOW.replace("'0 2 * * *'", "'*/2 * * * *'");
+
+            assert.deepEqual(findings(text), [{
+                check: 'schedule',
+                severity: 'warning',
+                line: 6,
+                message: '"*/2 * * * *" runs more often than every 5 minutes, which GitHub does not honor'
+            }]);
+        });
+
+        it('validates every cron field', () => {
+            assert.deepEqual(validateCron('0 2 * * *'), []);
+            assert.deepEqual(validateCron('0,30 9-17 1 JAN-DEC mon-fri'), []);
+            assert.deepEqual(validateCron('*/0 24 0 13 7'), [
+                '"*/0 24 0 13 7": minute step "0" must be at least 1',
+                '"*/0 24 0 13 7": hour "24" is outside 0-23',
+                '"*/0 24 0 13 7": day of month "0" is outside 1-31',
+                '"*/0 24 0 13 7": month "13" is outside 1-12',
+                '"*/0 24 0 13 7": day of week "7" is outside 0-6'
+            ]);
+            assert.deepEqual(validateCron('5-1 * * * *'), ['"5-1 * * * *": minute range "5-1" runs backwards']);
+            assert.deepEqual(validateCron('1-2-3 * * * *'), ['"1-2-3 * * * *": minute "1-2-3" is not a value, range or step']);
+        });
+
+        it('finds the shortest gap between runs within an hour', () => {
+            assert.equal(minuteInterval('0 2 * * *'), 60);
+            assert.equal(minuteInterval('*/15 * * * *'), 15);
+            assert.equal(minuteInterval('* * * * *'), 1);
+            assert.equal(minuteInterval('0,50 * * * *'), 10);
+            assert.equal(minuteInterval('10-12 * * * *'), 1);
+            assert.equal(minuteInterval('5/20 * * * *'), 20);
+        });
+    });
+
+    describe('dispatch inputs', () => {
+        it('reports a choice default that is not one of its options', () => {
+            const text = WORKFLOW.replace(
+                "        type: boolean\n        default: false",
+                "        type: choice\n        options: [all, recent]\n        default: everything"
+            );
+
+            assert.deepEqual(findings(text), [
+                { check: 'dispatch-inputs', severity: 'error', line: 13, message: 'Input "force_run": default "everything" is not one of its options' }
+            ]);
+        });
+
+        it('reports unknown types and keys, and string defaults of booleans', () => {
+            const text = WORKFLOW.replace("        default: false", "        default: 'false'\n        hint: x");
+            const unknownType = WORKFLOW.replace('type: boolean', 'type: flag');
+
+            assert.deepEqual(findings(text), [
+                { check: 'dispatch-inputs', severity: 'error', line: 13, message: 'Input "force_run": unknown key "hint"' },
+                { check: 'dispatch-inputs', severity: 'warning', line: 12, message: 'Input "force_run": default "false" should be true or false, not a string' }
+            ]);
+            assert.deepEqual(findings(unknownType), [
+                { check: 'dispatch-inputs', severity: 'error', line: 11, message: 'Input "force_run": type "flag" must be one of string, boolean, choice, number, environment' }
+            ]);
+        });
+
+        it('reports inputs no expression reads', () => {
+            const text = WORKFLOW.replace('          FORCE_RUN: ${{ inputs.force_run }}\n', '          FORCE_RUN: inputs.force_run\n');
+
+            assert.deepEqual(findings(text), [{
+                check: 'unused-inputs',
+                severity: 'error',
+                line: 9,
+                message: 'Input "force_run" is never read; pass ${{ inputs.force_run }} to a step or remove it'
+            }]);
+        });
+
+        it('accepts inputs read through github.event.inputs or index syntax', () => {
+            for (const reference of ["${{ github.event.inputs.force_run }}", "${{ inputs['force_run'] }}"]) {
+                const text = WORKFLOW.replace('${{ inputs.force_run }}', reference);
+
+                assert.deepEqual(lint(text), []);
+            }
+        });
+    });
+
+    describe('permissions', () => {
+        it('lets job permissions replace the workflow permissions', () => {
+            const text = WORKFLOW
+                .replace('jobs:\n', 'permissions: write-all\n\njobs:\n')
+                .replace('      pull-requests: write\n', '');
+
+            assert.deepEqual(findings(text), [
+                { check: 'permissions', severity: 'error', line: 20, message: 'Job "agent" needs "pull-requests: write", has none' }
+            ]);
+        });
+
+        it('falls back to the workflow permissions when the job sets none', () => {
+            const text = WORKFLOW
+                .replace('jobs:\n', 'permissions:\n  contents: read\n  pull-requests: write\n\njobs:\n')
+                .replace('    permissions:\n      contents: write\n      pull-requests: write\n', '');
+
+            assert.deepEqual(findings(text), [
+                { check: 'permissions', severity: 'error', line: 19, message: 'Job "agent" needs "contents: write", has read' }
+            ]);
+        });
+
+        it('reports a job without any permissions', () => {
+            const text = WORKFLOW.replace('    permissions:\n      contents: write\n      pull-requests: write\n', '');
+
+            assert.deepEqual(findings(text), [{
+                check: 'permissions',
+                severity: 'error',
+                line: 15,
+                message: 'Job "agent" sets no permissions; the token\'s defaults depend on repository settings'
+            }]);
+        });
+    });
+
+    describe('action pins', () => {
+        it('fails actions that follow a branch or have no version', () => {
+            const text = WORKFLOW.replace('      - uses: actions/checkout@v4\n', '      - uses: actions/checkout@main\n      - uses: actions/setup-node\n      - uses: actions/cache@feature-x\n');
+
+            assert.deepEqual(findings(text), [
+                { check: 'action-pins', severity: 'error', line: 22, message: 'actions/checkout@main follows a branch; pin it to a release tag or commit SHA' },
+                { check: 'action-pins', severity: 'error', line: 23, message: 'actions/setup-node is not pinned; add @<version>' },
+                { check: 'action-pins', severity: 'warning', line: 24, message: 'actions/cache@feature-x is not a version tag or commit SHA' }
+            ]);
+        });
+
+        it('requires commit SHAs when pinning is "sha"', () => {
+            const sha = 'a'.repeat(40);
+
+            assert.deepEqual(findings(WORKFLOW, { pinning: 'sha' }), [
+                { check: 'action-pins', severity: 'error', line: 22, message: 'actions/checkout@v4 should be pinned to a full commit SHA' }
+            ]);
+            assert.deepEqual(lint(WORKFLOW.replace('checkout@v4', `checkout@${sha}`), { pinning: 'sha' }), []);
+        });
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * Transfer Audit Log
+ *
+ * Append-only record of every transfer and verification run, one JSON
+ * object per line in `transfer-audit.ndjson`. Entries are never rewritten:
+ * the runner and verifier only append, and `history` only reads.
+ *
+ * The directory is `TRANSFER_AUDIT_DIR` when set, otherwise the working directory.
+ * Commands are stored with connection string and flag secrets redacted.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { redactArgs } = require('./rclone-config');
+const { parseRemotePath } = require('./rclone-command');
+
+const AUDIT_FILE = 'transfer-audit.ndjson';
+
+/**
+ * Who ran the transfer: the GitHub Actions actor in CI, otherwise the local user
+ */
+function currentUser() {
+    if (process.env.GITHUB_ACTOR) return process.env.GITHUB_ACTOR;
+    try {
+        return os.userInfo().username;
+    } catch {
+        return process.env.USER || process.env.USERNAME || 'unknown';
+    }
+}
+
+/**
+ * Fields shared by transfer and verify entries
+ */
+function baseEntry(kind, report) {
+    const command = redactArgs(report.command);
+    // Positional arguments after the binary and subcommand are source and destination
+    const [src, dst] = command.slice(2, 4);
+    return {
+        id: crypto.randomUUID(),
+        kind,
+        user: currentUser(),
+        host: os.hostname(),
+        label: report.label || null,
+        src,
+        dst,
+        remotes: [src, dst].map(value => parseRemotePath(value).remote.replace(/:$/, '') || null),
+        command,
+        flags: command.slice(4).filter(arg => /^--?\w/.test(arg)),
+        startedAt: report.startedAt,
+        finishedAt: report.finishedAt,
+        durationMs: report.durationMs,
+        status: report.status,
+        exitCode: report.exitCode,
+        error: report.error || null,
+        reportPath: report.reportPath || null
+    };
+}
+
+/**
+ * Parse `--since`-style values: an ISO date, or an age like `7d` or `12h`
+ */
+function parseSince(value, now = new Date()) {
+    const age = String(value).match(/^(\d+)([dh])$/);
+    if (age) {
+        const hours = Number(age[1]) * (age[2] === 'd' ? 24 : 1);
+        return new Date(now.getTime() - hours * 60 * 60 * 1000);
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Expected a date or an age like 7d or 12h, got "${value}"`);
+    }
+    return date;
+}
+
+class AuditLog {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.dir] - Directory holding transfer-audit.ndjson
+     * @param {object} [options.fs] - Promise-based fs implementation
+     */
+    constructor({ dir = process.env.TRANSFER_AUDIT_DIR || process.cwd(), fs: fileSystem = fs } = {}) {
+        this.dir = dir;
+        this.fs = fileSystem;
+        this.path = path.join(dir, AUDIT_FILE);
+    }
+
+    static fromTransferReport(report) {
+        return {
+            ...baseEntry('transfer', report),
+            bytes: report.stats?.bytes || 0,
+            files: report.filesCopied,
+            errors: report.errors.length,
+            retries: report.retries.attempts,
+            verification: null
+        };
+    }
+
+    static fromVerifyReport(report) {
+        return {
+            ...baseEntry('verify', report),
+            bytes: 0,
+            files: 0,
+            errors: report.logErrors.length,
+            retries: 0,
+            verification: { status: report.status, counts: report.counts, filesFrom: report.filesFrom }
+        };
+    }
+
+    async append(entry) {
+        await this.fs.mkdir(this.dir, { recursive: true });
+        await this.fs.appendFile(this.path, `${JSON.stringify(entry)}\n`);
+        return entry;
+    }
+
+    /**
+     * Every entry in the log, by start time. Lines that do not parse (a write
+     * cut short by a crash) are skipped.
+     */
+    async read() {
+        let text;
+        try {
+            text = await this.fs.readFile(this.path, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = [];
+        text.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                console.warn(`Skipping unreadable audit log line ${index + 1} in ${this.path}`);
+            }
+        });
+        // Queue jobs running side by side finish, and are appended, out of start order
+        return entries.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    }
+
+    /**
+     * Entries matching every given filter
+     *
+     * @param {Array<object>} entries
+     * @param {object} [filters]
+     * @param {Date|string} [filters.since] - Started at or after
+     * @param {string} [filters.kind] - `transfer` or `verify`
+     * @param {string} [filters.status] - e.g. `success`, `failed`, `passed`
+     * @param {string} [filters.remote] - Source or destination remote name
+     * @param {string} [filters.label] - Queue job id
+     * @param {string} [filters.user]
+     */
+    static filter(entries, { since, kind, status, remote, label, user } = {}) {
+        const sinceTime = since ? new Date(since).getTime() : null;
+        const remoteName = remote?.replace(/:$/, '');
+        return entries.filter(entry =>
+            (sinceTime === null || new Date(entry.startedAt).getTime() >= sinceTime)
+            && (!kind || entry.kind === kind)
+            && (!status || entry.status === status)
+            && (!remoteName || entry.remotes.includes(remoteName))
+            && (!label || entry.label === label)
+            && (!user || entry.user === user)
+        );
+    }
+
+    /**
+     * Transfer entries with the outcome of the first verification of the
+     * same source and destination that ran after them
+     */
+    static withVerification(entries) {
+        return entries.map((entry, index) => {
+            if (entry.kind !== 'transfer') return entry;
+            const check = entries.slice(index + 1).find(later =>
+                later.kind === 'verify' && later.src === entry.src && later.dst === entry.dst && !later.verification.filesFrom
+            );
+            return check ? { ...entry, verification: check.verification } : entry;
+        });
+    }
+
+    /**
+     * Totals for a set of entries
+     */
+    static summarize(entries) {
+        const transfers = entries.filter(entry => entry.kind === 'transfer');
+        const checks = entries.filter(entry => entry.kind === 'verify');
+        const countBy = list => list.reduce((counts, entry) => {
+            counts[entry.status] = (counts[entry.status] || 0) + 1;
+            return counts;
+        }, {});
+
+        return {
+            transfers: transfers.length,
+            transferStatus: countBy(transfers),
+            verifications: checks.length,
+            verificationStatus: countBy(checks),
+            bytes: transfers.reduce((sum, entry) => sum + entry.bytes, 0),
+            files: transfers.reduce((sum, entry) => sum + entry.files, 0),
+            durationMs: transfers.reduce((sum, entry) => sum + (entry.durationMs || 0), 0),
+            users: [...new Set(entries.map(entry => entry.user))].sort(),
+            firstAt: entries.length > 0 ? entries[0].startedAt : null,
+            lastAt: entries.length > 0 ? entries[entries.length - 1].startedAt : null,
+            lastTransfer: transfers.length > 0 ? transfers[transfers.length - 1] : null
+        };
+    }
+}
+
+module.exports = AuditLog;
+module.exports.AUDIT_FILE = AUDIT_FILE;
+module.exports.parseSince = parseSince;
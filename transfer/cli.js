@@ -0,0 +1,650 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line interface for scripted Google Drive transfers
+ *
+ * Builds the same rclone commands as the notebook's Step 2/3 UI, so scripts
+ * and CI jobs do not have to copy them out of the widgets.
+ */
+
+const { DEFAULTS, LIMITS, planTransfer, formatCommand } = require('./rclone-command');
+const RcloneConfig = require('./rclone-config');
+const TransferRunner = require('./transfer-runner');
+const TransferVerifier = require('./transfer-verifier');
+const JobQueue = require('./job-queue');
+const AuditLog = require('./audit-log');
+const { parseSince } = AuditLog;
+const { loadJobFile } = JobQueue;
+const { plural, formatBytes, formatDuration } = require('./format');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: gdrive-transfer <command> [options]
+
+Commands:
+  plan                      Validate transfer options and print the rclone command
+  run                       Validate transfer options, run rclone and report progress
+  queue <jobs.yml>          Run the transfers in a job file, resuming where the last run stopped
+  verify [<jobs.yml>]       Check a transfer with rclone check and report missing or differing files
+                            (with a job file: every succeeded job, or --job <id>)
+  history                   Show and summarize past transfers and verifications from the audit log
+  config [<path>]           List and check the remotes in an rclone.conf (default: RCLONE_CONFIG
+                            or ~/.config/rclone/rclone.conf)
+
+Transfer options:
+  --src <remote:path>       Source, e.g. old_drive:Documents
+  --dst <remote:path>       Destination, e.g. new_drive:Backup/Documents
+  --server-side             Copy between drives on Google's servers (default)
+  --local                   Route the copy through this machine
+  --dry-run                 Pass --dry-run to rclone
+  --no-fast-list            Do not pass --fast-list (on by default)
+  --verbose                 Pass --verbose to rclone
+  --update                  Overwrite destination files that changed
+  --transfers <n>           Parallel transfers, ${LIMITS.transfers.min}-${LIMITS.transfers.max} (default: ${DEFAULTS.transfers})
+  --checkers <n>            Parallel checkers, ${LIMITS.checkers.min}-${LIMITS.checkers.max} (default: ${DEFAULTS.checkers})
+
+Options:
+  --config <path>           plan, run, queue, verify: check that the remotes exist in this rclone.conf
+  --timeout <seconds>       run, verify: stop rclone after this long
+  --files-from <path>       run, verify: only copy or check the paths listed in this file
+  --report-dir <path>       run, queue, verify: where reports and mismatch lists are written
+                            (default: TRANSFER_REPORT_DIR or the working directory)
+  --retry                   verify: copy missing and differing files again, then re-check them
+  --two-way                 verify: also report files that are only in the destination
+  --job <id>                verify, history: the job to check or show
+  --concurrency <n>         queue: jobs to run at once (overrides the job file)
+  --state <path>            queue, verify: job state file (default: <jobs>.state.json)
+  --retry-failed            queue: run jobs that failed in an earlier run again
+  --status                  queue: print job state without running anything
+  --since <date|7d|12h>     history: entries started at or after this date or age
+  --result <status>         history: only entries with this status (success, failed, passed, ...)
+  --remote <name>           history: only entries from or to this remote
+  --kind <transfer|verify>  history: only transfers or only verifications
+  --user <name>             history: only entries by this user
+  --limit <n>               history: entries to list (default: 20; the summary covers all)
+  --show                    config: print the config with secrets redacted
+  --output <text|json>      Output format (default: text)
+  -h, --help                Show this help
+`;
+
+class UsageError extends Error {}
+
+/**
+ * Overall result of a verification and its retry. A retry only copies
+ * missing and differing files, so the re-check cannot clear the
+ * unreadable or destination-only files of the first check.
+ */
+function verificationStatus({ verification, recheck }) {
+    if (!recheck) return verification.status;
+    if (recheck.status !== 'passed') return recheck.status;
+    return verification.counts.errors + verification.counts.extra > 0 ? 'failed' : 'passed';
+}
+
+class TransferCLI {
+    constructor({ stdout = process.stdout, stderr = process.stderr } = {}) {
+        this.stdout = stdout;
+        this.stderr = stderr;
+    }
+
+    /**
+     * Split argv into a command, positional arguments and flags
+     */
+    static parseArgs(argv) {
+        const valueFlags = [
+            '--src', '--dst', '--transfers', '--checkers', '--config', '--timeout', '--concurrency', '--state',
+            '--files-from', '--job', '--since', '--result', '--remote', '--kind', '--user', '--limit', '--output',
+            '--report-dir'
+        ];
+        const booleanFlags = [
+            '--server-side', '--local', '--dry-run', '--no-fast-list', '--verbose', '--update',
+            '--show', '--retry-failed', '--status', '--retry', '--two-way', '--help', '-h'
+        ];
+        const flagName = arg => (arg === '-h' ? 'help' : arg.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase()));
+
+        const flags = { output: 'text' };
+        const positional = [];
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (valueFlags.includes(arg)) {
+                const value = argv[++i];
+                if (value === undefined || value.startsWith('--')) {
+                    throw new UsageError(`Missing value for ${arg}`);
+                }
+                flags[flagName(arg)] = value;
+            } else if (booleanFlags.includes(arg)) {
+                flags[flagName(arg)] = true;
+            } else if (arg.startsWith('-')) {
+                throw new UsageError(`Unknown option: ${arg}`);
+            } else {
+                positional.push(arg);
+            }
+        }
+
+        if (flags.serverSide && flags.local) {
+            throw new UsageError('--server-side and --local cannot be combined');
+        }
+        for (const key of ['transfers', 'checkers', 'timeout', 'concurrency', 'limit']) {
+            if (flags[key] !== undefined) {
+                if (!/^\d+$/.test(flags[key])) {
+                    throw new UsageError(`--${key} must be a whole number, got "${flags[key]}"`);
+                }
+                flags[key] = Number(flags[key]);
+            }
+        }
+        if (flags.kind && !['transfer', 'verify'].includes(flags.kind)) {
+            throw new UsageError(`--kind must be transfer or verify, got "${flags.kind}"`);
+        }
+        if (flags.since) {
+            try {
+                flags.since = parseSince(flags.since);
+            } catch (error) {
+                throw new UsageError(`--since: ${error.message}`);
+            }
+        }
+        if (!['text', 'json'].includes(flags.output)) {
+            throw new UsageError(`--output must be text or json, got "${flags.output}"`);
+        }
+
+        const [command, ...args] = positional;
+        return { command, args, flags };
+    }
+
+    /**
+     * Transfer options for rclone-command.js from parsed flags
+     */
+    static transferOptions(flags) {
+        const options = {
+            src: flags.src,
+            dst: flags.dst,
+            mode: flags.local ? 'local' : 'server-side',
+            dryRun: Boolean(flags.dryRun),
+            fastList: !flags.noFastList,
+            verbose: Boolean(flags.verbose),
+            update: Boolean(flags.update)
+        };
+        if (flags.transfers !== undefined) options.transfers = flags.transfers;
+        if (flags.checkers !== undefined) options.checkers = flags.checkers;
+        return options;
+    }
+
+    /**
+     * Run the CLI and return the process exit code
+     */
+    async main(argv) {
+        let parsed;
+        try {
+            parsed = TransferCLI.parseArgs(argv);
+        } catch (error) {
+            this.stderr.write(`${error.message}\n\n${USAGE}`);
+            return EXIT_USAGE;
+        }
+
+        const { command, args, flags } = parsed;
+        if (flags.help || !command) {
+            (flags.help ? this.stdout : this.stderr).write(USAGE);
+            return flags.help ? EXIT_OK : EXIT_USAGE;
+        }
+
+        const handler = {
+            plan: this.plan,
+            run: this.run,
+            queue: this.queue,
+            verify: this.verify,
+            history: this.history,
+            config: this.config
+        }[command];
+
+        if (!handler) {
+            this.stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+            return EXIT_USAGE;
+        }
+
+        try {
+            return await handler.call(this, args, flags);
+        } catch (error) {
+            if (error instanceof UsageError) {
+                this.stderr.write(`${error.message}\n\n${USAGE}`);
+                return EXIT_USAGE;
+            }
+            this.stderr.write(`❌ ${error.message}\n`);
+            return EXIT_FAILURE;
+        }
+    }
+
+    /**
+     * Plan a transfer from flags, checking it against --config when given
+     */
+    async planFromFlags(command, args, flags) {
+        if (args.length > 0) {
+            throw new UsageError(`${command} takes no positional arguments; use --src and --dst`);
+        }
+
+        const config = flags.config ? await RcloneConfig.load(flags.config) : undefined;
+        return planTransfer(TransferCLI.transferOptions(flags), { config });
+    }
+
+    printProblems(plan) {
+        for (const error of plan.errors) {
+            this.stderr.write(`❌ ${error}\n`);
+        }
+        for (const warning of plan.warnings) {
+            this.stderr.write(`⚠️  ${warning}\n`);
+        }
+    }
+
+    async plan(args, flags) {
+        const plan = await this.planFromFlags('plan', args, flags);
+
+        if (flags.output === 'json') {
+            this.stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
+        } else {
+            this.printProblems(plan);
+            if (plan.valid) {
+                this.stdout.write(`${formatCommand(plan.argv)}\n`);
+            }
+        }
+
+        return plan.valid ? EXIT_OK : EXIT_FAILURE;
+    }
+
+    async run(args, flags) {
+        const plan = await this.planFromFlags('run', args, flags);
+        if (!plan.valid) {
+            if (flags.output === 'json') {
+                this.stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
+            } else {
+                this.printProblems(plan);
+            }
+            return EXIT_FAILURE;
+        }
+
+        const runner = new TransferRunner({ reportDir: flags.reportDir });
+        const text = flags.output === 'text';
+        if (text) {
+            this.printProblems(plan);
+            this.stderr.write(`🚀 ${formatCommand(runner.command(plan.argv, { filesFrom: flags.filesFrom }))}\n`);
+        }
+
+        // Ctrl+C stops rclone but still writes the report
+        const controller = new AbortController();
+        const onInterrupt = () => controller.abort();
+        process.once('SIGINT', onInterrupt);
+
+        let report;
+        try {
+            report = await runner.run(plan.argv, {
+                signal: controller.signal,
+                timeoutMs: flags.timeout ? flags.timeout * 1000 : undefined,
+                filesFrom: flags.filesFrom,
+                onEvent: text ? event => this.printEvent(event) : undefined
+            });
+        } finally {
+            process.removeListener('SIGINT', onInterrupt);
+        }
+
+        if (!text) {
+            this.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+        } else {
+            const stats = report.stats;
+            const totals = stats
+                ? `, ${stats.files}/${stats.totalFiles} files, ${formatBytes(stats.bytes)}`
+                : '';
+            const icon = report.status === 'success' ? '✅' : '❌';
+            this.stderr.write(`${icon} Transfer ${report.status}${totals} in ${(report.durationMs / 1000).toFixed(1)}s\n`);
+            if (report.error) {
+                this.stderr.write(`   ${report.error}\n`);
+            }
+            if (report.reportPath) {
+                this.stderr.write(`📄 Report: ${report.reportPath}\n`);
+            }
+        }
+
+        return report.status === 'success' ? EXIT_OK : EXIT_FAILURE;
+    }
+
+    async queue(args, flags) {
+        if (args.length !== 1) {
+            throw new UsageError('queue takes exactly one job file');
+        }
+
+        const config = flags.config ? await RcloneConfig.load(flags.config) : undefined;
+        const jobFile = await loadJobFile(args[0], { config });
+        const queue = new JobQueue({
+            jobs: jobFile.jobs,
+            statePath: flags.state || JobQueue.defaultStatePath(args[0]),
+            concurrency: flags.concurrency || jobFile.concurrency,
+            maxAttempts: jobFile.maxAttempts,
+            runner: new TransferRunner({ reportDir: flags.reportDir })
+        });
+        const state = await queue.loadState({ retryFailed: Boolean(flags.retryFailed) });
+        const text = flags.output === 'text';
+
+        if (flags.status) {
+            if (text) {
+                this.printQueue(queue);
+            } else {
+                this.stdout.write(`${JSON.stringify({ summary: queue.summary(), ...state }, null, 2)}\n`);
+            }
+            return queue.summary().failed > 0 ? EXIT_FAILURE : EXIT_OK;
+        }
+
+        if (text) {
+            for (const warning of jobFile.warnings) {
+                this.stderr.write(`⚠️  ${warning}\n`);
+            }
+            const { pending, succeeded, failed } = queue.summary();
+            this.stderr.write(`📋 ${plural(queue.jobs.length, 'job')}: ${pending} to run, ${succeeded} already succeeded, ${failed} failed\n`);
+        }
+
+        // Ctrl+C stops running jobs; they stay pending for the next run
+        const controller = new AbortController();
+        const onInterrupt = () => controller.abort();
+        process.once('SIGINT', onInterrupt);
+
+        let summary;
+        try {
+            summary = await queue.run({
+                signal: controller.signal,
+                onEvent: text ? event => this.printEvent(event) : undefined
+            });
+        } finally {
+            process.removeListener('SIGINT', onInterrupt);
+        }
+
+        if (text) {
+            this.printQueue(queue);
+        } else {
+            this.stdout.write(`${JSON.stringify({ summary, ...queue.state }, null, 2)}\n`);
+        }
+
+        return summary.succeeded === queue.jobs.length ? EXIT_OK : EXIT_FAILURE;
+    }
+
+    /**
+     * What to verify: the transfer given by flags, or jobs from a job file
+     */
+    async verifyTargets(args, flags) {
+        if (args.length > 1) {
+            throw new UsageError('verify takes at most one job file');
+        }
+
+        if (args.length === 0) {
+            if (flags.job) {
+                throw new UsageError('--job needs a job file');
+            }
+            const plan = await this.planFromFlags('verify', args, flags);
+            if (!plan.valid) {
+                this.printProblems(plan);
+                return null;
+            }
+            return { queue: null, targets: [{ label: null, options: TransferCLI.transferOptions(flags), argv: plan.argv }] };
+        }
+
+        const config = flags.config ? await RcloneConfig.load(flags.config) : undefined;
+        const { jobs } = await loadJobFile(args[0], { config });
+        const queue = new JobQueue({ jobs, statePath: flags.state || JobQueue.defaultStatePath(args[0]) });
+        const state = await queue.loadState();
+
+        let selected;
+        if (flags.job) {
+            selected = jobs.filter(job => job.id === flags.job);
+            if (selected.length === 0) {
+                throw new Error(`No job "${flags.job}" in ${args[0]} (jobs: ${jobs.map(job => job.id).join(', ')})`);
+            }
+        } else {
+            selected = jobs.filter(job => state.jobs[job.id].status === 'succeeded');
+        }
+
+        return {
+            queue,
+            targets: selected.map(job => ({ label: job.id, options: job.options, argv: job.argv, timeoutMs: job.timeoutMs }))
+        };
+    }
+
+    async verify(args, flags) {
+        const selection = await this.verifyTargets(args, flags);
+        if (!selection) {
+            return EXIT_FAILURE;
+        }
+
+        const text = flags.output === 'text';
+        if (selection.targets.length === 0) {
+            if (text) {
+                this.stderr.write('⚠️  No succeeded jobs to verify; use --job <id> to check one anyway\n');
+            } else {
+                this.stdout.write(`${JSON.stringify({ results: [] }, null, 2)}\n`);
+            }
+            return EXIT_OK;
+        }
+
+        const verifier = new TransferVerifier({ reportDir: flags.reportDir });
+        const runner = new TransferRunner({ reportDir: flags.reportDir });
+        const controller = new AbortController();
+        const onInterrupt = () => controller.abort();
+        process.once('SIGINT', onInterrupt);
+
+        const results = [];
+        try {
+            for (const target of selection.targets) {
+                if (controller.signal.aborted) break;
+                const runOptions = {
+                    signal: controller.signal,
+                    label: target.label,
+                    timeoutMs: flags.timeout ? flags.timeout * 1000 : target.timeoutMs
+                };
+                const checkOptions = { ...target.options, oneWay: !flags.twoWay, filesFrom: flags.filesFrom };
+                const name = target.label ? `[${target.label}] ` : '';
+
+                if (text) {
+                    this.stderr.write(`🔍 ${name}Checking ${target.options.src} → ${target.options.dst}\n`);
+                }
+                const result = { job: target.label, status: null, verification: await verifier.verify(checkOptions, runOptions), retry: null, recheck: null };
+                if (text) this.printVerification(name, result.verification, !flags.retry);
+
+                // Copy only what is missing or different, then check just those paths again
+                if (flags.retry && result.verification.status === 'failed' && result.verification.mismatchesPath) {
+                    const filesFrom = result.verification.mismatchesPath;
+                    if (text) {
+                        this.stderr.write(`🔁 ${name}Copying ${plural(result.verification.counts.missing + result.verification.counts.differing, 'file')} again\n`);
+                    }
+                    result.retry = await runner.run(target.argv, {
+                        ...runOptions,
+                        filesFrom,
+                        onEvent: text ? event => this.printEvent(event) : undefined
+                    });
+                    if (result.retry.status === 'success') {
+                        result.recheck = await verifier.verify({ ...checkOptions, filesFrom }, runOptions);
+                        if (text) this.printVerification(name, result.recheck, false);
+                    } else if (text) {
+                        this.stderr.write(`❌ ${name}Retry ${result.retry.status}: ${result.retry.error}\n`);
+                    }
+                }
+
+                const final = result.recheck || result.verification;
+                result.status = verificationStatus(result);
+                if (text && result.recheck?.status === 'passed' && result.status === 'failed') {
+                    this.stderr.write(`⚠️  ${name}Retried files match now, but files that could not be checked or are only in the destination remain\n`);
+                }
+                if (selection.queue && target.label) {
+                    selection.queue.state.jobs[target.label].verification = {
+                        status: result.status,
+                        checkedAt: final.finishedAt,
+                        counts: final.counts,
+                        reportPath: final.reportPath || null
+                    };
+                    await selection.queue.saveState();
+                }
+                results.push(result);
+            }
+        } finally {
+            process.removeListener('SIGINT', onInterrupt);
+        }
+
+        if (!text) {
+            this.stdout.write(`${JSON.stringify({ results }, null, 2)}\n`);
+        }
+
+        const passed = results.length === selection.targets.length
+            && results.every(result => result.status === 'passed');
+        return passed ? EXIT_OK : EXIT_FAILURE;
+    }
+
+    printVerification(name, report, suggestRetry) {
+        const { counts } = report;
+        if (report.status === 'passed') {
+            this.stderr.write(`✅ ${name}Verified: ${plural(counts.matched, 'file')} match\n`);
+        } else if (report.status === 'failed') {
+            const parts = [`${counts.missing} missing`, `${counts.differing} differing`];
+            if (counts.extra > 0) parts.push(`${counts.extra} only in destination`);
+            if (counts.errors > 0) parts.push(`${counts.errors} could not be checked`);
+            this.stderr.write(`❌ ${name}Verification failed: ${parts.join(', ')} (${counts.matched} match)\n`);
+        } else {
+            this.stderr.write(`❌ ${name}Verification ${report.status}: ${report.error}\n`);
+        }
+        if (report.markdownPath) {
+            this.stderr.write(`📄 Report: ${report.markdownPath}\n`);
+        }
+        if (suggestRetry && report.mismatchesPath) {
+            this.stderr.write(`💡 Retry with --retry, or: gdrive-transfer run --src ${formatCommand([report.src])} --dst ${formatCommand([report.dst])} --files-from ${formatCommand([report.mismatchesPath])}\n`);
+        }
+    }
+
+    async history(args, flags) {
+        if (args.length > 0) {
+            throw new UsageError('history takes no positional arguments');
+        }
+
+        const auditLog = new AuditLog();
+        const entries = AuditLog.filter(AuditLog.withVerification(await auditLog.read()), {
+            since: flags.since,
+            kind: flags.kind,
+            status: flags.result,
+            remote: flags.remote,
+            label: flags.job,
+            user: flags.user
+        });
+        const summary = AuditLog.summarize(entries);
+        const limit = flags.limit ?? 20;
+        const shown = limit > 0 ? entries.slice(-limit) : [];
+
+        if (flags.output === 'json') {
+            this.stdout.write(`${JSON.stringify({ path: auditLog.path, summary, entries: shown }, null, 2)}\n`);
+            return EXIT_OK;
+        }
+
+        if (entries.length === 0) {
+            this.stderr.write(`📜 No matching entries in ${auditLog.path}\n`);
+            return EXIT_OK;
+        }
+
+        const icons = { success: '✅', passed: '✅', failed: '❌', error: '⚠️ ', cancelled: '⏹️ ', timeout: '⏱️ ' };
+        const count = `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`;
+        this.stdout.write(`📜 ${count}${entries.length > shown.length ? `, last ${shown.length} shown` : ''}\n`);
+        for (const entry of shown) {
+            const when = entry.startedAt.slice(0, 16).replace('T', ' ');
+            const job = entry.label ? ` [${entry.label}]` : '';
+            let detail;
+            if (entry.kind === 'transfer') {
+                detail = `${formatBytes(entry.bytes)}, ${plural(entry.files, 'file')}, ${formatDuration(entry.durationMs)}`;
+                if (entry.verification) {
+                    detail += `, verified ${icons[entry.verification.status] || ''}`.trimEnd();
+                }
+            } else {
+                const counts = entry.verification.counts;
+                detail = `${counts.matched} match, ${counts.missing} missing, ${counts.differing} differing`;
+            }
+            this.stdout.write(`${icons[entry.status] || '  '} ${when}  ${entry.kind.padEnd(8)} ${entry.user}${job}  ${entry.src} → ${entry.dst}  (${detail})\n`);
+        }
+
+        const transfers = Object.entries(summary.transferStatus).map(([status, count]) => `${count} ${status}`).join(', ');
+        const checks = Object.entries(summary.verificationStatus).map(([status, count]) => `${count} ${status}`).join(', ');
+        if (summary.transfers > 0) {
+            this.stdout.write(`📊 ${plural(summary.transfers, 'transfer')} (${transfers}): `
+                + `${formatBytes(summary.bytes)} in ${plural(summary.files, 'file')} over ${formatDuration(summary.durationMs)}\n`);
+        }
+        if (summary.verifications > 0) {
+            this.stdout.write(`🔍 ${plural(summary.verifications, 'verification')} (${checks})\n`);
+        }
+        this.stdout.write(`👤 ${summary.users.join(', ')}\n`);
+
+        return EXIT_OK;
+    }
+
+    printQueue(queue) {
+        const icons = { pending: '⏳', running: '🔄', succeeded: '✅', failed: '❌' };
+        for (const job of queue.jobs) {
+            const state = queue.state.jobs[job.id];
+            const error = state.status === 'failed' && state.lastError ? `: ${state.lastError}` : '';
+            this.stderr.write(`${icons[state.status]} [${job.id}] ${job.src} → ${job.dst} (${state.status}, ${plural(state.attempts, 'attempt')})${error}\n`);
+        }
+        const { pending, succeeded, failed } = queue.summary();
+        this.stderr.write(`📊 ${succeeded} succeeded, ${failed} failed, ${pending} pending\n`);
+    }
+
+    printEvent(event) {
+        const job = event.jobId ? `[${event.jobId}] ` : '';
+        if (event.type === 'job-start') {
+            this.stderr.write(`▶️  ${job}attempt ${event.attempt}/${event.maxAttempts}\n`);
+        } else if (event.type === 'job-retry') {
+            const reason = event.rateLimited ? 'rate limited' : event.report.error;
+            this.stderr.write(`🔁 ${job}attempt ${event.attempt} failed (${reason}); retrying in ${Math.round(event.delayMs / 1000)}s\n`);
+        } else if (event.type === 'job-succeeded') {
+            this.stderr.write(`✅ ${job}succeeded\n`);
+        } else if (event.type === 'job-failed') {
+            this.stderr.write(`❌ ${job}failed after ${plural(event.attempt, 'attempt')}${event.report?.error ? `: ${event.report.error}` : ''}\n`);
+        } else if (event.type === 'stats') {
+            const percent = event.totalBytes ? Math.round((event.bytes / event.totalBytes) * 100) : 0;
+            const eta = event.eta === null ? '-' : `${event.eta}s`;
+            this.stderr.write(
+                `📊 ${job}${formatBytes(event.bytes)} / ${formatBytes(event.totalBytes)} (${percent}%), `
+                + `${event.files}/${event.totalFiles} files, ${formatBytes(event.speed)}/s, ETA ${eta}`
+                + `${event.errors > 0 ? `, ${plural(event.errors, 'error')}` : ''}\n`
+            );
+        } else if (event.type === 'error') {
+            this.stderr.write(`❌ ${job}${event.object ? `${event.object}: ` : ''}${event.message}\n`);
+        } else if (event.type === 'retry' && !event.lowLevel) {
+            this.stderr.write(`🔁 ${job}Retrying: attempt ${event.attempt}/${event.maxAttempts} failed with ${plural(event.errors, 'error')}\n`);
+        }
+    }
+
+    async config(args, flags) {
+        if (args.length > 1) {
+            throw new UsageError('config takes at most one path');
+        }
+
+        const configPath = args[0] || RcloneConfig.defaultPath();
+        const config = await RcloneConfig.load(configPath);
+        const findings = config.validate();
+        const failed = findings.some(finding => finding.severity === 'error');
+
+        if (flags.output === 'json') {
+            this.stdout.write(`${JSON.stringify({ path: configPath, ...config.toJSON(), findings }, null, 2)}\n`);
+            return failed ? EXIT_FAILURE : EXIT_OK;
+        }
+
+        if (flags.show) {
+            this.stdout.write(config.toRedactedString());
+        } else {
+            for (const remote of config.remotes) {
+                this.stdout.write(`${remote.name}: (${remote.options.type || 'no type'})\n`);
+            }
+        }
+        for (const finding of findings) {
+            const where = finding.remote ? `${finding.remote}: ` : '';
+            this.stderr.write(`${finding.severity === 'error' ? '❌' : '⚠️ '} ${where}${finding.message}\n`);
+        }
+
+        return failed ? EXIT_FAILURE : EXIT_OK;
+    }
+}
+
+if (require.main === module) {
+    new TransferCLI().main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = TransferCLI;
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Stand-in for the rclone binary that replays recorded output, so the
+ * transfer runner and verifier can be exercised without rclone or a network:
+ *
+ *   RCLONE_PATH=transfer/fixtures/fake-rclone.js gdrive-transfer run --src a:x --dst b:y
+ *
+ * `copy` replays JSON log lines on stderr. `check` prints a recorded
+ * `--combined` report on stdout and, like rclone, exits 1 when it contains
+ * differences.
+ *
+ * - FAKE_RCLONE_LOG:       log file `copy` replays (default: rclone-copy.jsonl next to this script)
+ * - FAKE_RCLONE_CHECK:     combined report `check` prints (default: rclone-check.txt next to this script)
+ * - FAKE_RCLONE_COPIED:    file where `copy --files-from` records the paths it copied; `check` reports them as matched
+ * - FAKE_RCLONE_DELAY_MS:  pause before each line (default: 0)
+ * - FAKE_RCLONE_EXIT:      exit code once all lines are written (default: 0 for copy, see above for check)
+ * - FAKE_RCLONE_ARGV_FILE: write the received arguments there as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const delayMs = Number(process.env.FAKE_RCLONE_DELAY_MS || 0);
+const copiedPath = process.env.FAKE_RCLONE_COPIED;
+
+if (process.env.FAKE_RCLONE_ARGV_FILE) {
+    fs.writeFileSync(process.env.FAKE_RCLONE_ARGV_FILE, JSON.stringify(args));
+}
+
+function readLines(file) {
+    try {
+        return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+const filesFromArg = args.find(arg => arg.startsWith('--files-from='));
+const filesFrom = filesFromArg ? readLines(filesFromArg.slice('--files-from='.length)) : null;
+
+async function emit(stream, lines) {
+    for (const line of lines) {
+        if (delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+        stream.write(`${line}\n`);
+    }
+}
+
+(async () => {
+    if (args[0] === 'check') {
+        const copied = new Set(copiedPath ? readLines(copiedPath) : []);
+        const report = readLines(process.env.FAKE_RCLONE_CHECK || path.join(__dirname, 'rclone-check.txt'))
+            .map(line => (copied.has(line.slice(2)) ? `= ${line.slice(2)}` : line))
+            .filter(line => !filesFrom || filesFrom.includes(line.slice(2)));
+        await emit(process.stdout, report);
+
+        const differences = report.filter(line => !line.startsWith('=')).length;
+        if (differences > 0) {
+            await emit(process.stderr, [JSON.stringify({ level: 'error', msg: `${differences} differences found`, time: new Date().toISOString() })]);
+        }
+        process.exitCode = Number(process.env.FAKE_RCLONE_EXIT || (differences > 0 ? 1 : 0));
+        return;
+    }
+
+    await emit(process.stderr, readLines(process.env.FAKE_RCLONE_LOG || path.join(__dirname, 'rclone-copy.jsonl')));
+    if (copiedPath && filesFrom) {
+        fs.appendFileSync(copiedPath, `${filesFrom.join('\n')}\n`);
+    }
+    process.exitCode = Number(process.env.FAKE_RCLONE_EXIT || 0);
+})();
@@ -0,0 +1,385 @@
+/**
+ * Transfer Job Queue
+ *
+ * Runs the transfers listed in a job file with bounded concurrency. Each job
+ * is one source/destination pair, as in the notebook's Step 3, and its state
+ * (pending, running, succeeded, failed, attempts) is saved after every change
+ * so an interrupted queue resumes where it stopped.
+ *
+ * Job file (YAML or JSON):
+ *
+ *   concurrency: 2        # jobs running at once (default 1)
+ *   maxAttempts: 3        # attempts per job (default 3)
+ *   defaults:             # options for every job; see planTransfer
+ *     transfers: 8
+ *   jobs:
+ *     - id: documents     # optional, defaults to a hash of src and dst
+ *       src: old_drive:Documents
+ *       dst: new_drive:Backup/Documents
+ *       timeout: 3600     # seconds per attempt
+ *
+ * Failed attempts are retried after a delay. When rclone failed because of
+ * Google API rate limits, the delay doubles with every attempt.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { planTransfer } = require('./rclone-command');
+const TransferRunner = require('./transfer-runner');
+
+const JOB_KEYS = ['id', 'src', 'dst', 'mode', 'dryRun', 'fastList', 'verbose', 'update', 'transfers', 'checkers', 'timeout'];
+const FILE_KEYS = ['concurrency', 'maxAttempts', 'defaults', 'jobs'];
+const MAX_CONCURRENCY = 8;
+
+const RETRY_DELAY_MS = 10 * 1000;
+const RATE_LIMIT_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+
+/**
+ * rclone exit codes that retrying will not fix: usage errors, missing
+ * source directory or file, and fatal errors
+ */
+const PERMANENT_EXIT_CODES = [1, 3, 4, 7];
+
+const RATE_LIMIT_PATTERN = /rateLimitExceeded|userRateLimitExceeded|Rate Limit Exceeded|quotaExceeded|Too Many Requests|\b429\b/i;
+
+/**
+ * Whether a run report shows rclone failing on API rate limits
+ */
+function isRateLimited(report) {
+    return [report.error, ...report.errors.map(error => error.message)]
+        .some(message => RATE_LIMIT_PATTERN.test(message || ''));
+}
+
+/**
+ * Delay before the next attempt after `attempts` failed ones
+ */
+function retryDelay(attempts, rateLimited) {
+    if (!rateLimited) return RETRY_DELAY_MS;
+    return Math.min(RATE_LIMIT_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+}
+
+function jobId(src, dst) {
+    return crypto.createHash('sha1').update(`${src}\n${dst}`).digest('hex').slice(0, 8);
+}
+
+/**
+ * Read and check a job file. Every job is planned up front, so one bad job
+ * stops the whole file before anything runs.
+ *
+ * @param {string} filePath - `.json`, `.yml` or `.yaml`
+ * @param {object} [context] - Passed to planTransfer, e.g. `{ config }`
+ * @param {object} [options]
+ * @param {object} [options.fs] - Promise-based fs implementation
+ * @returns {Promise<{ concurrency: number, maxAttempts: number, jobs: Array<object>, warnings: string[] }>}
+ */
+async function loadJobFile(filePath, context = {}, { fs: fileSystem = fs } = {}) {
+    const text = await fileSystem.readFile(filePath, 'utf8');
+    let data;
+    try {
+        data = filePath.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+        throw new Error(`${filePath} is not valid ${filePath.endsWith('.json') ? 'JSON' : 'YAML'}: ${error.message}`);
+    }
+
+    const errors = [];
+    const warnings = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`${filePath} must contain an object with a "jobs" list`);
+    }
+    for (const key of Object.keys(data)) {
+        if (!FILE_KEYS.includes(key)) errors.push(`Unknown key "${key}"`);
+    }
+
+    const concurrency = data.concurrency ?? 1;
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+        errors.push(`concurrency must be an integer from 1 to ${MAX_CONCURRENCY}, got ${concurrency}`);
+    }
+    const maxAttempts = data.maxAttempts ?? 3;
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+        errors.push(`maxAttempts must be a positive integer, got ${maxAttempts}`);
+    }
+
+    const defaults = data.defaults || {};
+    for (const key of Object.keys(defaults)) {
+        if (!JOB_KEYS.includes(key) || ['id', 'src', 'dst'].includes(key)) {
+            errors.push(`defaults: unknown option "${key}"`);
+        }
+    }
+
+    if (!Array.isArray(data.jobs) || data.jobs.length === 0) {
+        errors.push('"jobs" must be a non-empty list');
+    }
+
+    const jobs = [];
+    const seen = new Set();
+    (Array.isArray(data.jobs) ? data.jobs : []).forEach((entry, index) => {
+        const where = `jobs[${index}]`;
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`${where}: expected an object with src and dst`);
+            return;
+        }
+        for (const key of Object.keys(entry)) {
+            if (!JOB_KEYS.includes(key)) errors.push(`${where}: unknown option "${key}"`);
+        }
+
+        const { id: explicitId, timeout, ...options } = { ...defaults, ...entry };
+        const id = String(explicitId ?? jobId(options.src, options.dst));
+        if (seen.has(id)) {
+            errors.push(`${where}: duplicate job id "${id}"`);
+        }
+        seen.add(id);
+
+        if (timeout !== undefined && (typeof timeout !== 'number' || timeout <= 0)) {
+            errors.push(`${where}: timeout must be a positive number of seconds`);
+        }
+
+        const plan = planTransfer(options, context);
+        errors.push(...plan.errors.map(error => `${where} (${id}): ${error}`));
+        warnings.push(...plan.warnings.map(warning => `${where} (${id}): ${warning}`));
+
+        jobs.push({ id, src: options.src, dst: options.dst, options, argv: plan.argv, timeoutMs: timeout ? timeout * 1000 : undefined });
+    });
+
+    if (errors.length > 0) {
+        const error = new Error(`Invalid job file ${filePath}:\n  ${errors.join('\n  ')}`);
+        error.errors = errors;
+        throw error;
+    }
+
+    return { concurrency, maxAttempts, jobs, warnings };
+}
+
+/**
+ * Wait, returning early when the signal aborts
+ */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal?.aborted) return resolve();
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        }
+        signal?.addEventListener('abort', done, { once: true });
+    });
+}
+
+class JobQueue {
+    /**
+     * @param {object} options
+     * @param {Array<object>} options.jobs - Jobs from loadJobFile
+     * @param {string} options.statePath - Where job state is saved
+     * @param {number} [options.concurrency] - Jobs running at once
+     * @param {number} [options.maxAttempts] - Attempts per job
+     * @param {TransferRunner} [options.runner]
+     * @param {function(number, AbortSignal): Promise} [options.sleep] - Waits between attempts
+     * @param {object} [options.fs] - Promise-based fs implementation for the state file
+     */
+    constructor({ jobs, statePath, concurrency = 1, maxAttempts = 3, runner = new TransferRunner(), sleep: wait = sleep, fs: fileSystem = fs }) {
+        this.jobs = jobs;
+        this.statePath = statePath;
+        this.concurrency = concurrency;
+        this.maxAttempts = maxAttempts;
+        this.runner = runner;
+        this.sleep = wait;
+        this.fs = fileSystem;
+        this.state = null;
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * State file for a job file: `jobs.yml` -> `jobs.state.json`
+     */
+    static defaultStatePath(jobFilePath) {
+        const parsed = path.parse(jobFilePath);
+        return path.join(parsed.dir, `${parsed.name}.state.json`);
+    }
+
+    static newJobState(job) {
+        return {
+            src: job.src,
+            dst: job.dst,
+            status: 'pending',
+            attempts: 0,
+            startedAt: null,
+            finishedAt: null,
+            nextAttemptAt: null,
+            exitCode: null,
+            rateLimited: false,
+            lastError: null,
+            reports: []
+        };
+    }
+
+    /**
+     * Load saved state and reconcile it with the current job list. Jobs that
+     * were running when the queue stopped go back to pending without counting
+     * the interrupted attempt; failed jobs do too when `retryFailed` is set.
+     */
+    async loadState({ retryFailed = false } = {}) {
+        let saved = { jobs: {} };
+        try {
+            saved = JSON.parse(await this.fs.readFile(this.statePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Could not read queue state ${this.statePath}: ${error.message}`);
+            }
+        }
+
+        const jobs = {};
+        for (const job of this.jobs) {
+            const previous = saved.jobs?.[job.id];
+            // A job whose source or destination changed is a different job
+            const state = previous && previous.src === job.src && previous.dst === job.dst
+                ? previous
+                : JobQueue.newJobState(job);
+            if (state.status === 'running') {
+                state.status = 'pending';
+                state.attempts = Math.max(0, state.attempts - 1);
+            }
+            if (retryFailed && state.status === 'failed') {
+                state.status = 'pending';
+                state.attempts = 0;
+                state.nextAttemptAt = null;
+            }
+            jobs[job.id] = state;
+        }
+
+        this.state = { updatedAt: saved.updatedAt || null, jobs };
+        return this.state;
+    }
+
+    /**
+     * Save state. Saves from concurrent jobs are chained so they never
+     * interleave, and each is written then renamed so a crash never leaves
+     * half a state file.
+     */
+    saveState() {
+        this.saving = this.saving.then(async () => {
+            this.state.updatedAt = new Date().toISOString();
+            const temp = `${this.statePath}.tmp`;
+            await this.fs.writeFile(temp, JSON.stringify(this.state, null, 2));
+            await this.fs.rename(temp, this.statePath);
+        });
+        return this.saving;
+    }
+
+    /**
+     * Job counts by status
+     */
+    summary() {
+        const counts = { pending: 0, running: 0, succeeded: 0, failed: 0 };
+        for (const job of Object.values(this.state.jobs)) {
+            counts[job.status]++;
+        }
+        return counts;
+    }
+
+    /**
+     * Run every pending job
+     *
+     * @param {object} [options]
+     * @param {function(object)} [options.onEvent] - Queue events (`job-start`, `job-retry`,
+     *     `job-succeeded`, `job-failed`) and runner events tagged with `jobId`
+     * @param {AbortSignal} [options.signal] - Stops running jobs; they stay pending for the next run
+     * @param {boolean} [options.retryFailed] - Run jobs that failed in an earlier run again
+     * @returns {Promise<object>} Final job counts
+     */
+    async run({ onEvent = () => {}, signal, retryFailed = false } = {}) {
+        if (!this.state || retryFailed) {
+            await this.loadState({ retryFailed });
+        }
+        await this.saveState();
+
+        const queue = this.jobs.filter(job => this.state.jobs[job.id].status === 'pending');
+        const worker = async () => {
+            while (queue.length > 0 && !signal?.aborted) {
+                await this.runJob(queue.shift(), { onEvent, signal });
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+        return this.summary();
+    }
+
+    async runJob(job, { onEvent, signal }) {
+        const state = this.state.jobs[job.id];
+
+        while (state.attempts < this.maxAttempts && !signal?.aborted) {
+            // Honour a backoff that was still pending when the queue stopped
+            if (state.nextAttemptAt) {
+                const wait = new Date(state.nextAttemptAt) - Date.now();
+                if (wait > 0) await this.sleep(wait, signal);
+                if (signal?.aborted) break;
+            }
+
+            state.status = 'running';
+            state.attempts++;
+            state.startedAt = new Date().toISOString();
+            state.nextAttemptAt = null;
+            await this.saveState();
+            onEvent({ type: 'job-start', jobId: job.id, attempt: state.attempts, maxAttempts: this.maxAttempts });
+
+            const report = await this.runner.run(job.argv, {
+                signal,
+                timeoutMs: job.timeoutMs,
+                label: job.id,
+                onEvent: event => onEvent({ ...event, jobId: job.id })
+            });
+
+            state.finishedAt = report.finishedAt;
+            state.exitCode = report.exitCode;
+            state.lastError = report.error;
+            state.rateLimited = report.status === 'failed' && isRateLimited(report);
+            if (report.reportPath) state.reports.push(report.reportPath);
+
+            if (report.status === 'success') {
+                state.status = 'succeeded';
+                await this.saveState();
+                onEvent({ type: 'job-succeeded', jobId: job.id, attempt: state.attempts, report });
+                return;
+            }
+
+            if (report.status === 'cancelled') {
+                // Not the job's fault: give the attempt back and leave it for the next run
+                state.status = 'pending';
+                state.attempts--;
+                await this.saveState();
+                return;
+            }
+
+            // No exit code or signal means rclone never started
+            const permanent = PERMANENT_EXIT_CODES.includes(report.exitCode)
+                || (report.exitCode === null && !report.exitSignal);
+            if (permanent || state.attempts >= this.maxAttempts) {
+                state.status = 'failed';
+                await this.saveState();
+                onEvent({ type: 'job-failed', jobId: job.id, attempt: state.attempts, report });
+                return;
+            }
+
+            const delay = retryDelay(state.attempts, state.rateLimited);
+            state.status = 'pending';
+            state.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            await this.saveState();
+            onEvent({ type: 'job-retry', jobId: job.id, attempt: state.attempts, delayMs: delay, rateLimited: state.rateLimited, report });
+        }
+
+        // maxAttempts was lowered below the attempts already made
+        if (!signal?.aborted && state.status === 'pending') {
+            state.status = 'failed';
+            await this.saveState();
+            onEvent({ type: 'job-failed', jobId: job.id, attempt: state.attempts, report: null });
+        }
+    }
+}
+
+module.exports = JobQueue;
+module.exports.loadJobFile = loadJobFile;
+module.exports.isRateLimited = isRateLimited;
+module.exports.retryDelay = retryDelay;
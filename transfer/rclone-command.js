@@ -0,0 +1,187 @@
+/**
+ * rclone Command Builder
+ *
+ * Builds `rclone copy` argv exactly the way the notebook's Step 3
+ * `build_rclone_command` does from the Step 2 widgets, and applies the same
+ * validation as `validate_configuration` / `validate_transfer_config`, so
+ * scripts and CI jobs produce the same commands as the Colab UI.
+ */
+
+const MODES = ['server-side', 'local'];
+
+/**
+ * Defaults of the Step 2 widgets
+ */
+const DEFAULTS = {
+    mode: 'server-side',
+    dryRun: false,
+    fastList: true,
+    verbose: false,
+    update: false,
+    transfers: 4,
+    checkers: 8
+};
+
+/**
+ * Slider bounds and the values above which the notebook warns
+ */
+const LIMITS = {
+    transfers: { min: 1, max: 32, warnAbove: 16, warning: 'High number of parallel transfers may impact performance' },
+    checkers: { min: 1, max: 64, warnAbove: 32, warning: 'High number of checkers may use excessive memory' }
+};
+
+const SAFE_PATH = /^[\w\s\-/.]+$/;
+
+/**
+ * Split `remote:path` into the notebook's remote (with its colon) and path parts
+ */
+function parseRemotePath(value) {
+    const text = String(value ?? '').trim();
+    const colon = text.indexOf(':');
+    if (colon === -1) {
+        return { remote: '', path: text };
+    }
+    return { remote: text.slice(0, colon + 1), path: text.slice(colon + 1) };
+}
+
+/**
+ * Check transfer options. Returns error and warning messages.
+ *
+ * @param {object} options - See planTransfer
+ * @param {object} [context]
+ * @param {RcloneConfig} [context.config] - Also check that both remotes exist and the destination is writable
+ */
+function validateTransferOptions(options, { config: rcloneConfig } = {}) {
+    const errors = [];
+    const warnings = [];
+    const config = { ...DEFAULTS, ...options };
+
+    const src = parseRemotePath(config.src);
+    const dst = parseRemotePath(config.dst);
+
+    for (const [{ remote, path }, label, value] of [[src, 'Source', config.src], [dst, 'Destination', config.dst]]) {
+        if (!remote || remote === ':') {
+            errors.push(`Please select a ${label.toLowerCase()} remote (expected remote:path, got "${value ?? ''}")`);
+        } else if (rcloneConfig && !rcloneConfig.getRemote(remote)) {
+            errors.push(`${label} remote "${remote}" is not in the rclone config (${rcloneConfig.listRemotes().join(', ') || 'no remotes'})`);
+        } else if (path && !SAFE_PATH.test(path)) {
+            warnings.push(`${label} path contains special characters that might cause issues`);
+        }
+    }
+
+    if (rcloneConfig && dst.remote && rcloneConfig.getRemote(dst.remote) && rcloneConfig.isReadOnly(dst.remote)) {
+        errors.push(`Destination remote "${dst.remote}" has a read-only scope`);
+    }
+
+    if (src.remote && dst.remote && src.remote + src.path === dst.remote + dst.path) {
+        errors.push('Source and destination paths are identical');
+    }
+
+    if (!MODES.includes(config.mode)) {
+        errors.push(`Transfer mode must be one of ${MODES.join(', ')}, got "${config.mode}"`);
+    }
+
+    for (const [key, limit] of Object.entries(LIMITS)) {
+        const value = config[key];
+        if (!Number.isInteger(value) || value < limit.min || value > limit.max) {
+            errors.push(`${key} must be an integer from ${limit.min} to ${limit.max}, got ${value}`);
+        } else if (value > limit.warnAbove) {
+            warnings.push(limit.warning);
+        }
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * rclone argv for a transfer, flag for flag the same as the notebook
+ */
+function buildRcloneArgs(options) {
+    const config = { ...DEFAULTS, ...options };
+    const src = parseRemotePath(config.src);
+    const dst = parseRemotePath(config.dst);
+
+    const argv = ['rclone', 'copy', `${src.remote}${src.path}`, `${dst.remote}${dst.path}`];
+
+    if (config.mode === 'server-side') {
+        argv.push('--drive-server-side-across-configs=true');
+    }
+    if (config.dryRun) argv.push('--dry-run');
+    if (config.fastList) argv.push('--fast-list');
+    if (config.verbose) argv.push('--verbose');
+    if (config.update) argv.push('--update');
+
+    argv.push(`--transfers=${config.transfers}`);
+    argv.push(`--checkers=${config.checkers}`);
+    argv.push('--progress', '--stats=10s', '--stats-file-name-length=0');
+
+    return argv;
+}
+
+/**
+ * `rclone check` argv that verifies a transfer: the same source and
+ * destination, listed and checked with the transfer's settings
+ *
+ * @param {object} options - Transfer options, see planTransfer
+ * @param {boolean} [options.oneWay] - Only check that source files are in the destination (default true)
+ * @param {string} [options.filesFrom] - Only check the paths listed in this file
+ */
+function buildCheckArgs(options) {
+    const config = { ...DEFAULTS, oneWay: true, ...options };
+    const src = parseRemotePath(config.src);
+    const dst = parseRemotePath(config.dst);
+
+    const argv = ['rclone', 'check', `${src.remote}${src.path}`, `${dst.remote}${dst.path}`];
+    if (config.oneWay) argv.push('--one-way');
+    if (config.fastList) argv.push('--fast-list');
+    argv.push(`--checkers=${config.checkers}`);
+    if (config.filesFrom) argv.push(`--files-from=${config.filesFrom}`);
+
+    return argv;
+}
+
+/**
+ * Validate options and build the command
+ *
+ * @param {object} options
+ * @param {string} options.src - Source as remote:path
+ * @param {string} options.dst - Destination as remote:path
+ * @param {string} [options.mode] - `server-side` (default) or `local`
+ * @param {boolean} [options.dryRun]
+ * @param {boolean} [options.fastList] - Defaults to true
+ * @param {boolean} [options.verbose]
+ * @param {boolean} [options.update] - Overwrite changed files in the destination
+ * @param {number} [options.transfers] - 1-32, default 4
+ * @param {number} [options.checkers] - 1-64, default 8
+ * @param {object} [context] - See validateTransferOptions
+ * @returns {{ valid: boolean, argv: string[]|null, errors: string[], warnings: string[] }}
+ */
+function planTransfer(options, context = {}) {
+    const { errors, warnings } = validateTransferOptions(options, context);
+    return {
+        valid: errors.length === 0,
+        argv: errors.length === 0 ? buildRcloneArgs(options) : null,
+        errors,
+        warnings
+    };
+}
+
+/**
+ * Quote argv for a POSIX shell
+ */
+function formatCommand(argv) {
+    return argv
+        .map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`))
+        .join(' ');
+}
+
+module.exports = {
+    DEFAULTS,
+    LIMITS,
+    parseRemotePath,
+    validateTransferOptions,
+    buildRcloneArgs,
+    buildCheckArgs,
+    planTransfer,
+    formatCommand
+};
@@ -0,0 +1,279 @@
+/**
+ * rclone Config
+ *
+ * Parses the INI-style rclone.conf the notebook's Step 1 accepts, lists its
+ * remotes the way `rclone listremotes` does and checks Google Drive remotes
+ * for problems that would otherwise only show up mid-transfer. Secrets are
+ * redacted whenever the config is printed or serialized.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const SECRET_KEYS = ['token', 'client_secret', 'service_account_credentials', 'password', 'password2', 'pass', 'secret_access_key', 'key'];
+const TOKEN_SECRETS = ['access_token', 'refresh_token', 'id_token'];
+const DRIVE_SCOPES = ['drive', 'drive.readonly', 'drive.file', 'drive.appfolder', 'drive.metadata.readonly'];
+const READ_ONLY_SCOPES = ['drive.readonly', 'drive.metadata.readonly'];
+const REDACTED = '<redacted>';
+
+// Connection string parameters, e.g. `:drive,token='{...}':path` or `remote,client_secret=x:path`
+const CONNECTION_SECRET = new RegExp(`([:,](?:${SECRET_KEYS.join('|')}))=('(?:[^']|'')*'|"(?:[^"]|"")*"|[^,:]*)`, 'g');
+// Backend flags, e.g. `--drive-token=...` or `--drive-client-secret ...`
+const FLAG_SECRET = new RegExp(`^(--[a-z0-9]+-(?:${SECRET_KEYS.map(key => key.replace(/_/g, '-')).join('|')}))(=.*)?$`);
+
+/**
+ * Copy of an rclone argv with secrets in connection strings and backend
+ * flags replaced, so commands can be logged
+ */
+function redactArgs(argv) {
+    const redacted = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = String(argv[i]);
+        const flag = arg.match(FLAG_SECRET);
+        if (flag) {
+            redacted.push(flag[2] ? `${flag[1]}=${REDACTED}` : flag[1]);
+            // `--drive-token value`: the secret is the next argument
+            if (!flag[2] && i + 1 < argv.length) {
+                redacted.push(REDACTED);
+                i++;
+            }
+            continue;
+        }
+        redacted.push(arg.replace(CONNECTION_SECRET, `$1=${REDACTED}`));
+    }
+    return redacted;
+}
+
+class RcloneConfig {
+    /**
+     * @param {Array<{name: string, line: number, options: Object<string, string>}>} remotes
+     * @param {Array<{line: number, message: string}>} [parseErrors]
+     */
+    constructor(remotes, parseErrors = []) {
+        this.remotes = remotes;
+        this.parseErrors = parseErrors;
+    }
+
+    /**
+     * Where rclone looks for its config: RCLONE_CONFIG, then ~/.config/rclone/rclone.conf
+     */
+    static defaultPath() {
+        return process.env.RCLONE_CONFIG || path.join(os.homedir(), '.config', 'rclone', 'rclone.conf');
+    }
+
+    /**
+     * @param {string} [configPath]
+     * @param {object} [options]
+     * @param {object} [options.fs] - Promise-based fs implementation
+     */
+    static async load(configPath = RcloneConfig.defaultPath(), { fs: fileSystem = fs } = {}) {
+        return RcloneConfig.parse(await fileSystem.readFile(configPath, 'utf8'));
+    }
+
+    static parse(text) {
+        const remotes = [];
+        const parseErrors = [];
+        let current = null;
+
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        if (lines.some(line => line.startsWith('RCLONE_ENCRYPT_V'))) {
+            return new RcloneConfig([], [{ line: 1, message: 'Config is encrypted; decrypt it with `rclone config show` before checking it' }]);
+        }
+
+        lines.forEach((raw, index) => {
+            const line = raw.trim();
+            const number = index + 1;
+            if (!line || line.startsWith('#') || line.startsWith(';')) return;
+
+            const section = line.match(/^\[(.*)\]$/);
+            if (section) {
+                const name = section[1].trim();
+                // rclone allows letters, digits, `_ - . + @` and inner spaces, not a leading `-`
+                if (!/^[\w.+@][\w.+@ -]*$/.test(name) || name.endsWith(' ')) {
+                    parseErrors.push({ line: number, message: `Invalid remote name "${name}"` });
+                } else if (remotes.some(remote => remote.name === name)) {
+                    parseErrors.push({ line: number, message: `Duplicate remote "${name}"` });
+                }
+                current = { name, line: number, options: {} };
+                remotes.push(current);
+                return;
+            }
+
+            const equals = line.indexOf('=');
+            if (equals === -1) {
+                parseErrors.push({ line: number, message: `Expected "key = value", got "${line.slice(0, 40)}"` });
+                return;
+            }
+            if (!current) {
+                parseErrors.push({ line: number, message: 'Option outside of a [remote] section' });
+                return;
+            }
+            current.options[line.slice(0, equals).trim()] = line.slice(equals + 1).trim();
+        });
+
+        return new RcloneConfig(remotes, parseErrors);
+    }
+
+    /**
+     * Remote names with their trailing colon, as `rclone listremotes` prints them
+     */
+    listRemotes() {
+        return this.remotes.map(remote => `${remote.name}:`);
+    }
+
+    getRemote(name) {
+        const bare = name.replace(/:$/, '');
+        return this.remotes.find(remote => remote.name === bare) || null;
+    }
+
+    /**
+     * Whether a remote's scope only allows reading
+     */
+    isReadOnly(name) {
+        const scope = this.getRemote(name)?.options.scope;
+        return Boolean(scope) && scope.split(',').every(s => READ_ONLY_SCOPES.includes(s.trim()));
+    }
+
+    /**
+     * Check every remote. Returns findings with severity `error` or `warning`.
+     *
+     * @param {object} [options]
+     * @param {Date} [options.now] - Reference time for token expiry
+     * @returns {Array<{remote: string|null, severity: string, message: string}>}
+     */
+    validate({ now = new Date() } = {}) {
+        const findings = this.parseErrors.map(error => ({
+            remote: null,
+            severity: 'error',
+            message: `Line ${error.line}: ${error.message}`
+        }));
+
+        if (this.remotes.length === 0 && this.parseErrors.length === 0) {
+            findings.push({ remote: null, severity: 'error', message: 'No remotes configured' });
+        }
+
+        for (const remote of this.remotes) {
+            const add = (severity, message) => findings.push({ remote: remote.name, severity, message });
+            const { type } = remote.options;
+
+            if (!type) {
+                add('error', 'Missing "type"');
+            } else if (type === 'drive') {
+                this.validateDrive(remote.options, now, add);
+            }
+        }
+
+        return findings;
+    }
+
+    validateDrive(options, now, add) {
+        const serviceAccount = Boolean(options.service_account_file || options.service_account_credentials);
+
+        if (Boolean(options.client_id) !== Boolean(options.client_secret)) {
+            add('error', '"client_id" and "client_secret" must be set together');
+        } else if (options.client_id && !options.client_id.endsWith('.apps.googleusercontent.com')) {
+            add('warning', '"client_id" does not look like a Google OAuth client ID (*.apps.googleusercontent.com)');
+        }
+
+        if (!options.scope) {
+            add('warning', 'No "scope" set; rclone defaults to full "drive" access');
+        } else {
+            const scopes = options.scope.split(',').map(scope => scope.trim());
+            const unknown = scopes.filter(scope => !DRIVE_SCOPES.includes(scope));
+            if (unknown.length > 0) {
+                add('error', `Unknown scope ${unknown.map(scope => `"${scope}"`).join(', ')} (expected ${DRIVE_SCOPES.join(', ')})`);
+            } else if (scopes.every(scope => READ_ONLY_SCOPES.includes(scope))) {
+                add('warning', `Scope "${options.scope}" is read-only; this remote can only be a transfer source`);
+            }
+        }
+
+        if (!options.token) {
+            if (!serviceAccount) {
+                add('error', 'No "token"; authorize the remote with `rclone config reconnect`');
+            }
+            return;
+        }
+
+        let token;
+        try {
+            token = JSON.parse(options.token);
+        } catch {
+            add('error', '"token" is not valid JSON');
+            return;
+        }
+
+        if (!token.refresh_token) {
+            add('error', '"token" has no refresh_token; rclone cannot renew access once it expires');
+        }
+        if (!token.access_token) {
+            add('warning', '"token" has no access_token; rclone will fetch one using the refresh token');
+        }
+        if (token.expiry) {
+            const expiry = new Date(token.expiry);
+            if (Number.isNaN(expiry.getTime())) {
+                add('error', `"token" expiry "${token.expiry}" is not a date`);
+            } else if (expiry <= now) {
+                add(
+                    token.refresh_token ? 'warning' : 'error',
+                    `Access token expired at ${expiry.toISOString()}${token.refresh_token ? '; rclone will refresh it on first use' : ''}`
+                );
+            }
+        }
+    }
+
+    /**
+     * Copy of a remote's options with secrets replaced. Token JSON keeps its
+     * non-secret fields (type, expiry) so expiry problems stay diagnosable.
+     */
+    static redactOptions(options) {
+        const redacted = {};
+        for (const [key, value] of Object.entries(options)) {
+            if (!SECRET_KEYS.includes(key) || !value) {
+                redacted[key] = value;
+                continue;
+            }
+            if (key === 'token') {
+                try {
+                    const token = JSON.parse(value);
+                    for (const field of TOKEN_SECRETS) {
+                        if (token[field]) token[field] = REDACTED;
+                    }
+                    redacted[key] = JSON.stringify(token);
+                    continue;
+                } catch {
+                    // Not JSON: redact the whole value below
+                }
+            }
+            redacted[key] = REDACTED;
+        }
+        return redacted;
+    }
+
+    /**
+     * The config as INI text with secrets redacted
+     */
+    toRedactedString() {
+        return this.remotes
+            .map(remote => {
+                const lines = Object.entries(RcloneConfig.redactOptions(remote.options))
+                    .map(([key, value]) => `${key} = ${value}`);
+                return [`[${remote.name}]`, ...lines].join('\n');
+            })
+            .join('\n\n') + '\n';
+    }
+
+    toJSON() {
+        return {
+            remotes: this.remotes.map(remote => ({
+                name: remote.name,
+                type: remote.options.type || null,
+                options: RcloneConfig.redactOptions(remote.options)
+            }))
+        };
+    }
+}
+
+module.exports = RcloneConfig;
+module.exports.DRIVE_SCOPES = DRIVE_SCOPES;
+module.exports.redactArgs = redactArgs;
@@ -0,0 +1,114 @@
+/**
+ * rclone Process
+ *
+ * Spawns rclone, hands its output to callbacks line by line and stops it on
+ * cancellation or timeout. Shared by the transfer runner and the verifier.
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+
+const KILL_GRACE_MS = 5000;
+
+/**
+ * rclone exit codes (https://rclone.org/docs/#exit-code)
+ */
+const EXIT_CODES = {
+    0: 'Success',
+    1: 'Syntax or usage error',
+    2: 'Error not otherwise categorised',
+    3: 'Directory not found',
+    4: 'File not found',
+    5: 'Temporary error (more retries might fix this)',
+    6: 'Less serious errors (like 461 errors from dropbox)',
+    7: 'Fatal error (more retries will not fix this)',
+    8: 'Transfer exceeded --max-transfer',
+    9: 'Operation successful, but no files transferred'
+};
+
+/**
+ * Run rclone to completion
+ *
+ * @param {string} binary - rclone executable
+ * @param {string[]} args
+ * @param {object} [options]
+ * @param {function(string)} [options.onStdout] - Called with every stdout line
+ * @param {function(string)} [options.onStderr] - Called with every stderr line (rclone's log)
+ * @param {AbortSignal} [options.signal] - Aborting stops rclone
+ * @param {number} [options.timeoutMs] - Stop rclone after this long
+ * @param {number} [options.killGraceMs] - Wait between SIGTERM and SIGKILL
+ * @returns {Promise<{ stopped: string|null, code: number|null, exitSignal: string|null, spawnError: Error|null }>}
+ *     `stopped` is `cancelled` or `timeout` when rclone was stopped
+ */
+function runRclone(binary, args, { onStdout = () => {}, onStderr = () => {}, signal, timeoutMs, killGraceMs = KILL_GRACE_MS } = {}) {
+    return new Promise(resolve => {
+        if (signal?.aborted) {
+            resolve({ stopped: 'cancelled', code: null, exitSignal: null, spawnError: null });
+            return;
+        }
+
+        const child = spawn(binary, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let stopped = null;
+        let killTimer = null;
+        let finished = false;
+
+        const stop = reason => {
+            if (stopped || child.exitCode !== null) return;
+            stopped = reason;
+            child.kill('SIGTERM');
+            killTimer = setTimeout(() => child.kill('SIGKILL'), killGraceMs);
+        };
+
+        const onAbort = () => stop('cancelled');
+        signal?.addEventListener('abort', onAbort, { once: true });
+        const timeoutTimer = timeoutMs ? setTimeout(() => stop('timeout'), timeoutMs) : null;
+
+        const streams = [[child.stdout, onStdout], [child.stderr, onStderr]].map(([stream, onLine]) => new Promise(done => {
+            const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+            lines.on('line', onLine);
+            lines.on('close', done);
+        }));
+
+        const finish = result => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timeoutTimer);
+            clearTimeout(killTimer);
+            signal?.removeEventListener('abort', onAbort);
+            resolve({ stopped, code: null, exitSignal: null, spawnError: null, ...result });
+        };
+
+        child.on('error', error => {
+            finish({ spawnError: error });
+        });
+        child.on('close', (code, exitSignal) => {
+            Promise.all(streams).then(() => finish({ code, exitSignal }));
+        });
+    });
+}
+
+/**
+ * Why a run did not start or did not succeed, in one sentence
+ */
+function describeFailure(binary, outcome, timeoutMs) {
+    if (outcome.spawnError) {
+        return outcome.spawnError.code === 'ENOENT'
+            ? `rclone not found at "${binary}"; install it or set RCLONE_PATH`
+            : outcome.spawnError.message;
+    }
+    if (outcome.stopped === 'timeout') {
+        return `Stopped after the ${timeoutMs / 1000}s timeout`;
+    }
+    if (outcome.stopped === 'cancelled') {
+        return 'Cancelled';
+    }
+    const description = EXIT_CODES[outcome.code];
+    return `rclone exited with ${outcome.code === null ? `signal ${outcome.exitSignal}` : `code ${outcome.code}`}`
+        + (description ? `: ${description}` : '');
+}
+
+module.exports = {
+    EXIT_CODES,
+    runRclone,
+    describeFailure
+};
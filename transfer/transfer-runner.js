@@ -0,0 +1,262 @@
+/**
+ * Transfer Runner
+ *
+ * Runs a planned rclone command with `--use-json-log` and turns rclone's JSON
+ * log lines into structured events:
+ *
+ * - stats:  periodic totals (bytes, files, checks, errors, speed, ETA)
+ * - file:   a file was copied
+ * - error:  a file or the transfer failed
+ * - retry:  rclone started another attempt after errors
+ * - log:    any other log line
+ *
+ * A run can be cancelled with an AbortSignal or stopped by a timeout, and
+ * always ends with a JSON report written next to the agent's workflow data.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { EXIT_CODES, runRclone, describeFailure } = require('./rclone-process');
+const AuditLog = require('./audit-log');
+
+const RETRY_PATTERN = /Attempt (\d+)\/(\d+) failed with (\d+) errors?/;
+const LOW_LEVEL_RETRY_PATTERN = /low level retry (\d+)\/(\d+)/;
+
+/**
+ * rclone arguments for a runner: JSON logs, periodic stats and no
+ * interactive progress display
+ *
+ * @param {string[]} argv - Command from planTransfer, starting with `rclone`
+ */
+function runnerArgs(argv, { statsInterval = '10s' } = {}) {
+    const args = argv.slice(1).filter(arg => arg !== '--progress' && !arg.startsWith('--stats='));
+    args.push('--use-json-log', `--stats=${statsInterval}`);
+    // rclone refuses --log-level together with --verbose, which already means INFO
+    if (!args.includes('--verbose')) {
+        args.push('--log-level=INFO');
+    }
+    return args;
+}
+
+/**
+ * Turn one line of rclone output into an event. Lines that are not JSON
+ * (rclone prints some startup errors as plain text) become `log` events.
+ */
+function parseLogLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return null;
+
+    let entry;
+    try {
+        entry = JSON.parse(trimmed);
+    } catch {
+        return { type: 'log', level: 'info', message: trimmed };
+    }
+    if (!entry || typeof entry !== 'object') {
+        return { type: 'log', level: 'info', message: trimmed };
+    }
+
+    const base = { time: entry.time || null, level: entry.level || 'info' };
+    const message = String(entry.msg ?? '').trim();
+
+    if (entry.stats) {
+        const stats = entry.stats;
+        return {
+            ...base,
+            type: 'stats',
+            bytes: stats.bytes || 0,
+            totalBytes: stats.totalBytes || 0,
+            files: stats.transfers || 0,
+            totalFiles: stats.totalTransfers || 0,
+            checks: stats.checks || 0,
+            totalChecks: stats.totalChecks || 0,
+            errors: stats.errors || 0,
+            speed: stats.speed || 0,
+            eta: stats.eta ?? null,
+            elapsedTime: stats.elapsedTime || 0,
+            transferring: (stats.transferring || []).map(file => file.name)
+        };
+    }
+
+    const retry = message.match(RETRY_PATTERN);
+    if (retry) {
+        return {
+            ...base,
+            type: 'retry',
+            lowLevel: false,
+            attempt: Number(retry[1]),
+            maxAttempts: Number(retry[2]),
+            errors: Number(retry[3]),
+            message
+        };
+    }
+    const lowLevel = message.match(LOW_LEVEL_RETRY_PATTERN);
+    if (lowLevel) {
+        return {
+            ...base,
+            type: 'retry',
+            lowLevel: true,
+            attempt: Number(lowLevel[1]),
+            maxAttempts: Number(lowLevel[2]),
+            message
+        };
+    }
+
+    if (['error', 'critical', 'alert', 'emergency'].includes(base.level)) {
+        return { ...base, type: 'error', object: entry.object || null, message };
+    }
+    if (entry.object && message.startsWith('Copied')) {
+        return { ...base, type: 'file', object: entry.object, message };
+    }
+    return { ...base, type: 'log', object: entry.object || null, message };
+}
+
+class TransferRunner {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.rclonePath] - rclone binary; defaults to RCLONE_PATH or `rclone` on the PATH
+     * @param {string} [options.reportDir] - Where run reports are written (default: TRANSFER_REPORT_DIR or the working directory)
+     * @param {string} [options.statsInterval] - rclone --stats interval (default: 10s)
+     * @param {number} [options.killGraceMs] - Wait between SIGTERM and SIGKILL when stopping rclone
+     * @param {AuditLog|null} [options.auditLog] - Where every run is recorded; null to skip
+     */
+    constructor({
+        rclonePath = process.env.RCLONE_PATH || 'rclone',
+        reportDir = process.env.TRANSFER_REPORT_DIR || process.cwd(),
+        statsInterval = '10s',
+        killGraceMs = 5000,
+        auditLog = new AuditLog()
+    } = {}) {
+        this.rclonePath = rclonePath;
+        this.reportDir = reportDir;
+        this.statsInterval = statsInterval;
+        this.killGraceMs = killGraceMs;
+        this.auditLog = auditLog;
+    }
+
+    /**
+     * The command the runner executes for a planned argv
+     *
+     * @param {string[]} argv - Command from planTransfer
+     * @param {object} [options]
+     * @param {string} [options.filesFrom] - Only copy the paths listed in this file
+     */
+    command(argv, { filesFrom } = {}) {
+        const args = runnerArgs(argv, { statsInterval: this.statsInterval });
+        if (filesFrom) {
+            args.push(`--files-from=${filesFrom}`);
+        }
+        return [this.rclonePath, ...args];
+    }
+
+    /**
+     * Run a planned transfer and write its report
+     *
+     * @param {string[]} argv - Command from planTransfer
+     * @param {object} [options]
+     * @param {function(object)} [options.onEvent] - Called with every parsed event
+     * @param {AbortSignal} [options.signal] - Aborting stops rclone and marks the run cancelled
+     * @param {number} [options.timeoutMs] - Stop rclone after this long and mark the run timed out
+     * @param {string} [options.label] - Name for the run, added to the report and its filename
+     * @param {string} [options.filesFrom] - Only copy the paths listed in this file, e.g. a verifier's mismatch list
+     * @returns {Promise<object>} The report, with `reportPath` set when it was written
+     */
+    async run(argv, { onEvent = () => {}, signal, timeoutMs, label = null, filesFrom } = {}) {
+        const [binary, ...args] = this.command(argv, { filesFrom });
+        const startedAt = new Date();
+        const report = {
+            status: 'running',
+            label,
+            command: [binary, ...args],
+            startedAt: startedAt.toISOString(),
+            finishedAt: null,
+            durationMs: 0,
+            exitCode: null,
+            exitSignal: null,
+            exitDescription: null,
+            stats: null,
+            filesCopied: 0,
+            errors: [],
+            retries: { attempts: 0, lowLevel: 0 },
+            error: null
+        };
+
+        const record = event => {
+            if (event.type === 'stats') {
+                report.stats = event;
+            } else if (event.type === 'file') {
+                report.filesCopied++;
+            } else if (event.type === 'error') {
+                report.errors.push({ time: event.time, object: event.object, message: event.message });
+            } else if (event.type === 'retry') {
+                report.retries[event.lowLevel ? 'lowLevel' : 'attempts']++;
+            }
+            try {
+                onEvent(event);
+            } catch (error) {
+                console.warn('Transfer event handler failed:', error.message);
+            }
+        };
+        const handleLine = line => {
+            const event = parseLogLine(line);
+            if (event) record(event);
+        };
+
+        const outcome = await runRclone(binary, args, {
+            // rclone logs to stderr; stdout only carries output of listing commands
+            onStdout: handleLine,
+            onStderr: handleLine,
+            signal,
+            timeoutMs,
+            killGraceMs: this.killGraceMs
+        });
+
+        const finishedAt = new Date();
+        report.finishedAt = finishedAt.toISOString();
+        report.durationMs = finishedAt - startedAt;
+        report.exitCode = outcome.code;
+        report.exitSignal = outcome.exitSignal;
+        report.exitDescription = EXIT_CODES[outcome.code] || null;
+
+        if (outcome.spawnError) {
+            report.status = 'failed';
+        } else if (outcome.stopped) {
+            report.status = outcome.stopped;
+        } else {
+            report.status = outcome.code === 0 ? 'success' : 'failed';
+        }
+        if (report.status !== 'success') {
+            report.error = describeFailure(binary, outcome, timeoutMs);
+        }
+
+        try {
+            report.reportPath = await this.writeReport(report);
+        } catch (error) {
+            console.warn('Could not write transfer report:', error.message);
+        }
+
+        if (this.auditLog) {
+            try {
+                await this.auditLog.append(AuditLog.fromTransferReport(report));
+            } catch (error) {
+                console.warn('Could not write audit log entry:', error.message);
+            }
+        }
+
+        return report;
+    }
+
+    async writeReport(report) {
+        await fs.mkdir(this.reportDir, { recursive: true });
+        const timestamp = report.startedAt.replace(/[:.]/g, '-');
+        const suffix = report.label ? `-${report.label.replace(/[^\w.-]+/g, '_')}` : '';
+        const reportPath = path.join(this.reportDir, `transfer-${timestamp}${suffix}.json`);
+        await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+        return reportPath;
+    }
+}
+
+module.exports = TransferRunner;
+module.exports.EXIT_CODES = EXIT_CODES;
+module.exports.runnerArgs = runnerArgs;
+module.exports.parseLogLine = parseLogLine;
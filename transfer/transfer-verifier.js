@@ -0,0 +1,239 @@
+/**
+ * Transfer Verifier
+ *
+ * Confirms a transfer with `rclone check --combined`, the check we otherwise
+ * run by hand after the notebook's Step 3. Each line of the combined report
+ * is sorted into:
+ *
+ * - `=` matched:   in both, same size and hash
+ * - `-` missing:   in the source but not the destination
+ * - `*` differing: in both, but different
+ * - `+` extra:     only in the destination (two-way checks only)
+ * - `!` errors:    could not be read or hashed
+ *
+ * Every verification writes a JSON and a Markdown report. When files are
+ * missing or differ, their paths are also written to a list that
+ * `rclone copy --files-from` accepts, so a retry copies only those files.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { buildCheckArgs, formatCommand } = require('./rclone-command');
+const { EXIT_CODES, runRclone, describeFailure } = require('./rclone-process');
+const { parseLogLine } = require('./transfer-runner');
+const AuditLog = require('./audit-log');
+
+const MARKDOWN_LIST_LIMIT = 100;
+
+const COMBINED_SYMBOLS = {
+    '=': 'matched',
+    '-': 'missing',
+    '*': 'differing',
+    '+': 'extra',
+    '!': 'errors'
+};
+
+/**
+ * Sort `rclone check --combined` lines by result
+ *
+ * @param {string[]} lines
+ * @returns {{ matched: string[], missing: string[], differing: string[], extra: string[], errors: string[] }}
+ */
+function parseCombinedReport(lines) {
+    const result = { matched: [], missing: [], differing: [], extra: [], errors: [] };
+    for (const line of lines) {
+        const key = COMBINED_SYMBOLS[line[0]];
+        if (key && line[1] === ' ') {
+            result[key].push(line.slice(2));
+        }
+    }
+    return result;
+}
+
+class TransferVerifier {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.rclonePath] - rclone binary; defaults to RCLONE_PATH or `rclone` on the PATH
+     * @param {string} [options.reportDir] - Where reports and mismatch lists are written (default: TRANSFER_REPORT_DIR or the working directory)
+     * @param {number} [options.killGraceMs] - Wait between SIGTERM and SIGKILL when stopping rclone
+     * @param {AuditLog|null} [options.auditLog] - Where every check is recorded; null to skip
+     */
+    constructor({
+        rclonePath = process.env.RCLONE_PATH || 'rclone',
+        reportDir = process.env.TRANSFER_REPORT_DIR || process.cwd(),
+        killGraceMs = 5000,
+        auditLog = new AuditLog()
+    } = {}) {
+        this.rclonePath = rclonePath;
+        this.reportDir = reportDir;
+        this.killGraceMs = killGraceMs;
+        this.auditLog = auditLog;
+    }
+
+    /**
+     * The command the verifier executes
+     */
+    command(options) {
+        return [this.rclonePath, ...buildCheckArgs(options).slice(1), '--combined', '-', '--use-json-log'];
+    }
+
+    /**
+     * Check a transfer and write its reports
+     *
+     * @param {object} options - Transfer options (`src`, `dst`, `fastList`, `checkers`) plus
+     *     `oneWay` and `filesFrom`, see buildCheckArgs
+     * @param {object} [runOptions]
+     * @param {AbortSignal} [runOptions.signal]
+     * @param {number} [runOptions.timeoutMs]
+     * @param {string} [runOptions.label] - Name for the check, added to the report and its filenames
+     * @returns {Promise<object>} Report with `status` `passed`, `failed` (mismatches), `error`, `cancelled` or `timeout`
+     */
+    async verify(options, { signal, timeoutMs, label = null } = {}) {
+        const [binary, ...args] = this.command(options);
+        const combined = [];
+        const logErrors = [];
+        const startedAt = new Date();
+
+        const outcome = await runRclone(binary, args, {
+            onStdout: line => combined.push(line),
+            onStderr: line => {
+                const event = parseLogLine(line);
+                if (event?.type === 'error') logErrors.push(event.object ? `${event.object}: ${event.message}` : event.message);
+            },
+            signal,
+            timeoutMs,
+            killGraceMs: this.killGraceMs
+        });
+
+        const results = parseCombinedReport(combined);
+        const finishedAt = new Date();
+        const report = {
+            status: null,
+            label,
+            src: options.src,
+            dst: options.dst,
+            oneWay: options.oneWay !== false,
+            filesFrom: options.filesFrom || null,
+            command: [binary, ...args],
+            startedAt: startedAt.toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt,
+            exitCode: outcome.code,
+            exitSignal: outcome.exitSignal,
+            counts: Object.fromEntries(Object.entries(results).map(([key, paths]) => [key, paths.length])),
+            ...results,
+            logErrors,
+            error: null
+        };
+
+        const mismatches = report.counts.missing + report.counts.differing + report.counts.extra + report.counts.errors;
+        if (outcome.spawnError || outcome.stopped) {
+            report.status = outcome.stopped || 'error';
+            report.error = describeFailure(binary, outcome, timeoutMs);
+        } else if (outcome.code === 0 && mismatches === 0) {
+            report.status = 'passed';
+        } else if (mismatches > 0) {
+            // rclone check exits 1 when it finds differences
+            report.status = 'failed';
+        } else {
+            report.status = 'error';
+            report.error = logErrors[logErrors.length - 1]
+                || `rclone exited with code ${outcome.code}${EXIT_CODES[outcome.code] ? `: ${EXIT_CODES[outcome.code]}` : ''}`;
+        }
+
+        try {
+            Object.assign(report, await this.writeReports(report));
+        } catch (error) {
+            console.warn('Could not write verification report:', error.message);
+        }
+
+        if (this.auditLog) {
+            try {
+                await this.auditLog.append(AuditLog.fromVerifyReport(report));
+            } catch (error) {
+                console.warn('Could not write audit log entry:', error.message);
+            }
+        }
+
+        return report;
+    }
+
+    async writeReports(report) {
+        await fs.mkdir(this.reportDir, { recursive: true });
+        const timestamp = report.startedAt.replace(/[:.]/g, '-');
+        const suffix = report.label ? `-${report.label.replace(/[^\w.-]+/g, '_')}` : '';
+        const base = path.join(this.reportDir, `verify-${timestamp}${suffix}`);
+
+        const paths = { reportPath: `${base}.json`, markdownPath: `${base}.md`, mismatchesPath: null };
+        const retryPaths = [...report.missing, ...report.differing];
+        if (retryPaths.length > 0) {
+            paths.mismatchesPath = `${base}-mismatches.txt`;
+            await fs.writeFile(paths.mismatchesPath, `${retryPaths.join('\n')}\n`);
+        }
+
+        const written = { ...report, ...paths };
+        await fs.writeFile(paths.reportPath, JSON.stringify(written, null, 2));
+        await fs.writeFile(paths.markdownPath, TransferVerifier.toMarkdown(written));
+        return paths;
+    }
+
+    /**
+     * Markdown version of a report for sharing in issues and PRs
+     */
+    static toMarkdown(report) {
+        const icons = { passed: '✅', failed: '❌', error: '⚠️', cancelled: '⏹️', timeout: '⏱️' };
+        const { counts } = report;
+        const lines = [
+            `# Transfer Verification: ${report.src} → ${report.dst}`,
+            '',
+            `**Result:** ${icons[report.status] || ''} ${report.status}`,
+            '',
+            `**Checked:** ${report.finishedAt} (${report.oneWay ? 'one-way' : 'two-way'}${report.filesFrom ? `, only paths in \`${path.basename(report.filesFrom)}\`` : ''})`,
+            '',
+            '| Matched | Missing | Differing | Only in destination | Errors |',
+            '|---------|---------|-----------|---------------------|--------|',
+            `| ${counts.matched} | ${counts.missing} | ${counts.differing} | ${counts.extra} | ${counts.errors} |`,
+            ''
+        ];
+
+        if (report.error) {
+            lines.push(`> ${report.error}`, '');
+        }
+
+        const sections = [
+            ['Missing from destination', report.missing],
+            ['Differing', report.differing],
+            ['Only in destination', report.extra],
+            ['Could not check', report.errors]
+        ];
+        for (const [title, paths] of sections) {
+            if (paths.length === 0) continue;
+            lines.push(`## ${title} (${paths.length})`, '');
+            for (const file of paths.slice(0, MARKDOWN_LIST_LIMIT)) {
+                lines.push(`- \`${file.replace(/`/g, "'")}\``);
+            }
+            if (paths.length > MARKDOWN_LIST_LIMIT) {
+                lines.push(`- … and ${paths.length - MARKDOWN_LIST_LIMIT} more (see the JSON report)`);
+            }
+            lines.push('');
+        }
+
+        if (report.mismatchesPath) {
+            lines.push(
+                '## Retry',
+                '',
+                'Copy only the missing and differing files:',
+                '',
+                '```bash',
+                formatCommand(['gdrive-transfer', 'run', '--src', report.src, '--dst', report.dst, '--files-from', report.mismatchesPath]),
+                '```',
+                ''
+            );
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = TransferVerifier;
+module.exports.parseCombinedReport = parseCombinedReport;